@@ -63,6 +63,7 @@ const options = {
   pidFile: DEFAULT_PID_FILE,
   config: null,
   bypassToken: null,
+  apiToken: null,
   root: null,
   discord: false,
   discordToken: null,
@@ -93,6 +94,8 @@ for (let i = 0; i < commandArgs.length; i++) {
     options.config = commandArgs[++i];
   } else if (arg === '--bypass-token') {
     options.bypassToken = commandArgs[++i];
+  } else if (arg === '--api-token') {
+    options.apiToken = commandArgs[++i];
   } else if (arg === '--root') {
     options.root = resolve(commandArgs[++i]);
   } else if (arg === '--discord') {
@@ -118,6 +121,7 @@ Options (for start command):
   --pid-file <path>          Custom PID file path (default: ~/.tofucode/tofucode.pid)
   -c, --config <path>        Load configuration from JSON file
   --bypass-token <token>     Set bypass token for auth-free access (automation/testing)
+  --api-token <token>        Bearer token for the headless REST API (/api/projects)
   --root <path>              Restrict access to specified directory (best effort)
   --discord                  Enable Discord bot integration
   -v, --version              Show version number
@@ -140,9 +144,13 @@ Environment Variables:
   LOG_FILE                   Custom log file path
   PID_FILE                   Custom PID file path
   DEBUG_TOKEN                Bypass token for auth-free access (automation/testing)
+  API_TOKEN                  Bearer token for the headless REST API (/api/projects)
   MODEL_HAIKU_SLUG           Claude Haiku model ID (default: claude-haiku-4-5)
   MODEL_SONNET_SLUG          Claude Sonnet model ID (default: claude-sonnet-4-6)
   MODEL_OPUS_SLUG            Claude Opus model ID (default: claude-opus-4-6)
+  RETRY_MAX_ATTEMPTS         Attempts for turns hit by transient API errors (default: 5)
+  RETRY_BASE_DELAY_MS        First retry delay, doubled per attempt (default: 10000)
+  RETRY_MAX_DELAY_MS         Longest wait between attempts (default: 300000)
 
 Configuration File:
   Use --config to load settings from a JSON file. CLI args override config.
@@ -154,6 +162,7 @@ Configuration File:
     "auth": false,
     "debug": true,
     "bypassToken": "your-secret-token",
+    "apiToken": "your-api-token",
     "root": "/path/to/project",
     "discord": true,
     "discordToken": "your-discord-bot-token",
@@ -251,6 +260,10 @@ if (options.root) {
   env.ROOT_PATH = options.root;
 }
 
+if (options.apiToken) {
+  env.API_TOKEN = options.apiToken;
+}
+
 if (options.maxFileSizeMb !== undefined) {
   env.MAX_FILE_SIZE_MB = options.maxFileSizeMb.toString();
 }
@@ -424,6 +437,9 @@ async function loadConfig(options) {
     if (config.bypassToken !== undefined && !argSet.has('--bypass-token')) {
       options.bypassToken = config.bypassToken;
     }
+    if (config.apiToken !== undefined && !argSet.has('--api-token')) {
+      options.apiToken = config.apiToken;
+    }
     if (config.root !== undefined && !argSet.has('--root')) {
       options.root = resolve(config.root);
     }
@@ -1,6 +1,6 @@
 import { existsSync } from 'node:fs';
 import { homedir } from 'node:os';
-import { join } from 'node:path';
+import { isAbsolute, join, relative, resolve } from 'node:path';
 
 export const config = {
   port: Number.parseInt(process.env.PORT || '3001', 10),
@@ -12,15 +12,36 @@ export const config = {
   // Allowed tools for Claude
   allowedTools: ['Read', 'Write', 'Edit', 'Bash', 'Glob', 'Grep'],
 
+  // Tools that skip the browser approval prompt in non-bypass permission modes
+  // (everything else goes through canUseTool → permission_request)
+  autoApprovedTools: ['Read', 'Glob', 'Grep'],
+
   // Permission mode: 'bypassPermissions' for full access
   permissionMode: 'bypassPermissions',
 
+  // How long a tool permission request waits for an answer before auto-denying (ms)
+  permissionTimeoutMs: Number.parseInt(
+    process.env.PERMISSION_TIMEOUT_MS || '300000',
+    10,
+  ),
+
   // Root path restriction (if set, limits file/terminal access)
   rootPath: process.env.ROOT_PATH || null,
 
   // Max file size for reading in MB (default 10MB, overridable via env)
   maxFileSizeMb: Number.parseInt(process.env.MAX_FILE_SIZE_MB || '10', 10),
 
+  // Retries for transient API failures (429, 5xx, 529 overloaded, dropped connections)
+  // — see lib/retry-policy.js. maxAttempts counts the first try; 1 disables retries.
+  retry: {
+    maxAttempts: Number.parseInt(process.env.RETRY_MAX_ATTEMPTS || '5', 10),
+    baseDelayMs: Number.parseInt(
+      process.env.RETRY_BASE_DELAY_MS || '10000',
+      10,
+    ),
+    maxDelayMs: Number.parseInt(process.env.RETRY_MAX_DELAY_MS || '300000', 10),
+  },
+
   // Model configuration (override default model versions)
   models: {
     haiku: process.env.MODEL_HAIKU_SLUG || 'claude-haiku-4-5',
@@ -107,6 +128,30 @@ export function slugToPath(slug) {
   return `/${normalized.replace(/-/g, '/')}`;
 }
 
+/**
+ * SECURITY: Validate a project slug before using it in a filesystem path.
+ * Slugs are a single directory name under ~/.claude/projects and must stay
+ * inside ROOT_PATH when it is set.
+ * @param {string} projectSlug
+ * @returns {boolean}
+ */
+export function isValidProjectSlug(projectSlug) {
+  if (typeof projectSlug !== 'string' || !/^-[^/\\]*$/.test(projectSlug)) {
+    return false;
+  }
+  if (projectSlug.includes('..')) return false;
+
+  if (config.rootPath) {
+    const resolvedProject = resolve(slugToPath(projectSlug));
+    const resolvedRoot = resolve(config.rootPath);
+    const relativePath = relative(resolvedRoot, resolvedProject);
+    if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      return false;
+    }
+  }
+  return true;
+}
+
 // Get sessions directory for a project slug
 export function getSessionsDir(slug) {
   return join(config.projectsDir, slug);
@@ -0,0 +1,124 @@
+/**
+ * /template Slash Command
+ *
+ * Runs a saved prompt template (global or the channel's project) in the current
+ * thread's session. {{branch}}, {{project}} and {{date}} are filled in automatically;
+ * other variables are passed as `variables: key=value; key=value`.
+ *
+ * Usage: /template name:<template> [variables:<key=value; ...>]
+ */
+
+import { SlashCommandBuilder } from 'discord.js';
+import {
+  findTemplate,
+  getServerContext,
+  listTemplates,
+  renderTemplate,
+} from '../../lib/prompt-templates.js';
+import { getChannelMapping } from '../config.js';
+import { runThreadPrompt } from '../events/messageCreate.js';
+
+const PREVIEW_LENGTH = 1500;
+
+export const data = new SlashCommandBuilder()
+  .setName('template')
+  .setDescription('Run a saved prompt template in this thread')
+  .addStringOption((option) =>
+    option
+      .setName('name')
+      .setDescription('Template name')
+      .setRequired(true)
+      .setAutocomplete(true),
+  )
+  .addStringOption((option) =>
+    option
+      .setName('variables')
+      .setDescription(
+        'Values for the template, e.g. target=src/api.js; focus=errors',
+      ),
+  );
+
+function getProjectSlug(channel) {
+  const channelId = channel?.isThread() ? channel.parentId : channel?.id;
+  return getChannelMapping(channelId)?.projectSlug ?? null;
+}
+
+// "key=value; key=value" (or one per line)
+function parseVariables(input) {
+  const values = {};
+  for (const pair of (input || '').split(/[;\n]/)) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    const key = pair.slice(0, index).trim();
+    if (key) values[key] = pair.slice(index + 1).trim();
+  }
+  return values;
+}
+
+export async function handleTemplateAutocomplete(interaction) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const choices = listTemplates(getProjectSlug(interaction.channel))
+    .filter((t) => t.name.toLowerCase().includes(query))
+    .slice(0, 25) // Discord autocomplete limit
+    .map((t) => ({ name: t.name.slice(0, 100), value: t.name.slice(0, 100) }));
+  await interaction.respond(choices);
+}
+
+export async function handleTemplate(interaction) {
+  const channel = interaction.channel;
+
+  if (!channel?.isThread()) {
+    await interaction.reply({
+      content: 'Use this command inside a session thread.',
+      flags: 64, // ephemeral
+    });
+    return;
+  }
+
+  const mapping = getChannelMapping(channel.parentId);
+  if (!mapping) {
+    await interaction.reply({
+      content:
+        'This channel is not configured. Use `/setup` in the parent channel first.',
+      flags: 64, // ephemeral
+    });
+    return;
+  }
+
+  const name = interaction.options.getString('name');
+  const template = findTemplate(mapping.projectSlug, name);
+  if (!template) {
+    await interaction.reply({
+      content: `No template named "${name}". Create templates in the web UI (Settings → Templates).`,
+      flags: 64, // ephemeral
+    });
+    return;
+  }
+
+  const values = {
+    ...getServerContext(mapping.projectPath),
+    ...parseVariables(interaction.options.getString('variables')),
+  };
+  const missing = template.variables.filter((v) => !(v in values));
+  if (missing.length > 0) {
+    await interaction.reply({
+      content: `Missing variables: ${missing.map((v) => `\`${v}\``).join(', ')}\nPass them as \`variables: ${missing.map((v) => `${v}=…`).join('; ')}\``,
+      flags: 64, // ephemeral
+    });
+    return;
+  }
+
+  const prompt = renderTemplate(template.body, values);
+  const preview =
+    prompt.length > PREVIEW_LENGTH
+      ? `${prompt.slice(0, PREVIEW_LENGTH)}…`
+      : prompt;
+  await interaction.reply(`📝 **${template.name}**\n>>> ${preview}`);
+
+  await runThreadPrompt({
+    thread: channel,
+    prompt,
+    userId: interaction.user.id,
+    reply: (content) => channel.send(content),
+  });
+}
@@ -11,8 +11,21 @@ import { handleResume } from '../commands/resume.js';
 import { handleSession } from '../commands/session.js';
 import { handleSetup } from '../commands/setup.js';
 import { handleStatus } from '../commands/status.js';
+import {
+  handleTemplate,
+  handleTemplateAutocomplete,
+} from '../commands/template.js';
 
 export async function handleInteraction(interaction) {
+  if (interaction.isAutocomplete()) {
+    if (interaction.commandName === 'template') {
+      await handleTemplateAutocomplete(interaction).catch((err) =>
+        logger.error('[Discord] Autocomplete error:', err),
+      );
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const { commandName } = interaction;
@@ -37,6 +50,9 @@ export async function handleInteraction(interaction) {
       case 'status':
         await handleStatus(interaction);
         break;
+      case 'template':
+        await handleTemplate(interaction);
+        break;
       default:
         await interaction.reply({
           content: 'Unknown command.',
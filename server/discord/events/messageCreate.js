@@ -81,28 +81,42 @@ export async function handleMessage(message) {
  * @param {Message} message
  */
 async function handleThreadMessage(message) {
-  const thread = message.channel;
+  await runThreadPrompt({
+    thread: message.channel,
+    prompt: message.content,
+    userId: message.author.id,
+    reply: (content) => message.reply(content),
+  });
+}
+
+/**
+ * Execute a prompt against the thread's session and stream the response.
+ * Used for thread messages and /template.
+ *
+ * @param {Object} options
+ * @param {ThreadChannel} options.thread
+ * @param {string} options.prompt
+ * @param {string} options.userId - Discord user who sent the prompt
+ * @param {(content: string) => Promise} options.reply - Sends a notice (busy, not configured)
+ */
+export async function runThreadPrompt({ thread, prompt, userId, reply }) {
   const threadId = thread.id;
   const parentChannelId = thread.parentId;
 
   // Check for concurrent execution lock
   if (threadLocks.get(threadId)) {
-    await message
-      .reply(
-        'A task is already running in this thread. Wait for it to finish or use `/cancel`.',
-      )
-      .catch((err) => logger.error('[Discord] Reply error:', err));
+    await reply(
+      'A task is already running in this thread. Wait for it to finish or use `/cancel`.',
+    ).catch((err) => logger.error('[Discord] Reply error:', err));
     return;
   }
 
   // Look up channel-project mapping
   const channelMapping = getChannelMapping(parentChannelId);
   if (!channelMapping) {
-    await message
-      .reply(
-        'This channel is not configured. Use `/setup` in the parent channel first.',
-      )
-      .catch((err) => logger.error('[Discord] Reply error:', err));
+    await reply(
+      'This channel is not configured. Use `/setup` in the parent channel first.',
+    ).catch((err) => logger.error('[Discord] Reply error:', err));
     return;
   }
 
@@ -129,7 +143,7 @@ async function handleThreadMessage(message) {
   const isFirstMessage = sessionId === null; // true when this opens a new session
 
   try {
-    // Send "thinking" indicator — use thread.send instead of message.reply
+    // Send "thinking" indicator — use thread.send instead of replying
     // to avoid Discord quoting the user's message above every bot response
     thinkingMsg = await thread.send('⏳ Thinking…').catch((err) => {
       logger.error('[Discord] Send error:', err);
@@ -139,7 +153,7 @@ async function handleThreadMessage(message) {
     const events = executePrompt({
       projectSlug,
       sessionId,
-      prompt: message.content,
+      prompt,
     });
 
     for await (const event of events) {
@@ -151,7 +165,7 @@ async function handleThreadMessage(message) {
               sessionId: newSessionId,
               channelId: parentChannelId,
               projectSlug,
-              userId: message.author.id,
+              userId,
               threadName: thread.name,
             });
             logger.log(
@@ -250,7 +264,7 @@ async function handleThreadMessage(message) {
 
           // Item 2: auto-rename thread from first message content
           if (isFirstMessage && newSessionId) {
-            const raw = message.content.trim().replace(/\s+/g, ' ');
+            const raw = prompt.trim().replace(/\s+/g, ' ');
             const name = raw.length > 50 ? `${raw.substring(0, 47)}…` : raw;
             thread.setName(name).catch(() => {}); // best-effort
           }
@@ -13,6 +13,7 @@ import { data as resumeData } from '../commands/resume.js';
 import { data as sessionData } from '../commands/session.js';
 import { data as setupData } from '../commands/setup.js';
 import { data as statusData } from '../commands/status.js';
+import { data as templateData } from '../commands/template.js';
 import { discordConfig } from '../config.js';
 import { startWebUiBridge } from '../lib/web-ui-bridge.js';
 
@@ -23,6 +24,7 @@ const commands = [
   resumeData,
   listData,
   statusData,
+  templateData,
 ];
 
 export async function handleReady(client) {
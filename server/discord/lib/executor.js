@@ -17,6 +17,7 @@ import { query } from '@anthropic-ai/claude-agent-sdk';
 import { config, slugToPath } from '../../config.js';
 import { logger } from '../../lib/logger.js';
 import { loadMcpServers } from '../../lib/mcp.js';
+import { applyProjectSettings } from '../../lib/project-settings.js';
 import { addTaskResult, getOrCreateTask, tasks } from '../../lib/tasks.js';
 
 /**
@@ -92,6 +93,9 @@ export async function* executePrompt({
     ...(Object.keys(mcpServers).length > 0 && { mcpServers }),
   };
 
+  // Per-project tool lists, appended system prompt and extra directories
+  applyProjectSettings(projectSlug, queryOptions);
+
   // Set model if specified — map shorthand names to full model strings via config
   if (options.model) {
     const modelKey = options.model; // e.g. 'opus', 'sonnet', 'haiku'
@@ -33,7 +33,7 @@ import {
   formatToolStatus,
 } from './formatter.js';
 
-// Per-session Discord state: sessionId → { thread, toolState, fullText, lastEditTime, thinkingMsg, cleanupTimer }
+// Per-session Discord state: sessionId → { thread, toolState, fullText, streamingText, lastEditTime, thinkingMsg, cleanupTimer }
 const sessionState = new Map();
 
 // How long to keep idle session state after the last result/error (ms)
@@ -104,6 +104,7 @@ export function startWebUiBridge(client) {
               lastToolHint: null,
             },
             fullText: '',
+            streamingText: '',
             lastEditTime: 0,
             thinkingMsg: null,
             cleanupTimer: null,
@@ -123,6 +124,7 @@ export function startWebUiBridge(client) {
 
         // Reset turn state and send thinking indicator
         state.fullText = '';
+        state.streamingText = '';
         state.toolState = {
           counts: {},
           lastBash: null,
@@ -140,11 +142,27 @@ export function startWebUiBridge(client) {
     },
   );
 
+  // Deltas arrive many times per second — edits stay throttled to streamingEditInterval
+  eventBus.on('session:text_delta', async ({ sessionId, content }) => {
+    const state = sessionState.get(sessionId);
+    if (!state) return;
+
+    state.streamingText += content;
+
+    const now = Date.now();
+    if (now - state.lastEditTime > discordConfig.streamingEditInterval) {
+      state.lastEditTime = now;
+      await editMsg(state, state.fullText + state.streamingText);
+    }
+  });
+
   eventBus.on('session:text', async ({ sessionId, content }) => {
     const state = sessionState.get(sessionId);
     if (!state) return;
 
+    // The complete block replaces whatever was streamed of it
     state.fullText += content;
+    state.streamingText = '';
 
     const now = Date.now();
     if (now - state.lastEditTime > discordConfig.streamingEditInterval) {
@@ -194,6 +212,7 @@ export function startWebUiBridge(client) {
       // Keep session state alive — user may send follow-up messages from Web UI.
       // Reset per-turn fields, keep thread reference.
       state.fullText = '';
+      state.streamingText = '';
       state.toolState = {
         counts: {},
         lastBash: null,
@@ -219,6 +238,7 @@ export function startWebUiBridge(client) {
 
     // Keep state alive for retry (user may reply to the error message)
     state.fullText = '';
+    state.streamingText = '';
     state.toolState = {
       counts: {},
       lastBash: null,
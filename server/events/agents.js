@@ -0,0 +1,86 @@
+/**
+ * Subagent Management Event Handlers
+ *
+ * Handles WebSocket events for viewing and editing subagent definitions
+ * (.claude/agents/*.md in the project, ~/.claude/agents/*.md for the user).
+ *
+ * Events:
+ *   agents:list    -> agents:list      List agents across both scopes
+ *   agents:save    -> agents:saved     Create or update an agent file
+ *   agents:remove  -> agents:removed   Delete an agent file
+ */
+
+import { slugToPath } from '../config.js';
+import { listAgents, removeAgent, saveAgent } from '../lib/agents.js';
+import { send } from '../lib/ws.js';
+
+function resolveProjectPath(context) {
+  if (!context.currentProjectPath) return null;
+  return slugToPath(context.currentProjectPath);
+}
+
+/**
+ * agents:list — List agent definitions from the project and user scopes
+ *
+ * @event agents:list
+ * @returns agents:list { agents: Array, hasProject: boolean }
+ */
+export async function listHandler(ws, _message, context) {
+  const projectPath = resolveProjectPath(context);
+  send(ws, {
+    type: 'agents:list',
+    agents: listAgents(projectPath),
+    hasProject: !!projectPath,
+  });
+}
+
+/**
+ * agents:save — Create or update an agent definition
+ *
+ * @event agents:save
+ * @param {object} message.agent   { name, description, tools: string[], model, prompt }
+ * @param {string} message.scope   'project' | 'user'
+ * @param {string} [message.file]  File being edited (omit to create)
+ * @returns agents:saved { success, error?, agents? }
+ */
+export async function saveHandler(ws, message, context) {
+  const projectPath = resolveProjectPath(context);
+  const { agent, scope, file } = message;
+
+  const result = saveAgent(agent, scope, projectPath, file);
+
+  if (result.success) {
+    send(ws, {
+      type: 'agents:saved',
+      success: true,
+      agents: listAgents(projectPath),
+    });
+  } else {
+    send(ws, { type: 'agents:saved', success: false, error: result.error });
+  }
+}
+
+/**
+ * agents:remove — Delete an agent definition file
+ *
+ * @event agents:remove
+ * @param {string} message.file    Agent file name (e.g. code-reviewer.md)
+ * @param {string} message.scope   'project' | 'user'
+ * @returns agents:removed { success, error?, agents? }
+ */
+export async function removeHandler(ws, message, context) {
+  const projectPath = resolveProjectPath(context);
+  const { file, scope } = message;
+
+  const result = removeAgent(file, scope, projectPath);
+
+  if (result.success) {
+    send(ws, {
+      type: 'agents:removed',
+      success: true,
+      agents: listAgents(projectPath),
+    });
+  } else {
+    send(ws, { type: 'agents:removed', success: false, error: result.error });
+  }
+}
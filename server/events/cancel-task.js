@@ -8,8 +8,14 @@
  * @returns {void} Sends: task_cancelled or error
  */
 
+import {
+  getQueueSize,
+  getQueueState,
+  setQueuePaused,
+} from '../lib/message-queue.js';
+import { denyAllForSession } from '../lib/permissions.js';
 import { cancelTask, getOrCreateTask } from '../lib/tasks.js';
-import { send } from '../lib/ws.js';
+import { broadcastToSession, send } from '../lib/ws.js';
 import { pendingQuestions } from './answer-question.js';
 
 export async function handler(ws, _message, context) {
@@ -18,11 +24,32 @@ export async function handler(ws, _message, context) {
     return;
   }
 
-  const task = getOrCreateTask(context.currentSessionId);
+  const outcome = cancelSessionTask(context.currentSessionId);
 
-  if (task.status !== 'running') {
+  if (outcome === 'cancelled') {
+    send(ws, {
+      type: 'task_cancelled',
+      sessionId: context.currentSessionId,
+    });
+  } else if (outcome === 'not_running') {
     send(ws, { type: 'error', message: 'No running task to cancel' });
-    return;
+  } else {
+    send(ws, { type: 'error', message: 'Failed to cancel task' });
+  }
+}
+
+/**
+ * Cancel a session's running task, settling anything it is blocked on.
+ * Shared by the WebSocket handler and the REST API (routes/api.js).
+ *
+ * @param {string} sessionId
+ * @returns {'cancelled'|'not_running'|'failed'}
+ */
+export function cancelSessionTask(sessionId) {
+  const task = getOrCreateTask(sessionId);
+
+  if (task.status !== 'running') {
+    return 'not_running';
   }
 
   // Reject any pending questions so the Promise doesn't leak
@@ -31,14 +58,25 @@ export async function handler(ws, _message, context) {
     pendingQuestions.delete(toolUseId);
   }
 
-  const success = cancelTask(context.currentSessionId);
+  // Deny pending tool permission requests and close their modals in every tab
+  const deniedPermissions = denyAllForSession(sessionId, 'Task was cancelled.');
+  for (const pending of deniedPermissions) {
+    broadcastToSession(pending.sessionId, {
+      type: 'permission_resolved',
+      requestId: pending.requestId,
+      sessionId: pending.sessionId,
+      decision: 'deny',
+    });
+  }
 
-  if (success) {
-    send(ws, {
-      type: 'task_cancelled',
-      sessionId: context.currentSessionId,
+  // Queued prompts wait until the user resumes the queue
+  if (getQueueSize(sessionId) > 0) {
+    setQueuePaused(sessionId, true);
+    broadcastToSession(sessionId, {
+      type: 'queue_updated',
+      ...getQueueState(sessionId),
     });
-  } else {
-    send(ws, { type: 'error', message: 'Failed to cancel task' });
   }
+
+  return cancelTask(sessionId) ? 'cancelled' : 'failed';
 }
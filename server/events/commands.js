@@ -0,0 +1,29 @@
+/**
+ * Event: commands:list
+ *
+ * Lists custom slash commands (.claude/commands/*.md) for the chat input autocomplete
+ * and the command palette. Without a projectSlug only user commands are returned.
+ *
+ * @event commands:list
+ * @param {Object} message - { projectSlug?: string }
+ * @returns {void} Sends: commands:list { projectSlug, commands }
+ */
+
+import { isValidProjectSlug, slugToPath } from '../config.js';
+import { listSlashCommands } from '../lib/slash-commands.js';
+import { send } from '../lib/ws.js';
+
+export function handler(ws, message) {
+  const projectSlug = message.projectSlug ?? null;
+  if (projectSlug !== null && !isValidProjectSlug(projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return;
+  }
+
+  const projectPath = projectSlug ? slugToPath(projectSlug) : null;
+  send(ws, {
+    type: 'commands:list',
+    projectSlug,
+    commands: listSlashCommands(projectPath),
+  });
+}
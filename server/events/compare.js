@@ -0,0 +1,87 @@
+/**
+ * Events: compare:list, compare:start, compare:delete
+ *
+ * Multi-model comparisons for a project (see lib/comparisons.js). Every handler
+ * replies with the project's comparison list; the runner broadcasts
+ * `compare:updated` as runs start and finish so open tabs can refetch.
+ *
+ * @event compare:list
+ * @param {Object} message - { projectSlug: string }
+ *
+ * @event compare:start
+ * @param {Object} message - { projectSlug, prompt: string, models: string[], isolation: 'plan' | 'worktree' }
+ *
+ * @event compare:delete
+ * @param {Object} message - { projectSlug, id: string } — worktrees created by the
+ *   comparison are kept (merge or discard them from the Worktrees panel)
+ *
+ * @returns {void} Sends: compare:list { projectSlug, comparisons, models, error? }
+ */
+
+import { isValidProjectSlug } from '../config.js';
+import { runComparison } from '../lib/comparison-runner.js';
+import {
+  COMPARE_MODELS,
+  createComparison,
+  deleteComparison,
+  getComparison,
+  listComparisons,
+} from '../lib/comparisons.js';
+import { send } from '../lib/ws.js';
+
+function sendList(ws, projectSlug, error) {
+  send(ws, {
+    type: 'compare:list',
+    projectSlug,
+    comparisons: listComparisons(projectSlug),
+    models: COMPARE_MODELS,
+    ...(error && { error }),
+  });
+}
+
+function resolveProject(ws, message) {
+  if (!isValidProjectSlug(message.projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return null;
+  }
+  return message.projectSlug;
+}
+
+export function listHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+  sendList(ws, projectSlug);
+}
+
+export function startHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  const result = createComparison({
+    projectSlug,
+    prompt: message.prompt,
+    models: message.models,
+    isolation: message.isolation,
+  });
+  if (!result.ok) {
+    sendList(ws, projectSlug, result.error);
+    return;
+  }
+
+  sendList(ws, projectSlug);
+  // Progress arrives through compare:updated broadcasts
+  runComparison(result.comparison.id);
+}
+
+export function deleteHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  const comparison = message.id ? getComparison(message.id) : null;
+  if (comparison?.projectSlug !== projectSlug) {
+    sendList(ws, projectSlug, 'Comparison not found');
+    return;
+  }
+  deleteComparison(comparison.id);
+  sendList(ws, projectSlug);
+}
@@ -2,10 +2,11 @@
  * Event: delete_session
  *
  * Deletes a session JSONL file and removes it from the sessions index.
+ * Pass sessionIds instead of sessionId to delete several sessions at once.
  *
  * @event delete_session
- * @param {Object} message - { sessionId: string }
- * @returns {void} Sends: { type: 'session_deleted', sessionId } or { type: 'error', message }
+ * @param {Object} message - { sessionId: string } or { sessionIds: string[] }
+ * @returns {void} Sends: { type: 'session_deleted', sessionId } per deleted session, or { type: 'error', message }
  *
  * @example
  * // Request
@@ -27,8 +28,13 @@ import {
 } from 'node:fs';
 import { join } from 'node:path';
 import { getSessionsDir } from '../config.js';
+import { deleteCheckpoints } from '../lib/checkpoints.js';
 import { clearQueue } from '../lib/message-queue.js';
+import { clearSessionPermissions } from '../lib/permissions.js';
+import { deleteFork } from '../lib/session-forks.js';
+import { deleteSessionMeta } from '../lib/session-meta.js';
 import { deleteTitle } from '../lib/session-titles.js';
+import { deleteSessionUsage } from '../lib/session-usage.js';
 import { isValidSessionId } from '../lib/sessions.js';
 import { broadcast, send } from '../lib/ws.js';
 
@@ -38,27 +44,49 @@ export function handler(ws, message, context) {
     return;
   }
 
-  const { sessionId } = message;
-  if (!sessionId) {
+  const sessionIds = Array.isArray(message.sessionIds)
+    ? message.sessionIds
+    : [message.sessionId].filter(Boolean);
+  if (sessionIds.length === 0) {
     send(ws, { type: 'error', message: 'sessionId is required' });
     return;
   }
 
   // SECURITY: Validate sessionId format to prevent path traversal
-  if (!isValidSessionId(sessionId)) {
+  if (!sessionIds.every(isValidSessionId)) {
     send(ws, { type: 'error', message: 'Invalid sessionId format' });
     return;
   }
 
-  const sessionsDir = getSessionsDir(context.currentProjectPath);
+  const errors = sessionIds
+    .map((sessionId) => deleteSession(context.currentProjectPath, sessionId))
+    .filter(Boolean);
+  if (errors.length === 0) return;
+
+  send(ws, {
+    type: 'error',
+    message:
+      sessionIds.length === 1
+        ? errors[0]
+        : `Failed to delete ${errors.length} of ${sessionIds.length} sessions`,
+  });
+}
+
+/**
+ * Delete one session and everything stored alongside it
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {string|null} Error message, or null on success
+ */
+function deleteSession(projectSlug, sessionId) {
+  const sessionsDir = getSessionsDir(projectSlug);
   const jsonlPath = join(sessionsDir, `${sessionId}.jsonl`);
   const sessionDir = join(sessionsDir, sessionId); // Subdirectory for session data
   const indexPath = join(sessionsDir, 'sessions-index.json');
 
   // Check if session file exists
   if (!existsSync(jsonlPath)) {
-    send(ws, { type: 'error', message: 'Session not found' });
-    return;
+    return 'Session not found';
   }
 
   try {
@@ -80,11 +108,26 @@ export function handler(ws, message, context) {
     }
 
     // Delete session title if exists
-    deleteTitle(context.currentProjectPath, sessionId);
+    deleteTitle(projectSlug, sessionId);
+
+    // Drop tags and pinned/archived flags
+    deleteSessionMeta(projectSlug, sessionId);
+
+    // Drop fork lineage (its forks move up to its parent)
+    deleteFork(projectSlug, sessionId);
+
+    // Drop file checkpoints and rewind snapshots
+    deleteCheckpoints(projectSlug, sessionId);
+
+    // Drop token usage totals
+    deleteSessionUsage(projectSlug, sessionId);
 
     // Clear any queued messages for this session
     clearQueue(sessionId);
 
+    // Forget "allow always" tool decisions for this session
+    clearSessionPermissions(sessionId);
+
     // Remove draft entry for this session from .drafts.json
     const draftsPath = join(sessionsDir, '.drafts.json');
     if (existsSync(draftsPath)) {
@@ -104,8 +147,9 @@ export function handler(ws, message, context) {
       type: 'session_deleted',
       sessionId,
     });
+    return null;
   } catch (err) {
     console.error('Failed to delete session:', err.message);
-    send(ws, { type: 'error', message: 'Failed to delete session' });
+    return 'Failed to delete session';
   }
 }
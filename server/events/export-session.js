@@ -0,0 +1,83 @@
+/**
+ * Event: export_session
+ *
+ * Load a session's whole transcript (every compaction window, summaries
+ * included) for export. The client renders it to Markdown, HTML or JSON
+ * (see src/utils/sessionExport.js).
+ *
+ * @event export_session
+ * @param {Object} message - { sessionId: string, projectSlug?: string } (defaults to the current project)
+ * @returns {void} Sends: session_export { projectSlug, projectName, sessionId, title, messages }
+ *   or session_export_error { sessionId, error }
+ *
+ * @example
+ * // Request
+ * { type: 'export_session', projectSlug: '-home-me-myapp', sessionId: 'abc-123' }
+ *
+ * // Response
+ * {
+ *   type: 'session_export',
+ *   projectSlug: '-home-me-myapp',
+ *   projectName: 'myapp',
+ *   sessionId: 'abc-123',
+ *   title: 'Fix OAuth redirect',
+ *   messages: [...]
+ * }
+ */
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  getProjectDisplayName,
+  getSessionsDir,
+  isValidProjectSlug,
+} from '../config.js';
+import { getTitle } from '../lib/session-titles.js';
+import { isValidSessionId, loadSessionHistory } from '../lib/sessions.js';
+import { send } from '../lib/ws.js';
+
+export async function handler(ws, message, context) {
+  const { sessionId } = message;
+  const projectSlug = message.projectSlug || context.currentProjectPath;
+
+  const fail = (error) =>
+    send(ws, { type: 'session_export_error', sessionId, error });
+
+  if (!isValidProjectSlug(projectSlug)) {
+    fail('Invalid project');
+    return;
+  }
+
+  // SECURITY: Validate sessionId format to prevent path traversal
+  if (!isValidSessionId(sessionId)) {
+    fail('Invalid sessionId format');
+    return;
+  }
+
+  if (!existsSync(join(getSessionsDir(projectSlug), `${sessionId}.jsonl`))) {
+    fail('Session not found');
+    return;
+  }
+
+  try {
+    const { messages } = await loadSessionHistory(projectSlug, sessionId, {
+      fullHistory: true,
+    });
+    const firstPrompt = messages.find((m) => m.type === 'user')?.content;
+
+    send(ws, {
+      type: 'session_export',
+      projectSlug,
+      projectName: getProjectDisplayName(projectSlug),
+      sessionId,
+      title:
+        getTitle(projectSlug, sessionId) ||
+        firstPrompt?.split('\n')[0].slice(0, 100) ||
+        null,
+      messages,
+    });
+  } catch (err) {
+    console.error('[export] failed to load session:', err);
+    fail(err.message);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Event: fork_session
+ *
+ * Branch a new session off an existing one at a given message. The fork shares
+ * the transcript up to and including that message, then continues independently
+ * (the original session is untouched). Lineage is recorded in .session-forks.json
+ * so the sessions list can show parent → child.
+ *
+ * @event fork_session
+ * @param {Object} message - { sessionId: string, messageUuid: string }
+ * @returns {void} Sends: session_forked { sessionId, parentSessionId, messageUuid } | error
+ *
+ * @example
+ * // Request
+ * { type: 'fork_session', sessionId: 'abc-123', messageUuid: 'f81d...' }
+ *
+ * // Response
+ * { type: 'session_forked', sessionId: 'def-456', parentSessionId: 'abc-123', messageUuid: 'f81d...' }
+ */
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { forkSession } from '@anthropic-ai/claude-agent-sdk';
+import { getSessionsDir, slugToPath } from '../config.js';
+import { logger } from '../lib/logger.js';
+import { recordFork } from '../lib/session-forks.js';
+import { getTitle, setTitle } from '../lib/session-titles.js';
+import { isValidSessionId } from '../lib/sessions.js';
+import { send } from '../lib/ws.js';
+
+export async function handler(ws, message, context) {
+  const { sessionId, messageUuid } = message;
+  const projectSlug = context.currentProjectPath;
+
+  if (!projectSlug) {
+    send(ws, { type: 'error', message: 'No project selected' });
+    return;
+  }
+
+  // Message UUIDs share the session ID format
+  if (!isValidSessionId(sessionId) || !isValidSessionId(messageUuid)) {
+    send(ws, { type: 'error', message: 'Invalid session or message ID' });
+    return;
+  }
+
+  if (!existsSync(join(getSessionsDir(projectSlug), `${sessionId}.jsonl`))) {
+    send(ws, { type: 'error', message: 'Session not found' });
+    return;
+  }
+
+  const parentTitle = getTitle(projectSlug, sessionId);
+
+  try {
+    const { sessionId: forkedId } = await forkSession(sessionId, {
+      dir: slugToPath(projectSlug),
+      upToMessageId: messageUuid,
+      ...(parentTitle && { title: `${parentTitle} (fork)` }),
+    });
+
+    recordFork(projectSlug, forkedId, sessionId, messageUuid);
+    if (parentTitle) {
+      setTitle(projectSlug, forkedId, `${parentTitle} (fork)`);
+    }
+    logger.log(`[fork] ${sessionId} @ ${messageUuid} → ${forkedId}`);
+
+    send(ws, {
+      type: 'session_forked',
+      sessionId: forkedId,
+      parentSessionId: sessionId,
+      messageUuid,
+    });
+  } catch (err) {
+    logger.error('[fork] failed:', err);
+    send(ws, {
+      type: 'error',
+      message: `Failed to fork session: ${err.message}`,
+    });
+  }
+}
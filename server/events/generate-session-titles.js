@@ -0,0 +1,97 @@
+/**
+ * Event: generate_session_titles
+ *
+ * Generate titles with the haiku model for sessions of the current project
+ * (see lib/auto-titles.js).
+ * - With sessionIds and regenerate: true, replaces those sessions' titles,
+ *   including ones set by hand ("Regenerate title").
+ * - Without sessionIds, backfills every session that has no title yet.
+ *   Sessions that already have a title are always skipped unless regenerate is set.
+ *
+ * Each new title is broadcast as session_title_updated. Progress is reported to
+ * the requesting client; only one run per project at a time. A run stops early
+ * once the daily project budget is spent.
+ *
+ * @event generate_session_titles
+ * @param {Object} message - { sessionIds?: string[], regenerate?: boolean }
+ * @returns {void} Sends: session_titles_progress { projectSlug, total, done, generated, failed, finished, error? }
+ *
+ * @example
+ * // Request
+ * { type: 'generate_session_titles' }
+ *
+ * // Responses
+ * { type: 'session_titles_progress', projectSlug: '-home-ts-projects-foo', total: 12, done: 3, generated: 3, failed: 0, finished: false }
+ * { type: 'session_titles_progress', projectSlug: '-home-ts-projects-foo', total: 12, done: 12, generated: 11, failed: 1, finished: true }
+ */
+
+import { titleSession } from '../lib/auto-titles.js';
+import { getSessionsList, isValidSessionId } from '../lib/sessions.js';
+import { send } from '../lib/ws.js';
+
+// Projects with a run in progress
+const running = new Set();
+
+export async function handler(ws, message, context) {
+  const projectSlug = context.currentProjectPath;
+  if (!projectSlug) {
+    send(ws, { type: 'error', message: 'No project selected' });
+    return;
+  }
+
+  const { sessionIds, regenerate = false } = message;
+  if (
+    sessionIds !== undefined &&
+    (!Array.isArray(sessionIds) || !sessionIds.every(isValidSessionId))
+  ) {
+    send(ws, { type: 'error', message: 'Invalid sessionId format' });
+    return;
+  }
+
+  const progress = {
+    type: 'session_titles_progress',
+    projectSlug,
+    total: 0,
+    done: 0,
+    generated: 0,
+    failed: 0,
+    finished: false,
+  };
+
+  if (running.has(projectSlug)) {
+    send(ws, {
+      ...progress,
+      finished: true,
+      error: 'Titles are already being generated for this project',
+    });
+    return;
+  }
+
+  running.add(projectSlug);
+  try {
+    const targets =
+      sessionIds ||
+      (await getSessionsList(projectSlug))
+        .filter((s) => !s.title)
+        .map((s) => s.sessionId);
+    progress.total = targets.length;
+    send(ws, progress);
+
+    for (const sessionId of targets) {
+      const result = await titleSession(projectSlug, sessionId, {
+        replace: regenerate,
+      });
+      if (result.budgetExceeded) {
+        progress.error = result.error;
+        break;
+      }
+      progress.done++;
+      if (result.title) progress.generated++;
+      else if (!result.ok) progress.failed++;
+      send(ws, progress);
+    }
+  } finally {
+    running.delete(projectSlug);
+  }
+  send(ws, { ...progress, finished: true });
+}
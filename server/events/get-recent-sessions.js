@@ -4,6 +4,9 @@
  * Returns recent sessions across all projects, sorted by modification date.
  * Used for the "Recent Sessions" tab on the landing page.
  *
+ * Archived sessions are left out. Pinned sessions are always included, even
+ * past the limit.
+ *
  * @event get_recent_sessions
  * @param {Object} message - { limit?: number }
  * @returns {void} Sends: recent_sessions
@@ -24,7 +27,9 @@
  *       firstPrompt: 'Help me with...',
  *       messageCount: 10,
  *       created: '2024-01-01T00:00:00Z',
- *       modified: '2024-01-02T00:00:00Z'
+ *       modified: '2024-01-02T00:00:00Z',
+ *       tags: ['bugfix'],
+ *       pinned: false
  *     }
  *   ]
  * }
@@ -34,6 +39,7 @@ import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
 import { join, relative, resolve } from 'node:path';
 import { config, getProjectDisplayName, slugToPath } from '../config.js';
 import { logger } from '../lib/logger.js';
+import { loadSessionMeta } from '../lib/session-meta.js';
 import { loadTitles } from '../lib/session-titles.js';
 import { send } from '../lib/ws.js';
 
@@ -75,6 +81,7 @@ export function handler(ws, message) {
 
         // Load custom titles from .session-titles.json (SDK-safe storage)
         const titles = loadTitles(projectSlug);
+        const meta = loadSessionMeta(projectSlug);
 
         // Track sessions we've already added for this project
         const sessionIds = new Set();
@@ -86,6 +93,7 @@ export function handler(ws, message) {
 
             for (const session of data.entries || []) {
               sessionIds.add(session.sessionId);
+              if (meta[session.sessionId]?.archived) continue;
 
               // Use JSONL file mtime for accurate modification time
               // (sessions-index.json's modified field is stale)
@@ -113,6 +121,8 @@ export function handler(ws, message) {
                 modified,
                 // Use .session-titles.json (SDK overwrites sessions-index.json customTitle)
                 title: titles[session.sessionId] || null,
+                tags: meta[session.sessionId]?.tags || [],
+                pinned: !!meta[session.sessionId]?.pinned,
               };
 
               // Keep the most recent version if duplicate sessionId across projects
@@ -137,7 +147,7 @@ export function handler(ws, message) {
             if (file.endsWith('.jsonl') && !file.startsWith('agent-')) {
               const sessionId = file.replace('.jsonl', '');
               // Skip if already in this project's index
-              if (sessionIds.has(sessionId)) {
+              if (sessionIds.has(sessionId) || meta[sessionId]?.archived) {
                 continue;
               }
 
@@ -188,6 +198,8 @@ export function handler(ws, message) {
                   created: stats.birthtime.toISOString(),
                   modified,
                   title: titles[sessionId] || null,
+                  tags: meta[sessionId]?.tags || [],
+                  pinned: !!meta[sessionId]?.pinned,
                 };
 
                 // Keep the most recent version if duplicate sessionId across projects
@@ -215,8 +227,10 @@ export function handler(ws, message) {
     // Sort by modification date (most recent first)
     allSessions.sort((a, b) => new Date(b.modified) - new Date(a.modified));
 
-    // Limit results
-    const limitedSessions = allSessions.slice(0, limit);
+    // Limit results (pinned sessions are kept regardless)
+    const limitedSessions = allSessions.filter(
+      (session, i) => i < limit || session.pinned,
+    );
 
     send(ws, {
       type: 'recent_sessions',
@@ -0,0 +1,121 @@
+/**
+ * Hooks Management Event Handlers
+ *
+ * Handles WebSocket events for viewing and editing Claude Code hooks
+ * (the `hooks` section of settings.json in local, project and user scope).
+ *
+ * Events:
+ *   hooks:list    -> hooks:list      List hooks across all scopes
+ *   hooks:add     -> hooks:added     Add a command hook
+ *   hooks:update  -> hooks:updated   Replace an existing hook
+ *   hooks:remove  -> hooks:removed   Remove a hook
+ */
+
+import { slugToPath } from '../config.js';
+import {
+  addHook,
+  HOOK_EVENTS,
+  listHooks,
+  removeHook,
+  updateHook,
+} from '../lib/hooks-config.js';
+import { send } from '../lib/ws.js';
+
+function resolveProjectPath(context) {
+  if (!context.currentProjectPath) return null;
+  return slugToPath(context.currentProjectPath);
+}
+
+function listPayload(projectPath) {
+  return {
+    ...listHooks(projectPath),
+    events: HOOK_EVENTS,
+    hasProject: !!projectPath,
+  };
+}
+
+/**
+ * hooks:list — List hooks across all scopes
+ *
+ * @event hooks:list
+ * @returns hooks:list { hooks: Array, errors: Array, events: string[], hasProject }
+ */
+export async function listHandler(ws, _message, context) {
+  const projectPath = resolveProjectPath(context);
+  send(ws, { type: 'hooks:list', ...listPayload(projectPath) });
+}
+
+/**
+ * hooks:add — Add a command hook
+ *
+ * @event hooks:add
+ * @param {object} message.hook    { event, matcher, command, timeout? }
+ * @param {string} message.scope   'local' | 'project' | 'user'
+ * @returns hooks:added { success, error?, hooks? }
+ */
+export async function addHandler(ws, message, context) {
+  const projectPath = resolveProjectPath(context);
+  const result = addHook(message.hook, message.scope, projectPath);
+
+  if (result.success) {
+    send(ws, {
+      type: 'hooks:added',
+      success: true,
+      ...listPayload(projectPath),
+    });
+  } else {
+    send(ws, { type: 'hooks:added', success: false, error: result.error });
+  }
+}
+
+/**
+ * hooks:update — Replace an existing hook
+ *
+ * @event hooks:update
+ * @param {object} message.ref     { event, groupIndex, hookIndex, command } as listed
+ * @param {object} message.hook    { event, matcher, command, timeout? }
+ * @param {string} message.scope   Scope where the hook is defined
+ * @returns hooks:updated { success, error?, hooks? }
+ */
+export async function updateHandler(ws, message, context) {
+  const projectPath = resolveProjectPath(context);
+  const result = updateHook(
+    message.ref,
+    message.hook,
+    message.scope,
+    projectPath,
+  );
+
+  if (result.success) {
+    send(ws, {
+      type: 'hooks:updated',
+      success: true,
+      ...listPayload(projectPath),
+    });
+  } else {
+    send(ws, { type: 'hooks:updated', success: false, error: result.error });
+  }
+}
+
+/**
+ * hooks:remove — Remove a hook
+ *
+ * @event hooks:remove
+ * @param {object} message.ref     { event, groupIndex, hookIndex, command } as listed
+ * @param {string} message.scope   Scope where the hook is defined
+ * @returns hooks:removed { success, error?, hooks? }
+ */
+export async function removeHandler(ws, message, context) {
+  const projectPath = resolveProjectPath(context);
+  const result = removeHook(message.ref, message.scope, projectPath);
+
+  if (result.success) {
+    send(ws, {
+      type: 'hooks:removed',
+      success: true,
+      ...listPayload(projectPath),
+    });
+  } else {
+    send(ws, { type: 'hooks:removed', success: false, error: result.error });
+  }
+}
@@ -5,11 +5,23 @@
  * Event files are self-documenting with JSDoc comments.
  */
 
+import {
+  listHandler as agentsList,
+  removeHandler as agentsRemove,
+  saveHandler as agentsSave,
+} from './agents.js';
 import { handler as answerQuestion } from './answer-question.js';
 import { handler as browseFolder } from './browse-folder.js';
 import { handler as cancelTask } from './cancel-task.js';
+import { handler as listCommands } from './commands.js';
+import {
+  deleteHandler as compareDelete,
+  listHandler as compareList,
+  startHandler as compareStart,
+} from './compare.js';
 import { handler as deleteSession } from './delete-session.js';
 import { getHandler as draftGet, setHandler as draftSet } from './draft.js';
+import { handler as exportSession } from './export-session.js';
 import {
   handleFilesBrowse,
   handleFilesCreate,
@@ -19,6 +31,8 @@ import {
   handleFilesRename,
   handleFilesWrite,
 } from './files.js';
+import { handler as forkSession } from './fork-session.js';
+import { handler as generateSessionTitles } from './generate-session-titles.js';
 import { handler as getGitDiff } from './get-git-diff.js';
 import { handler as getProjectStatus } from './get-project-status.js';
 import { handler as getProjects } from './get-projects.js';
@@ -29,6 +43,16 @@ import { handler as getSettings } from './get-settings.js';
 import { handler as getTaskStatuses } from './get-task-statuses.js';
 import { handler as getUsageStats } from './get-usage-stats.js';
 import { handler as gitClone } from './git-clone.js';
+import {
+  addHandler as hooksAdd,
+  listHandler as hooksList,
+  removeHandler as hooksRemove,
+  updateHandler as hooksUpdate,
+} from './hooks.js';
+import {
+  continueHandler as continueTask,
+  dismissHandler as dismissInterrupted,
+} from './interrupted-task.js';
 import { handler as loadOlderMessages } from './load-older-messages.js';
 import {
   addHandler as mcpAdd,
@@ -44,18 +68,45 @@ import {
   handleSaveConfig as notionSaveConfig,
   handleTestConnection as notionTest,
 } from './notion.js';
+import { handler as permissionResponse } from './permission-response.js';
 import { handlePortsKill, handlePortsList } from './ports.js';
+import {
+  getHandler as projectGetSettings,
+  saveHandler as projectSaveSettings,
+} from './project-settings.js';
 import { handler as prompt } from './prompt.js';
 import {
   clearHandler as queueClear,
   deleteHandler as queueDelete,
+  editHandler as queueEdit,
   getHandler as queueGet,
+  moveHandler as queueMove,
+  pauseHandler as queuePause,
+  resumeHandler as queueResume,
 } from './queue.js';
 import { handleRestart } from './restart.js';
+import {
+  listHandler as getCheckpoints,
+  redoHandler as redoRewind,
+  handler as rewindSession,
+} from './rewind-session.js';
+import {
+  deleteHandler as schedulesDelete,
+  listHandler as schedulesList,
+  runHandler as schedulesRun,
+  saveHandler as schedulesSave,
+} from './schedules.js';
 import { handleFilesSearch } from './search-files.js';
+import { handler as searchSessions } from './search-sessions.js';
 import { handler as selectProject } from './select-project.js';
 import { handler as selectSession } from './select-session.js';
+import { handler as setSessionMeta } from './set-session-meta.js';
 import { handler as setSessionTitle } from './set-session-title.js';
+import {
+  createHandler as sharesCreate,
+  listHandler as sharesList,
+  revokeHandler as sharesRevoke,
+} from './shares.js';
 import {
   handleAddComment as tasksAddComment,
   handleAddOption as tasksAddOption,
@@ -71,6 +122,11 @@ import {
   handleReplaceTask as tasksReplace,
   handleUpdateTask as tasksUpdate,
 } from './tasks.js';
+import {
+  listHandler as templatesList,
+  removeHandler as templatesRemove,
+  saveHandler as templatesSave,
+} from './templates.js';
 import {
   clearHandler as terminalClear,
   execHandler as terminalExec,
@@ -85,9 +141,16 @@ import {
 import { watchUpdateHandler as terminalWatchUpdate } from './terminal-watch.js';
 import { handler as updateSettings } from './update-settings.js';
 import { handleUpgrade } from './upgrade.js';
+import {
+  createHandler as worktreesCreate,
+  discardHandler as worktreesDiscard,
+  listHandler as worktreesList,
+  mergeHandler as worktreesMerge,
+} from './worktrees.js';
 
 export const handlers = {
   answer_question: answerQuestion,
+  permission_response: permissionResponse,
   get_projects: getProjects,
   select_project: selectProject,
   browse_folder: browseFolder,
@@ -97,12 +160,21 @@ export const handlers = {
   load_older_messages: loadOlderMessages,
   new_session: newSession,
   delete_session: deleteSession,
+  fork_session: forkSession,
+  export_session: exportSession,
+  rewind_session: rewindSession,
+  redo_rewind: redoRewind,
+  get_checkpoints: getCheckpoints,
   prompt: prompt,
   get_project_status: getProjectStatus,
   get_session_title: getSessionTitle,
   set_session_title: setSessionTitle,
+  set_session_meta: setSessionMeta,
+  generate_session_titles: generateSessionTitles,
   get_task_statuses: getTaskStatuses,
   cancel_task: cancelTask,
+  continue_task: continueTask,
+  dismiss_interrupted: dismissInterrupted,
   'terminal:exec': terminalExec,
   'terminal:kill': terminalKill,
   'terminal:list': terminalList,
@@ -119,6 +191,7 @@ export const handlers = {
   'files:delete': handleFilesDelete,
   'files:move': handleFilesMove,
   'files:search': handleFilesSearch,
+  'sessions:search': searchSessions,
   'ports:list': handlePortsList,
   'ports:kill': handlePortsKill,
   restart: handleRestart,
@@ -133,9 +206,40 @@ export const handlers = {
   'mcp:update': mcpUpdate,
   'mcp:remove': mcpRemove,
   'mcp:test': mcpTest,
+  'agents:list': agentsList,
+  'agents:save': agentsSave,
+  'agents:remove': agentsRemove,
+  'hooks:list': hooksList,
+  'hooks:add': hooksAdd,
+  'hooks:update': hooksUpdate,
+  'hooks:remove': hooksRemove,
+  'commands:list': listCommands,
+  'templates:list': templatesList,
+  'templates:save': templatesSave,
+  'templates:remove': templatesRemove,
   'queue:delete': queueDelete,
   'queue:clear': queueClear,
   'queue:get': queueGet,
+  'queue:edit': queueEdit,
+  'queue:move': queueMove,
+  'queue:pause': queuePause,
+  'queue:resume': queueResume,
+  'project:get_settings': projectGetSettings,
+  'project:save_settings': projectSaveSettings,
+  'schedules:list': schedulesList,
+  'schedules:save': schedulesSave,
+  'schedules:delete': schedulesDelete,
+  'schedules:run': schedulesRun,
+  'shares:list': sharesList,
+  'shares:create': sharesCreate,
+  'shares:revoke': sharesRevoke,
+  'worktrees:list': worktreesList,
+  'worktrees:create': worktreesCreate,
+  'worktrees:merge': worktreesMerge,
+  'worktrees:discard': worktreesDiscard,
+  'compare:list': compareList,
+  'compare:start': compareStart,
+  'compare:delete': compareDelete,
   'draft:set': draftSet,
   'draft:get': draftGet,
   'notion:get_config': notionGetConfig,
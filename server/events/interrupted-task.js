@@ -0,0 +1,68 @@
+/**
+ * Events: continue_task, dismiss_interrupted
+ *
+ * Turns cut off by a server restart (see lib/running-tasks.js). Selecting the
+ * session sends `interrupted_task` with the turn; the user can continue it with
+ * a continuation prompt, using the model and permission settings it ran with,
+ * or dismiss it.
+ *
+ * @event continue_task
+ * @param {Object} message - Empty object {} (acts on the current session)
+ *
+ * @event dismiss_interrupted
+ * @param {Object} message - Empty object {} (acts on the current session)
+ *
+ * @returns {void} Broadcasts to session watchers: interrupted_task { sessionId, interrupted: null },
+ *   then continue_task streams like `prompt`
+ */
+
+import {
+  clearInterruptedTask,
+  getInterruptedTask,
+} from '../lib/running-tasks.js';
+import { broadcastToSession, send } from '../lib/ws.js';
+import { INTERRUPTED_RESUME_PROMPT, submitPrompt } from './prompt.js';
+
+function resolveInterrupted(ws, context) {
+  if (!context.currentSessionId) {
+    send(ws, { type: 'error', message: 'No session selected' });
+    return null;
+  }
+  const interrupted = getInterruptedTask(context.currentSessionId);
+  if (!interrupted) {
+    send(ws, { type: 'error', message: 'No interrupted task to continue' });
+    return null;
+  }
+  return interrupted;
+}
+
+function notifyCleared(sessionId) {
+  broadcastToSession(sessionId, {
+    type: 'interrupted_task',
+    sessionId,
+    interrupted: null,
+  });
+}
+
+export async function continueHandler(ws, _message, context) {
+  const interrupted = resolveInterrupted(ws, context);
+  if (!interrupted) return;
+
+  const sessionId = context.currentSessionId;
+  clearInterruptedTask(sessionId);
+  notifyCleared(sessionId);
+
+  const outcome = await submitPrompt(ws, interrupted.projectSlug, sessionId, {
+    ...interrupted.options,
+    prompt: INTERRUPTED_RESUME_PROMPT,
+  });
+  if (outcome.error) {
+    send(ws, { type: 'error', message: outcome.error });
+  }
+}
+
+export function dismissHandler(ws, _message, context) {
+  if (!resolveInterrupted(ws, context)) return;
+  clearInterruptedTask(context.currentSessionId);
+  notifyCleared(context.currentSessionId);
+}
@@ -0,0 +1,81 @@
+/**
+ * Event: permission_response
+ *
+ * Receives the user's decision for a pending tool permission request.
+ * Resolves the parked canUseTool Promise so the SDK stream can continue.
+ *
+ * @event permission_response
+ * @param {Object} message - { requestId: string, decision: 'allow'|'deny'|'allow_always', reason?: string }
+ * @returns {void} Broadcasts: permission_resolved
+ *
+ * @example
+ * // Request
+ * { type: 'permission_response', requestId: 'perm-123-1', decision: 'allow_always' }
+ *
+ * // Response (broadcast to all session watchers)
+ * { type: 'permission_resolved', requestId: 'perm-123-1', sessionId: 'abc', decision: 'allow_always' }
+ */
+
+import { logger } from '../lib/logger.js';
+import { getPendingPermission, resolvePermission } from '../lib/permissions.js';
+import { broadcastToSession, isWatchingSession, send } from '../lib/ws.js';
+
+const VALID_DECISIONS = new Set(['allow', 'deny', 'allow_always']);
+
+export function handler(ws, message, context) {
+  const { requestId, decision, reason } = message;
+
+  if (!requestId || !VALID_DECISIONS.has(decision)) {
+    send(ws, {
+      type: 'error',
+      message: 'Invalid permission_response payload',
+      sessionId: context.currentSessionId,
+    });
+    return;
+  }
+
+  const pending = getPendingPermission(requestId);
+  if (!pending) {
+    // Already answered from another tab, timed out, or cancelled
+    send(ws, {
+      type: 'permission_resolved',
+      requestId,
+      sessionId: context.currentSessionId,
+      decision: null,
+    });
+    return;
+  }
+
+  // SECURITY: Only watchers of the requesting session may answer.
+  // Checked via watcher membership rather than context.currentSessionId — a tab that
+  // started a brand-new session only learns its session ID once the turn finishes.
+  if (!isWatchingSession(pending.sessionId, ws)) {
+    logger.log(
+      `[permission_response] Session mismatch: client=${context.currentSessionId}, request=${pending.sessionId}`,
+    );
+    send(ws, {
+      type: 'error',
+      message:
+        'Session mismatch: cannot answer permissions for another session',
+      sessionId: context.currentSessionId,
+    });
+    return;
+  }
+
+  const denyReason =
+    typeof reason === 'string' && reason.trim()
+      ? reason.trim().slice(0, 1000)
+      : undefined;
+  resolvePermission(requestId, decision, denyReason);
+  logger.log(
+    `[permission_response] ${pending.toolName} ${decision} for session ${pending.sessionId}`,
+  );
+
+  // Close the modal in every tab watching this session (including the sender)
+  broadcastToSession(pending.sessionId, {
+    type: 'permission_resolved',
+    requestId,
+    sessionId: pending.sessionId,
+    decision,
+  });
+}
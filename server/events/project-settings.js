@@ -0,0 +1,57 @@
+/**
+ * Events: project:get_settings, project:save_settings
+ *
+ * Per-project agent settings (lib/project-settings.js): extra allowed tools, disallowed
+ * tools, appended system prompt and additional working directories.
+ *
+ * @event project:get_settings
+ * @param {Object} message - { projectSlug: string }
+ *
+ * @event project:save_settings
+ * @param {Object} message - { projectSlug, settings: { allowedTools, disallowedTools,
+ *   appendSystemPrompt, additionalDirectories } }
+ *
+ * @returns {void} Sends: project:settings { projectSlug, settings, defaults, saved?, error? }
+ *   defaults: { allowedTools, autoApprovedTools } — the server-wide tool config
+ */
+
+import { config, isValidProjectSlug } from '../config.js';
+import {
+  loadProjectSettings,
+  saveProjectSettings,
+} from '../lib/project-settings.js';
+import { send } from '../lib/ws.js';
+
+function sendSettings(ws, projectSlug, extra = {}) {
+  send(ws, {
+    type: 'project:settings',
+    projectSlug,
+    settings: loadProjectSettings(projectSlug),
+    defaults: {
+      allowedTools: config.allowedTools,
+      autoApprovedTools: config.autoApprovedTools,
+    },
+    ...extra,
+  });
+}
+
+export function getHandler(ws, message) {
+  if (!isValidProjectSlug(message.projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return;
+  }
+  sendSettings(ws, message.projectSlug);
+}
+
+export function saveHandler(ws, message) {
+  if (!isValidProjectSlug(message.projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return;
+  }
+  const result = saveProjectSettings(message.projectSlug, message.settings);
+  sendSettings(
+    ws,
+    message.projectSlug,
+    result.ok ? { saved: true } : { error: result.error },
+  );
+}
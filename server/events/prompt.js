@@ -5,8 +5,15 @@
  * Streams results back to the client as they arrive.
  *
  * @event prompt
- * @param {Object} message - { prompt: string, dangerouslySkipPermissions?: boolean }
- * @returns {void} Sends: task_status, session_info, text, tool_use, result, error
+ * @param {Object} message - { prompt: string, dangerouslySkipPermissions?: boolean, attachments?: string[],
+ *   thinking?: 'auto'|'off'|number }
+ *   attachments are IDs returned by POST /api/attachments; they're sent to Claude as
+ *   image/document content blocks ahead of the prompt text
+ *   thinking: 'auto' (default) leaves extended thinking to the model, 'off' disables it,
+ *   a number enables it with that token budget
+ * @returns {void} Sends: task_status, session_info, text_delta, thinking, text, tool_use, result, error,
+ *   session_usage (token totals + context fill), permission_request (non-bypass modes,
+ *   answered via permission_response)
  *
  * @example
  * // Request
@@ -15,19 +22,64 @@
  * // Response (streamed)
  * { type: 'task_status', taskId: '123', status: 'running', resultsCount: 1 }
  * { type: 'session_info', sessionId: 'abc-123', projectPath: '/home/...', isNew: true }
- * { type: 'text', content: 'Here is...', timestamp: '...' }
+ * { type: 'thinking', content: 'The user wants...', timestamp: '...' }
+ * { type: 'text_delta', streamId: 'msg_01:0', content: 'Here', model: 'sonnet' }
+ * { type: 'text_delta', streamId: 'msg_01:0', content: ' is...', model: 'sonnet' }
+ * { type: 'text', content: 'Here is...', streamId: 'msg_01:0', timestamp: '...' }  // replaces the streamed text
  * { type: 'tool_use', tool: 'Read', input: {...}, timestamp: '...' }
  * { type: 'result', subtype: 'success', result: '...', cost: 0.01, duration: 5000 }
  * { type: 'task_status', taskId: '123', status: 'completed', resultsCount: 10 }
+ *
+ * // Transient API failure (429, 5xx, 529) — the turn runs again after a backoff
+ * { type: 'task_status', taskId: '123', status: 'retrying', retry: { attempt: 2, maxAttempts: 5, delayMs: 20000, retryAt: '...', reason: 'API overloaded' } }
  */
 
 import path from 'node:path';
 import { query } from '@anthropic-ai/claude-agent-sdk';
 import { config, slugToPath } from '../config.js';
+import {
+  buildPromptContent,
+  isValidAttachmentId,
+  MAX_ATTACHMENTS_PER_PROMPT,
+} from '../lib/attachments.js';
+import { autoTitleAfterTurn } from '../lib/auto-titles.js';
+import {
+  formatUsd,
+  getBudgetStatus,
+  getTurnBudget,
+  recordSpend,
+} from '../lib/budgets.js';
+import {
+  CHECKPOINT_TOOLS_MATCHER,
+  createCheckpoint,
+  getLastEntryUuid,
+} from '../lib/checkpoints.js';
 import { eventBus } from '../lib/event-bus.js';
 import { logger } from '../lib/logger.js';
 import { loadMcpServers } from '../lib/mcp.js';
-import { dequeue, enqueue, getQueue } from '../lib/message-queue.js';
+import {
+  dequeue,
+  enqueue,
+  getQueue,
+  getQueueState,
+  getResumableQueues,
+  setQueuePaused,
+} from '../lib/message-queue.js';
+import { createCanUseTool } from '../lib/permissions.js';
+import { applyProjectSettings } from '../lib/project-settings.js';
+import { describeRetryReason, getRetryDelay } from '../lib/retry-policy.js';
+import {
+  listInterruptedTasks,
+  markTaskFinished,
+  markTaskRunning,
+} from '../lib/running-tasks.js';
+import {
+  describeUsage,
+  getContextTokens,
+  getSessionUsage,
+  recordCompaction,
+  recordTurnUsage,
+} from '../lib/session-usage.js';
 import { loadSettings } from '../lib/settings.js';
 import { addTaskResult, getOrCreateTask, tasks } from '../lib/tasks.js';
 import {
@@ -36,6 +88,22 @@ import {
   send,
   watchSession,
 } from '../lib/ws.js';
+import { cancelSessionTask } from './cancel-task.js';
+
+// Extended thinking budget bounds (tokens) for the per-prompt `thinking` option
+const MIN_THINKING_BUDGET = 1024;
+const MAX_THINKING_BUDGET = 64_000;
+
+// Hook stdout/stderr shown in chat is capped (full output stays in the CLI's logs)
+const HOOK_OUTPUT_MAX_LENGTH = 4000;
+
+// Sent when retrying a turn whose prompt already reached the session transcript
+const RETRY_RESUME_PROMPT =
+  'The previous request was interrupted by a temporary API error. Please continue where you left off.';
+
+// Sent when continuing a turn that was cut off by a server restart
+export const INTERRUPTED_RESUME_PROMPT =
+  'The previous request was interrupted by a server restart. Please continue where you left off.';
 
 // Emit to the event bus only when Discord sync is enabled in user settings.
 // Reads settings fresh each call so toggling the setting takes effect immediately.
@@ -71,46 +139,109 @@ export async function handler(ws, message, context) {
     return;
   }
 
-  // Check if the CURRENT session already has a running task.
+  const outcome = await submitPrompt(
+    ws,
+    context.currentProjectPath,
+    context.currentSessionId,
+    message,
+  );
+
+  if (outcome.error) {
+    send(ws, { type: 'error', message: outcome.error });
+    return;
+  }
+  if (!outcome.queued) {
+    context.currentSessionId = outcome.sessionId;
+  }
+}
+
+/**
+ * Run a prompt in a session, or queue it if the session already has a running task.
+ * Shared by the WebSocket handler and the REST API (routes/api.js).
+ *
+ * @param {WebSocket|Object|null} ws - Client receiving the stream (WebSocket or session stream)
+ * @param {string} projectSlug
+ * @param {string|null} sessionId - Existing session, or null to start a new one
+ * @param {Object} message - { prompt, model?, permissionMode?, dangerouslySkipPermissions?, attachments?, thinking? }
+ * @returns {Promise<{ error: string } | { queued: true, msg: Object, queue: Array } | { queued: false, sessionId: string|null }>}
+ *   Resolves once a queued prompt is stored, or once an executed prompt's turn finishes
+ */
+export async function submitPrompt(ws, projectSlug, sessionId, message) {
+  // SECURITY: Attachment IDs become filesystem paths — validate format up front
+  const attachments = message.attachments ?? [];
+  if (
+    !Array.isArray(attachments) ||
+    attachments.length > MAX_ATTACHMENTS_PER_PROMPT ||
+    !attachments.every(isValidAttachmentId)
+  ) {
+    return {
+      error: `Invalid attachments (max ${MAX_ATTACHMENTS_PER_PROMPT} per prompt)`,
+    };
+  }
+
+  const thinking = message.thinking ?? 'auto';
+  if (
+    thinking !== 'auto' &&
+    thinking !== 'off' &&
+    !(
+      Number.isInteger(thinking) &&
+      thinking >= MIN_THINKING_BUDGET &&
+      thinking <= MAX_THINKING_BUDGET
+    )
+  ) {
+    return {
+      error: `Invalid thinking option: use "auto", "off" or a token budget between ${MIN_THINKING_BUDGET} and ${MAX_THINKING_BUDGET}`,
+    };
+  }
+
+  const options = {
+    dangerouslySkipPermissions: message.dangerouslySkipPermissions,
+    permissionMode: message.permissionMode,
+    model: message.model,
+    attachments,
+    thinking,
+  };
+
+  // Over budget: refuse to run or queue anything until the limit is raised
+  // (or, for the daily project budget, until tomorrow)
+  const budget = getBudgetStatus(projectSlug, sessionId);
+  if (budget.exceeded) {
+    sendAndBroadcast(ws, sessionId, {
+      type: 'budget_status',
+      sessionId,
+      ...budget,
+    });
+    return { error: budget.message };
+  }
+
+  // Check if the session already has a running task.
   // If so, enqueue the prompt instead of rejecting it — it will be auto-processed
   // once the current task finishes.
-  if (context.currentSessionId) {
-    const existingTask = getOrCreateTask(context.currentSessionId);
+  if (sessionId) {
+    const existingTask = getOrCreateTask(sessionId);
     if (existingTask.status === 'running') {
-      const result = enqueue(context.currentSessionId, message.prompt, {
-        model: message.model,
-        permissionMode: message.permissionMode,
-        dangerouslySkipPermissions: message.dangerouslySkipPermissions,
-      });
+      const result = enqueue(sessionId, message.prompt, options, projectSlug);
       if (!result.ok) {
-        send(ws, { type: 'error', message: result.error });
-        return;
+        return { error: result.error };
       }
-      const queue = getQueue(context.currentSessionId);
       // Broadcast to all session watchers — no excludeWs so the sender is included too.
-      broadcastToSession(context.currentSessionId, {
+      broadcastToSession(sessionId, {
         type: 'queue_updated',
-        sessionId: context.currentSessionId,
-        queue,
-        size: queue.length,
+        ...getQueueState(sessionId),
       });
-      return;
+      return { queued: true, msg: result.msg, queue: getQueue(sessionId) };
     }
   }
 
   const newSessionId = await executePrompt(
     ws,
-    context.currentProjectPath,
-    context.currentSessionId,
+    projectSlug,
+    sessionId,
     message.prompt,
-    {
-      dangerouslySkipPermissions: message.dangerouslySkipPermissions,
-      permissionMode: message.permissionMode,
-      model: message.model,
-    },
+    options,
   );
 
-  context.currentSessionId = newSessionId;
+  return { queued: false, sessionId: newSessionId };
 }
 
 async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
@@ -158,8 +289,14 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
   // Load MCP servers from CLI config (merged from user, project, local scopes)
   const mcpServers = loadMcpServers(projectPath);
 
+  // Outside bypass mode, only read-only tools are pre-approved — everything else
+  // (Bash, Write, Edit, MCP tools...) is routed to the browser via canUseTool.
+  const requiresApproval = permissionMode !== 'bypassPermissions';
+
   const queryOptions = {
-    allowedTools: config.allowedTools,
+    allowedTools: requiresApproval
+      ? config.allowedTools.filter((t) => config.autoApprovedTools.includes(t))
+      : config.allowedTools,
     permissionMode,
     cwd: projectPath,
     allowDangerouslySkipPermissions,
@@ -170,8 +307,15 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
     settingSources: ['user', 'project', 'local'],
     // Pass MCP servers if any are configured
     ...(Object.keys(mcpServers).length > 0 && { mcpServers }),
+    // Emit stream_event messages so text can be forwarded token by token
+    includePartialMessages: true,
+    // Emit hook_started/hook_response so settings.json hook runs show in chat
+    includeHookEvents: true,
   };
 
+  // Per-project tool lists, appended system prompt and extra directories
+  applyProjectSettings(projectSlug, queryOptions);
+
   // Set model if specified (sonnet, opus, haiku)
   // Map friendly names to specific model versions from config
   // SECURITY: Validate model string to prevent arbitrary values being sent to SDK
@@ -197,6 +341,46 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
     }
   }
 
+  // Extended thinking: 'auto' (or unset, e.g. prompts queued before this option
+  // existed) keeps the SDK default
+  if (options.thinking === 'off') {
+    queryOptions.thinking = { type: 'disabled' };
+  } else if (Number.isInteger(options.thinking)) {
+    queryOptions.thinking = {
+      type: 'enabled',
+      budgetTokens: options.thinking,
+      display: 'summarized',
+    };
+  }
+
+  // Attachments turn the prompt into a single streaming-input user message with
+  // image/document blocks first and the text last
+  let promptInput = prompt;
+  let displayAttachments = null;
+  if (options.attachments?.length) {
+    try {
+      const built = await buildPromptContent(
+        projectSlug,
+        prompt,
+        options.attachments,
+      );
+      displayAttachments = built.attachments;
+      promptInput = (async function* () {
+        yield {
+          type: 'user',
+          message: { role: 'user', content: built.content },
+          parent_tool_use_id: null,
+          session_id: taskSessionId || '',
+        };
+      })();
+    } catch (error) {
+      if (ws) {
+        send(ws, { type: 'error', message: error.message });
+      }
+      return sessionId;
+    }
+  }
+
   if (taskSessionId) {
     queryOptions.resume = taskSessionId;
     console.log(`Resuming session: ${taskSessionId}`);
@@ -228,11 +412,62 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
   // DON'T clear results - we want to keep the conversation history in memory
   // task.results = []
   task.error = null;
+  task.retry = null;
   task.startTime = Date.now();
   task.abortController = abortController;
 
   // Pass abort controller to SDK so it can actually cancel the API request
   queryOptions.abortController = abortController;
+  // Budget enforcement needs to find running tasks by project
+  task.projectSlug = projectSlug;
+
+  // Persisted so a restart mid-turn can offer to continue it (new sessions are
+  // recorded once the init message brings their ID)
+  const runningTurn = {
+    projectSlug,
+    prompt,
+    options,
+    fromQueue: options.fromQueue,
+  };
+  markTaskRunning(taskSessionId, runningTurn);
+
+  // Cap this turn at whatever is left of the turn/session/daily budgets — the SDK
+  // stops with an error_max_budget_usd result once it is spent
+  const turnBudget = getTurnBudget(projectSlug, taskSessionId);
+  if (turnBudget) {
+    queryOptions.maxBudgetUsd = Math.max(turnBudget.maxBudgetUsd, 0);
+  }
+
+  // Ask session watchers for approval on tool calls that aren't pre-approved.
+  // taskSessionId is read lazily — new sessions only get their ID from the init message.
+  if (requiresApproval) {
+    queryOptions.canUseTool = createCanUseTool({
+      getSessionId: () => taskSessionId,
+      notify: (message) => sendAndBroadcast(ws, taskSessionId, message),
+    });
+  }
+
+  // Snapshot files before Claude modifies them so the turn can be rewound.
+  // The hook only copies files aside — it never blocks the tool call.
+  const checkpoint = createCheckpoint(projectSlug, {
+    getSessionId: () => taskSessionId,
+    afterUuid: getLastEntryUuid(projectSlug, taskSessionId),
+    prompt,
+    cwd: projectPath,
+  });
+  queryOptions.hooks = {
+    PreToolUse: [
+      {
+        matcher: CHECKPOINT_TOOLS_MATCHER,
+        hooks: [
+          async (input) => {
+            checkpoint.snapshot(input.tool_input);
+            return { continue: true };
+          },
+        ],
+      },
+    ],
+  };
 
   // Add user message and send to client immediately (and broadcast to other watchers)
   const userMessage = {
@@ -245,9 +480,13 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
       : options.permissionMode || 'default',
     dangerouslySkipPermissions: options.dangerouslySkipPermissions || false,
     model: options.model || null, // Track which model was used for this message
+    ...(displayAttachments && { attachments: displayAttachments }),
   };
-  addTaskResult(task, userMessage);
-  sendAndBroadcast(ws, taskSessionId, userMessage);
+  // A retry of the same prompt is already on screen from the first attempt
+  if (!options.retryAttempt || options.retryResumed) {
+    addTaskResult(task, userMessage);
+    sendAndBroadcast(ws, taskSessionId, userMessage);
+  }
 
   broadcastTaskStatus(taskSessionId, {
     type: 'task_status',
@@ -262,15 +501,37 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
   // post-loop fallback checks it, causing both messages to execute simultaneously.
   let shouldProcessQueue = false;
 
+  // Partial-message streaming: IDs of main-thread text blocks that have streamed
+  // deltas but not yet arrived as a complete block (blocks complete in order)
+  const streamedTextBlocks = [];
+  let streamMessage = null;
+
+  // Context size of the latest main-thread API call, persisted with the turn's usage
+  let turnContextTokens = 0;
+  let turnModel = null;
+
+  // Set once the CLI has started the session — from then on the prompt is in the
+  // transcript, so a retry continues the session instead of repeating it
+  let promptDelivered = false;
+
   let stream;
   try {
     console.log(
       `Calling SDK query() with prompt: "${prompt.substring(0, 50)}..."`,
     );
-    stream = query({ prompt, options: queryOptions });
+    stream = query({ prompt: promptInput, options: queryOptions });
     task.stream = stream; // Store Query object for streamInput() access
     console.log('Query returned:', typeof stream, stream ? 'truthy' : 'falsy');
   } catch (error) {
+    const retried = retryTransientFailure(ws, projectSlug, taskSessionId, {
+      prompt,
+      options,
+      task,
+      error,
+      promptDelivered,
+    });
+    if (retried) return retried;
+
     // Handle stream creation errors
     task.status = 'error';
     task.error = error.message;
@@ -334,10 +595,14 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
       status: 'error',
       resultsCount: task.results.length,
     });
+    markTaskFinished(taskSessionId);
     processNextInQueue(taskSessionId, projectSlug);
     return taskSessionId;
   }
 
+  // Read once per turn — token deltas are too frequent to load settings for each
+  const discordSyncDeltas = loadSettings().discordSyncEnabled;
+
   try {
     for await (const message of stream) {
       // Check if task was cancelled
@@ -353,6 +618,44 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
         return taskSessionId;
       }
 
+      // Token-level events: forward text deltas, skip the per-message logging
+      if (message.type === 'stream_event') {
+        // Subagent (Task tool) output only shows up as complete blocks
+        if (message.parent_tool_use_id) continue;
+        const event = message.event;
+        if (event.type === 'message_start') {
+          streamMessage = {
+            id: event.message?.id,
+            name: toModelName(event.message?.model),
+          };
+        } else if (
+          event.type === 'content_block_start' &&
+          event.content_block?.type === 'text'
+        ) {
+          streamedTextBlocks.push(`${streamMessage?.id}:${event.index}`);
+        } else if (
+          event.type === 'content_block_delta' &&
+          event.delta?.type === 'text_delta'
+        ) {
+          // Deltas aren't kept in task.results — the complete block that follows is
+          sendAndBroadcast(ws, taskSessionId, {
+            type: 'text_delta',
+            streamId: `${streamMessage?.id}:${event.index}`,
+            content: event.delta.text,
+            sessionId: taskSessionId,
+            model: streamMessage?.name || null,
+          });
+          if (discordSyncDeltas) {
+            eventBus.emit('session:text_delta', {
+              projectPath,
+              sessionId: taskSessionId,
+              content: event.delta.text,
+            });
+          }
+        }
+        continue;
+      }
+
       console.log(
         `Received message type: ${message.type}`,
         message.subtype || '',
@@ -365,12 +668,14 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
 
       // Capture session ID from init message
       if (message.type === 'system' && message.subtype === 'init') {
+        promptDelivered = true;
         const newSessionId = message.session_id;
         if (newSessionId) {
           const isNewSession = !taskSessionId;
           if (isNewSession) {
             taskSessionId = newSessionId;
             tasks.set(taskSessionId, task);
+            markTaskRunning(taskSessionId, runningTurn);
             // Register this client as watching the new session
             watchSession(taskSessionId, ws);
           }
@@ -394,22 +699,63 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
         }
       }
 
+      // Compaction shrinks the context to the summary
+      if (message.type === 'system' && message.subtype === 'compact_boundary') {
+        turnContextTokens = 0;
+        const entry = recordCompaction(
+          projectSlug,
+          taskSessionId,
+          message.compact_metadata,
+        );
+        sendSessionUsage(ws, taskSessionId, describeUsage(entry));
+      }
+
+      // One chat entry per finished hook run (started/progress are skipped)
+      if (message.type === 'system' && message.subtype === 'hook_response') {
+        const output =
+          message.outcome === 'error'
+            ? message.stderr || message.output || message.stdout
+            : message.output || message.stdout;
+        const result = {
+          type: 'hook',
+          hookId: message.hook_id,
+          name: message.hook_name,
+          event: message.hook_event,
+          outcome: message.outcome,
+          exitCode: message.exit_code ?? null,
+          output: (output || '').slice(0, HOOK_OUTPUT_MAX_LENGTH),
+          timestamp: new Date().toISOString(),
+          sessionId: taskSessionId,
+        };
+        addTaskResult(task, result);
+        sendAndBroadcast(ws, taskSessionId, result);
+      }
+
       // Process messages
       if (message.type === 'assistant') {
         const content = message.message?.content || [];
-        // Extract model name from full model string (e.g., "claude-sonnet-4-6" -> "sonnet")
-        let modelName = null;
-        if (message.message?.model) {
-          const fullModel = message.message.model;
-          console.log('API returned model:', fullModel);
-          if (fullModel.includes('opus')) {
-            modelName = 'opus';
-          } else if (fullModel.includes('haiku')) {
-            modelName = 'haiku';
-          } else if (fullModel.includes('sonnet')) {
-            modelName = 'sonnet';
-          }
-          console.log('Extracted model name:', modelName);
+        const modelName = toModelName(message.message?.model);
+        // Steps run inside a subagent point at the Agent/Task tool call that started it
+        const subagent = message.parent_tool_use_id
+          ? { parentToolUseId: message.parent_tool_use_id }
+          : null;
+
+        // Live context fill — each content block repeats its API call's usage,
+        // so only report when the context size actually changes
+        const contextTokens = message.parent_tool_use_id
+          ? 0
+          : getContextTokens(message.message?.usage);
+        if (contextTokens && contextTokens !== turnContextTokens) {
+          turnContextTokens = contextTokens;
+          turnModel = message.message.model;
+          sendSessionUsage(
+            ws,
+            taskSessionId,
+            describeUsage(
+              getSessionUsage(projectSlug, taskSessionId),
+              contextTokens,
+            ),
+          );
         }
 
         for (const block of content) {
@@ -419,7 +765,15 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
               content: block.text,
               timestamp: new Date().toISOString(),
               sessionId: taskSessionId,
+              // Transcript entry UUID — fork point for fork_session
+              uuid: message.uuid,
               model: modelName,
+              ...subagent,
+              // Streamed text this block replaces (absent for subagent text)
+              ...(!subagent &&
+                streamedTextBlocks.length > 0 && {
+                  streamId: streamedTextBlocks.shift(),
+                }),
             };
             addTaskResult(task, result);
             sendAndBroadcast(ws, taskSessionId, result);
@@ -429,6 +783,23 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
               content: block.text,
               model: modelName,
             });
+          } else if (
+            block.type === 'thinking' ||
+            block.type === 'redacted_thinking'
+          ) {
+            // Redacted (encrypted) or omitted thinking: show that reasoning happened, not its content
+            const result = {
+              type: 'thinking',
+              content: block.thinking || '',
+              redacted: !block.thinking,
+              timestamp: new Date().toISOString(),
+              sessionId: taskSessionId,
+              uuid: message.uuid,
+              model: modelName,
+              ...subagent,
+            };
+            addTaskResult(task, result);
+            sendAndBroadcast(ws, taskSessionId, result);
           } else if ('name' in block) {
             const result = {
               type: 'tool_use',
@@ -437,7 +808,9 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
               id: block.id, // Include block ID for debugging
               timestamp: new Date().toISOString(),
               sessionId: taskSessionId,
+              uuid: message.uuid,
               model: modelName,
+              ...subagent,
             };
             addTaskResult(task, result);
             sendAndBroadcast(ws, taskSessionId, result);
@@ -500,6 +873,9 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
                 isError: block.is_error || false,
                 timestamp: new Date().toISOString(),
                 sessionId: taskSessionId,
+                ...(message.parent_tool_use_id && {
+                  parentToolUseId: message.parent_tool_use_id,
+                }),
               };
               addTaskResult(task, result);
               sendAndBroadcast(ws, taskSessionId, result);
@@ -518,6 +894,14 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
         };
         addTaskResult(task, result);
         sendAndBroadcast(ws, taskSessionId, result);
+        enforceBudgets(ws, projectSlug, taskSessionId, message, turnBudget);
+        const usageEntry = recordTurnUsage(projectSlug, taskSessionId, {
+          usage: message.usage,
+          modelUsage: message.modelUsage,
+          contextTokens: turnContextTokens,
+          model: turnModel,
+        });
+        sendSessionUsage(ws, taskSessionId, describeUsage(usageEntry));
         discordEmit('session:result', {
           projectPath,
           sessionId: taskSessionId,
@@ -525,6 +909,10 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
           cost: message.total_cost_usd,
           duration: message.duration_ms,
         });
+        // Name untitled sessions in the background (haiku, see lib/auto-titles.js)
+        if (message.subtype === 'success') {
+          autoTitleAfterTurn(projectSlug, taskSessionId);
+        }
 
         // Mark completed immediately on result — don't wait for the for-await loop to exit.
         // The SDK may keep the stream open briefly after emitting result (e.g. cleanup),
@@ -584,6 +972,30 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
       }
     }
   } catch (error) {
+    const retried = retryTransientFailure(ws, projectSlug, taskSessionId, {
+      prompt,
+      options,
+      task,
+      error,
+      promptDelivered,
+    });
+    if (retried) return retried;
+
+    // Cancelled mid-stream (user cancel, shutdown, upgrade) — not an error
+    if (abortController.signal.aborted) {
+      task.status = 'cancelled';
+      task.stream = null;
+      broadcastTaskStatus(taskSessionId, {
+        type: 'task_status',
+        taskId: task.id,
+        status: 'cancelled',
+        resultsCount: task.results.length,
+      });
+      console.log(`Task ${task.id} cancelled (stream threw after abort)`);
+      // Queue pauses on cancel — do NOT call processNextInQueue
+      return taskSessionId;
+    }
+
     task.status = 'error';
     task.error = error.message;
     task.stream = null; // Release stream reference on error too
@@ -653,40 +1065,281 @@ async function executePrompt(ws, projectSlug, sessionId, prompt, options = {}) {
       resultsCount: task.results.length,
     });
     processNextInQueue(taskSessionId, projectSlug);
+  } finally {
+    // A pending retry is still the same turn — keep it recorded as running
+    if (!task.retry) markTaskFinished(taskSessionId);
+
+    // Link the checkpoint to the turn's transcript entry and tell watchers
+    // which user message can now be rewound to
+    const saved = checkpoint.finalize();
+    if (saved) {
+      sendAndBroadcast(ws, taskSessionId, {
+        type: 'checkpoint_saved',
+        sessionId: taskSessionId,
+        checkpoint: saved,
+      });
+    }
   }
 
   return taskSessionId;
 }
 
 /**
- * Dequeue and execute the next queued prompt for a session (if any).
- * Called after each task completes or errors — NOT after cancel (queue pauses on cancel).
+ * Run a failed turn again after a backoff when the error is transient
+ * (see lib/retry-policy.js).
+ *
+ * The task stays 'running' while it waits, so new prompts queue behind the retry
+ * and cancel stops it. Watchers get a `task_status` of 'retrying' with
+ * { attempt, maxAttempts, delayMs, retryAt, reason } for the countdown.
+ *
+ * @param {WebSocket|Object|null} ws
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @param {Object} failed - { prompt, options, task, error, promptDelivered }
+ * @returns {Promise<string|null>|null} Resolves with the session ID once the retried
+ *   turn finishes, or null when the error isn't retried
+ */
+function retryTransientFailure(ws, projectSlug, sessionId, failed) {
+  const { prompt, options, task, error, promptDelivered } = failed;
+  const attempt = options.retryAttempt ?? 1;
+  const signal = task.abortController?.signal;
+  if (!signal || signal.aborted) return null;
+
+  const delayMs = getRetryDelay(error.message, attempt);
+  if (delayMs === null) return null;
+
+  task.stream = null;
+  task.retry = {
+    attempt: attempt + 1,
+    maxAttempts: config.retry.maxAttempts,
+    delayMs,
+    retryAt: new Date(Date.now() + delayMs).toISOString(),
+    reason: describeRetryReason(error.message),
+  };
+  console.log(
+    `[retry] ${task.retry.reason} in session ${sessionId || '(new)'} — attempt ${task.retry.attempt}/${task.retry.maxAttempts} in ${Math.round(delayMs / 1000)}s: ${error.message}`,
+  );
+
+  const statusMessage = {
+    type: 'task_status',
+    taskId: task.id,
+    status: 'retrying',
+    resultsCount: task.results.length,
+    retry: task.retry,
+  };
+  if (sessionId) {
+    broadcastTaskStatus(sessionId, statusMessage);
+  } else if (ws) {
+    // The session wasn't created yet — only the sender knows about this turn
+    send(ws, { ...statusMessage, sessionId: null });
+  }
+
+  const resumed = promptDelivered && !!sessionId;
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      task.status = 'cancelled';
+      task.retry = null;
+      markTaskFinished(sessionId);
+      broadcastTaskStatus(sessionId, {
+        type: 'task_status',
+        taskId: task.id,
+        status: 'cancelled',
+        resultsCount: task.results.length,
+      });
+      resolve(sessionId);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(
+        executePrompt(
+          ws,
+          projectSlug,
+          sessionId,
+          resumed ? RETRY_RESUME_PROMPT : prompt,
+          {
+            ...options,
+            attachments: resumed ? [] : options.attachments,
+            retryAttempt: attempt + 1,
+            retryResumed: resumed,
+          },
+        ),
+      );
+    }, delayMs);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Push a session's token usage and context fill (see lib/session-usage.js) to its watchers.
+ */
+function sendSessionUsage(ws, sessionId, usage) {
+  if (!sessionId || !usage) return;
+  sendAndBroadcast(ws, sessionId, { type: 'session_usage', sessionId, usage });
+}
+
+/**
+ * Short model name from the full model string (e.g. "claude-sonnet-4-6" -> "sonnet").
+ * @param {string|undefined} fullModel
+ * @returns {'opus'|'haiku'|'sonnet'|null}
+ */
+function toModelName(fullModel) {
+  if (!fullModel) return null;
+  if (fullModel.includes('opus')) return 'opus';
+  if (fullModel.includes('haiku')) return 'haiku';
+  if (fullModel.includes('sonnet')) return 'sonnet';
+  return null;
+}
+
+/**
+ * Record a finished turn's cost and apply budget limits:
+ * - a turn stopped by maxBudgetUsd gets an explanatory error in the chat
+ * - once the daily project budget is spent, other running tasks in the project are
+ *   aborted (their own maxBudgetUsd didn't account for each other's spend)
+ * - watchers get the new budget_status so the UI can show the exceeded state
+ */
+function enforceBudgets(ws, projectSlug, sessionId, resultMessage, turnBudget) {
+  recordSpend(projectSlug, sessionId, resultMessage.total_cost_usd);
+
+  if (resultMessage.subtype === 'error_max_budget_usd' && turnBudget) {
+    const limit =
+      turnBudget.scope === 'turn'
+        ? `per-turn budget of ${formatUsd(turnBudget.maxBudgetUsd)}`
+        : turnBudget.scope === 'session'
+          ? 'session budget'
+          : 'daily project budget';
+    sendAndBroadcast(ws, sessionId, {
+      type: 'error',
+      message: `Stopped: this turn reached the ${limit}.`,
+      timestamp: new Date().toISOString(),
+      sessionId,
+    });
+  }
+
+  const status = getBudgetStatus(projectSlug, sessionId);
+  sendAndBroadcast(ws, sessionId, {
+    type: 'budget_status',
+    sessionId,
+    ...status,
+  });
+
+  if (status.exceeded && status.scope === 'project') {
+    for (const [otherId, task] of tasks) {
+      if (
+        otherId === sessionId ||
+        task.projectSlug !== projectSlug ||
+        task.status !== 'running'
+      ) {
+        continue;
+      }
+      console.log(
+        `[budget] Daily budget for ${projectSlug} exceeded — stopping session ${otherId}`,
+      );
+      cancelSessionTask(otherId);
+      broadcastToSession(otherId, {
+        type: 'budget_status',
+        sessionId: otherId,
+        ...getBudgetStatus(projectSlug, otherId),
+      });
+    }
+  }
+}
+
+/**
+ * Dequeue and execute the next queued prompt for a session (if any and not paused).
+ * Called after each task completes or errors, and when a paused queue is resumed —
+ * NOT after cancel (cancel pauses the queue, see cancel-task.js).
  * ws is null so messages broadcast to session watchers only.
  */
-function processNextInQueue(sessionId, projectSlug) {
+export function processNextInQueue(sessionId, projectSlug) {
   if (!sessionId) return;
+
+  // Queued work is held (queue paused) while the session or project is over budget
+  const budget = getBudgetStatus(projectSlug, sessionId);
+  if (budget.exceeded) {
+    if (getQueue(sessionId).length > 0) {
+      setQueuePaused(sessionId, true, projectSlug);
+      broadcastToSession(sessionId, {
+        type: 'queue_updated',
+        ...getQueueState(sessionId),
+      });
+      broadcastToSession(sessionId, {
+        type: 'budget_status',
+        sessionId,
+        ...budget,
+      });
+    }
+    return;
+  }
+
   const next = dequeue(sessionId);
   if (!next) return;
 
   // Broadcast updated queue state (item was dequeued)
-  const queue = getQueue(sessionId);
   broadcastToSession(sessionId, {
     type: 'queue_updated',
-    sessionId,
-    queue,
-    size: queue.length,
+    ...getQueueState(sessionId),
   });
 
   console.log(
     `[queue] Processing next queued message for session ${sessionId}: "${next.prompt.substring(0, 50)}..."`,
   );
 
-  executePrompt(null, projectSlug, sessionId, next.prompt, next.options).catch(
-    (err) => {
+  executePrompt(null, projectSlug, sessionId, next.prompt, {
+    ...next.options,
+    fromQueue: true,
+  }).catch((err) => {
+    console.error(
+      `[queue] Error processing queued message for session ${sessionId}:`,
+      err,
+    );
+  });
+}
+
+/**
+ * Restart queues persisted before the last shutdown. Paused queues stay paused.
+ * Called once on server start.
+ * @returns {number} Number of queues resumed
+ */
+export function resumeQueues() {
+  let resumed = 0;
+  for (const { sessionId, projectSlug } of getResumableQueues()) {
+    // Continuing an interrupted queued turn — the queue carries on after it
+    if (tasks.get(sessionId)?.status === 'running') continue;
+    console.log(`[queue] Resuming persisted queue for session ${sessionId}`);
+    processNextInQueue(sessionId, projectSlug);
+    resumed++;
+  }
+  return resumed;
+}
+
+/**
+ * Continue turns from the message queue that the last shutdown cut off, so
+ * overnight queues pick up where they stopped. Other interrupted turns wait for
+ * the user to continue them (see events/interrupted-task.js).
+ * Called once on server start, before resumeQueues().
+ * @returns {number} Number of turns continued
+ */
+export function resumeInterruptedTasks() {
+  let resumed = 0;
+  for (const {
+    sessionId,
+    projectSlug,
+    options,
+    fromQueue,
+  } of listInterruptedTasks()) {
+    if (!fromQueue) continue;
+    console.log(`[queue] Continuing interrupted turn for session ${sessionId}`);
+    executePrompt(null, projectSlug, sessionId, INTERRUPTED_RESUME_PROMPT, {
+      ...options,
+      fromQueue: true,
+    }).catch((err) => {
       console.error(
-        `[queue] Error processing queued message for session ${sessionId}:`,
+        `[queue] Error continuing interrupted turn for session ${sessionId}:`,
         err,
       );
-    },
-  );
+    });
+    resumed++;
+  }
+  return resumed;
 }
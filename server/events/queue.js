@@ -1,30 +1,52 @@
 /**
- * Event handlers: queue:delete, queue:clear, queue:get
+ * Event handlers: queue:delete, queue:clear, queue:get, queue:edit, queue:move,
+ * queue:pause, queue:resume
  *
- * queue:delete  { messageId }         → queue_updated (broadcast)
- * queue:clear   {}                    → queue_updated (broadcast)
- * queue:get     {}                    → queue_state   (send to requester only)
+ * queue:delete  { messageId }                 → queue_updated (broadcast)
+ * queue:clear   {}                            → queue_updated (broadcast)
+ * queue:get     {}                            → queue_state   (send to requester only)
+ * queue:edit    { messageId, prompt }         → queue_updated (broadcast)
+ * queue:move    { messageId, toIndex }        → queue_updated (broadcast)
+ * queue:pause   {}                            → queue_updated (broadcast)
+ * queue:resume  {}                            → queue_updated (broadcast), starts the
+ *                                               next message if the session is idle
+ *
+ * queue_state / queue_updated: { sessionId, queue, size, paused }
  */
 
-import { clearQueue, deleteMessage, getQueue } from '../lib/message-queue.js';
+import {
+  clearQueue,
+  deleteMessage,
+  editMessage,
+  getQueueProject,
+  getQueueState,
+  moveMessage,
+  setQueuePaused,
+} from '../lib/message-queue.js';
+import { tasks } from '../lib/tasks.js';
 import { broadcastToSession, send } from '../lib/ws.js';
+import { processNextInQueue } from './prompt.js';
+
+const MAX_PROMPT_LENGTH = 100_000;
 
 function broadcastQueueUpdated(sessionId) {
-  const queue = getQueue(sessionId);
   broadcastToSession(sessionId, {
     type: 'queue_updated',
-    sessionId,
-    queue,
-    size: queue.length,
+    ...getQueueState(sessionId),
   });
 }
 
-export function deleteHandler(ws, message, context) {
+function requireSession(ws, context) {
   const sessionId = context.currentSessionId;
   if (!sessionId) {
     send(ws, { type: 'error', message: 'No session selected' });
-    return;
   }
+  return sessionId;
+}
+
+export function deleteHandler(ws, message, context) {
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
 
   const { messageId } = message;
   if (!messageId) {
@@ -41,11 +63,8 @@ export function deleteHandler(ws, message, context) {
 }
 
 export function clearHandler(ws, _message, context) {
-  const sessionId = context.currentSessionId;
-  if (!sessionId) {
-    send(ws, { type: 'error', message: 'No session selected' });
-    return;
-  }
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
 
   clearQueue(sessionId);
   broadcastQueueUpdated(sessionId);
@@ -53,11 +72,76 @@ export function clearHandler(ws, _message, context) {
 
 export function getHandler(ws, _message, context) {
   const sessionId = context.currentSessionId;
-  const queue = sessionId ? getQueue(sessionId) : [];
   send(ws, {
     type: 'queue_state',
-    sessionId,
-    queue,
-    size: queue.length,
+    ...(sessionId
+      ? getQueueState(sessionId)
+      : { sessionId, queue: [], size: 0, paused: false }),
   });
 }
+
+export function editHandler(ws, message, context) {
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
+
+  const { messageId, prompt } = message;
+  if (!messageId || typeof prompt !== 'string') {
+    send(ws, { type: 'error', message: 'messageId and prompt are required' });
+    return;
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    send(ws, { type: 'error', message: 'Prompt is too long' });
+    return;
+  }
+
+  const result = editMessage(sessionId, messageId, prompt);
+  if (!result.ok) {
+    send(ws, { type: 'error', message: result.error });
+    // Re-sync the editor with what is actually queued
+    send(ws, { type: 'queue_state', ...getQueueState(sessionId) });
+    return;
+  }
+  broadcastQueueUpdated(sessionId);
+}
+
+export function moveHandler(ws, message, context) {
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
+
+  const { messageId, toIndex } = message;
+  if (!messageId || !Number.isInteger(toIndex)) {
+    send(ws, {
+      type: 'error',
+      message: 'messageId and integer toIndex are required',
+    });
+    return;
+  }
+
+  if (moveMessage(sessionId, messageId, toIndex)) {
+    broadcastQueueUpdated(sessionId);
+  }
+}
+
+export function pauseHandler(ws, _message, context) {
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
+
+  setQueuePaused(sessionId, true, context.currentProjectPath);
+  broadcastQueueUpdated(sessionId);
+}
+
+export function resumeHandler(ws, _message, context) {
+  const sessionId = requireSession(ws, context);
+  if (!sessionId) return;
+
+  setQueuePaused(sessionId, false);
+  broadcastQueueUpdated(sessionId);
+
+  // Nothing will pick the queue up if the session is idle — start it now
+  if (tasks.get(sessionId)?.status !== 'running') {
+    processNextInQueue(
+      sessionId,
+      getQueueProject(sessionId) || context.currentProjectPath,
+    );
+  }
+}
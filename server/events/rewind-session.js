@@ -0,0 +1,204 @@
+/**
+ * Events: rewind_session, redo_rewind, get_checkpoints
+ *
+ * Rewind a session to before one of its turns: files Claude edited from that turn
+ * onward are restored from checkpoints (lib/checkpoints.js), and the conversation
+ * continues in a new branch forked just before the turn's prompt. The original
+ * JSONL is never modified. Redo puts the files back as they were at rewind time.
+ *
+ * @event rewind_session
+ * @param {Object} message - { sessionId: string, messageUuid: string } — user message to rewind to
+ * @returns {void} Sends: session_rewound { sessionId, parentSessionId, rewindId, prompt, files } | error
+ *   sessionId is null when rewinding to the first turn (continue in a new session)
+ *
+ * @event redo_rewind
+ * @param {Object} message - { sessionId: string, rewindId: string } — sessionId of the rewound (original) session
+ * @returns {void} Sends: rewind_redone { sessionId, rewindId } | error
+ *
+ * @event get_checkpoints
+ * @param {Object} message - { sessionId: string }
+ * @returns {void} Sends: checkpoints { sessionId, checkpoints, pendingRewinds, rewoundFrom }
+ *   rewoundFrom is { parentSessionId, rewindId, redone } when this session is a rewind branch
+ *
+ * @example
+ * // Request
+ * { type: 'rewind_session', sessionId: 'abc-123', messageUuid: 'f81d...' }
+ *
+ * // Response
+ * { type: 'session_rewound', sessionId: 'def-456', parentSessionId: 'abc-123', rewindId: '9b2e...',
+ *   prompt: 'Refactor...', files: [{ path: '/home/.../a.js', action: 'restored' }] }
+ */
+
+import { forkSession } from '@anthropic-ai/claude-agent-sdk';
+import { slugToPath } from '../config.js';
+import {
+  findCheckpoint,
+  getRewind,
+  listCheckpoints,
+  listPendingRewinds,
+  redoRewind,
+  rewindFiles,
+  setRewindFork,
+} from '../lib/checkpoints.js';
+import { logger } from '../lib/logger.js';
+import { loadForks, recordFork } from '../lib/session-forks.js';
+import { getTitle, setTitle } from '../lib/session-titles.js';
+import { isValidSessionId } from '../lib/sessions.js';
+import { tasks } from '../lib/tasks.js';
+import { send } from '../lib/ws.js';
+
+export async function handler(ws, message, context) {
+  const { sessionId, messageUuid } = message;
+  const projectSlug = context.currentProjectPath;
+
+  if (!projectSlug) {
+    send(ws, { type: 'error', message: 'No project selected' });
+    return;
+  }
+
+  if (!isValidSessionId(sessionId) || !isValidSessionId(messageUuid)) {
+    send(ws, { type: 'error', message: 'Invalid session or message ID' });
+    return;
+  }
+
+  if (tasks.get(sessionId)?.status === 'running') {
+    send(ws, {
+      type: 'error',
+      message: 'Cannot rewind while a task is running — cancel it first',
+    });
+    return;
+  }
+
+  const checkpoint = findCheckpoint(projectSlug, sessionId, messageUuid);
+  if (!checkpoint) {
+    send(ws, {
+      type: 'error',
+      message: 'No checkpoint for this message — it cannot be rewound',
+    });
+    return;
+  }
+
+  const result = rewindFiles(projectSlug, sessionId, checkpoint.id);
+  if (!result.ok) {
+    send(ws, { type: 'error', message: result.error });
+    return;
+  }
+  const { rewind } = result;
+
+  // Branch the conversation just before the turn's prompt. Rewinding to the
+  // first turn leaves nothing to keep — the client starts a new session.
+  let forkedId = null;
+  if (checkpoint.afterUuid) {
+    const parentTitle = getTitle(projectSlug, sessionId);
+    try {
+      ({ sessionId: forkedId } = await forkSession(sessionId, {
+        dir: slugToPath(projectSlug),
+        upToMessageId: checkpoint.afterUuid,
+        ...(parentTitle && { title: `${parentTitle} (rewind)` }),
+      }));
+    } catch (err) {
+      logger.error('[rewind] fork failed:', err);
+      // Put the files back so a failed rewind leaves nothing half-done
+      redoRewind(projectSlug, sessionId, rewind.id);
+      send(ws, {
+        type: 'error',
+        message: `Failed to rewind session: ${err.message}`,
+      });
+      return;
+    }
+
+    recordFork(
+      projectSlug,
+      forkedId,
+      sessionId,
+      checkpoint.afterUuid,
+      rewind.id,
+    );
+    if (parentTitle) {
+      setTitle(projectSlug, forkedId, `${parentTitle} (rewind)`);
+    }
+  }
+  setRewindFork(projectSlug, rewind, forkedId);
+
+  logger.log(
+    `[rewind] ${sessionId} @ ${messageUuid} → ${forkedId || 'new session'} (${rewind.results.length} files)`,
+  );
+
+  send(ws, {
+    type: 'session_rewound',
+    sessionId: forkedId,
+    parentSessionId: sessionId,
+    rewindId: rewind.id,
+    prompt: checkpoint.prompt,
+    files: rewind.results,
+  });
+}
+
+export function redoHandler(ws, message, context) {
+  const { sessionId, rewindId } = message;
+  const projectSlug = context.currentProjectPath;
+
+  if (!projectSlug) {
+    send(ws, { type: 'error', message: 'No project selected' });
+    return;
+  }
+
+  if (!isValidSessionId(sessionId) || !isValidSessionId(rewindId)) {
+    send(ws, { type: 'error', message: 'Invalid session or rewind ID' });
+    return;
+  }
+
+  // The branch may be editing the same files right now
+  const forkSessionId = getRewind(
+    projectSlug,
+    sessionId,
+    rewindId,
+  )?.forkSessionId;
+  if (forkSessionId && tasks.get(forkSessionId)?.status === 'running') {
+    send(ws, {
+      type: 'error',
+      message: 'Cannot redo while the rewound branch is running',
+    });
+    return;
+  }
+
+  const result = redoRewind(projectSlug, sessionId, rewindId);
+  if (!result.ok) {
+    send(ws, { type: 'error', message: result.error });
+    return;
+  }
+
+  logger.log(`[rewind] redo ${rewindId} → ${sessionId}`);
+  send(ws, { type: 'rewind_redone', sessionId, rewindId });
+}
+
+export function listHandler(ws, message, context) {
+  const { sessionId } = message;
+  const projectSlug = context.currentProjectPath;
+
+  if (!projectSlug || !isValidSessionId(sessionId)) {
+    return;
+  }
+
+  const fork = loadForks(projectSlug)[sessionId];
+  let rewoundFrom = null;
+  if (fork?.rewindId) {
+    const rewind = getRewind(projectSlug, fork.parentSessionId, fork.rewindId);
+    rewoundFrom = {
+      parentSessionId: fork.parentSessionId,
+      rewindId: fork.rewindId,
+      redone: !!rewind?.redoneAt,
+    };
+  }
+
+  send(ws, {
+    type: 'checkpoints',
+    sessionId,
+    checkpoints: listCheckpoints(projectSlug, sessionId),
+    // Rewinds to the first turn have no branch — redo is offered on the original
+    pendingRewinds: listPendingRewinds(projectSlug, sessionId)
+      .filter((r) => !r.forkSessionId)
+      .map((r) => ({ id: r.id, createdAt: r.createdAt })),
+    rewoundFrom,
+  });
+}
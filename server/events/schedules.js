@@ -0,0 +1,98 @@
+/**
+ * Events: schedules:list, schedules:save, schedules:delete, schedules:run
+ *
+ * Manage a project's scheduled prompts. Every handler replies with the project's
+ * schedule list; the scheduler broadcasts `schedules:updated` as runs start and
+ * finish so open tabs can refetch.
+ *
+ * @event schedules:list
+ * @param {Object} message - { projectSlug: string }
+ *
+ * @event schedules:save
+ * @param {Object} message - { projectSlug, schedule: { id?, name, cron, prompt, sessionMode, sessionId?, model, permissionMode, enabled } }
+ *
+ * @event schedules:delete
+ * @param {Object} message - { projectSlug, id: string }
+ *
+ * @event schedules:run
+ * @param {Object} message - { projectSlug, id: string } — run immediately, outside the cron schedule
+ *
+ * @returns {void} Sends: schedules:list { projectSlug, schedules, error? }
+ */
+
+import { isValidProjectSlug } from '../config.js';
+import scheduler from '../lib/scheduler.js';
+import {
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  upsertSchedule,
+} from '../lib/schedules.js';
+import { send } from '../lib/ws.js';
+
+function sendList(ws, projectSlug, error) {
+  send(ws, {
+    type: 'schedules:list',
+    projectSlug,
+    schedules: listSchedules(projectSlug),
+    ...(error && { error }),
+  });
+}
+
+// Only touch schedules belonging to the requested project
+function getOwnSchedule(id, projectSlug) {
+  const schedule = id ? getSchedule(id) : null;
+  return schedule?.projectSlug === projectSlug ? schedule : null;
+}
+
+function resolveProject(ws, message) {
+  if (!isValidProjectSlug(message.projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return null;
+  }
+  return message.projectSlug;
+}
+
+export function listHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+  sendList(ws, projectSlug);
+}
+
+export function saveHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  const input = message.schedule || {};
+  if (input.id && !getOwnSchedule(input.id, projectSlug)) {
+    sendList(ws, projectSlug, 'Schedule not found');
+    return;
+  }
+
+  const result = upsertSchedule({ ...input, projectSlug });
+  sendList(ws, projectSlug, result.ok ? undefined : result.error);
+}
+
+export function deleteHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  if (!getOwnSchedule(message.id, projectSlug)) {
+    sendList(ws, projectSlug, 'Schedule not found');
+    return;
+  }
+  deleteSchedule(message.id);
+  sendList(ws, projectSlug);
+}
+
+export function runHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  if (!getOwnSchedule(message.id, projectSlug)) {
+    sendList(ws, projectSlug, 'Schedule not found');
+    return;
+  }
+  // Progress arrives through schedules:updated broadcasts
+  scheduler.run(message.id, 'manual');
+}
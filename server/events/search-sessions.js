@@ -0,0 +1,55 @@
+/**
+ * Event: sessions:search
+ *
+ * Full-text search across the sessions of every project (see lib/session-search.js).
+ * The index catches up with new turns before each search.
+ *
+ * @event sessions:search
+ * @param {Object} message - { query: string, projectSlug?: string, from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD', model?: 'opus' | 'sonnet' | 'haiku' }
+ * @returns {void} Sends: sessions:search:result { query, terms, sessions, totalSessions }
+ *   or sessions:search:error { query, error }
+ *
+ * @example
+ * // Response
+ * {
+ *   type: 'sessions:search:result',
+ *   query: 'oauth redirect',
+ *   terms: ['oauth', 'redirect'],
+ *   sessions: [{
+ *     projectSlug, projectName, sessionId, title, firstPrompt, models, hitCount,
+ *     hits: [{ uuid, kind: 'prompt' | 'response' | 'tool', snippet, timestamp, model }]
+ *   }],
+ *   totalSessions: 4
+ * }
+ */
+
+import { searchSessions } from '../lib/session-search.js';
+import { send } from '../lib/ws.js';
+
+export async function handler(ws, message, _context) {
+  const { query, projectSlug, from, to, model } = message;
+
+  try {
+    const result = await searchSessions({
+      query,
+      projectSlug,
+      from,
+      to,
+      model,
+    });
+    if (!result.ok) {
+      send(ws, { type: 'sessions:search:error', query, error: result.error });
+      return;
+    }
+    send(ws, {
+      type: 'sessions:search:result',
+      query,
+      terms: result.terms,
+      sessions: result.sessions,
+      totalSessions: result.totalSessions,
+    });
+  } catch (err) {
+    console.error('[search] session search failed:', err);
+    send(ws, { type: 'sessions:search:error', query, error: err.message });
+  }
+}
@@ -5,7 +5,8 @@
  * Returns session info, task status, and message history.
  *
  * @event select_session
- * @param {Object} message - { sessionId: string }
+ * @param {Object} message - { sessionId: string, fullHistory?: boolean, focusUuid?: string }
+ *   focusUuid loads history from the turn containing that entry (search deep links)
  * @returns {void} Sends: session_selected, task_status, session_history
  *
  * @example
@@ -18,7 +19,11 @@
  * { type: 'session_history', messages: [...] }
  */
 
-import { getQueue } from '../lib/message-queue.js';
+import { getBudgetStatus } from '../lib/budgets.js';
+import { getQueueState } from '../lib/message-queue.js';
+import { getPendingPermissions } from '../lib/permissions.js';
+import { getInterruptedTask } from '../lib/running-tasks.js';
+import { describeUsage, getSessionUsage } from '../lib/session-usage.js';
 import { isValidSessionId, loadSessionHistory } from '../lib/sessions.js';
 import { clearCompletedTask, getOrCreateTask } from '../lib/tasks.js';
 import {
@@ -94,7 +99,7 @@ export async function handler(ws, message, context) {
       const result = await loadSessionHistory(
         context.currentProjectPath,
         sessionId,
-        { fullHistory, offset, loadLastTurn },
+        { fullHistory, offset, loadLastTurn, focusUuid: message.focusUuid },
       );
       history = result.messages;
       hasOlderMessages = result.hasOlderMessages;
@@ -131,7 +136,10 @@ export async function handler(ws, message, context) {
     type: 'task_status',
     sessionId: sessionId,
     taskId: task?.id || null,
-    status: task?.status || 'idle',
+    // Waiting out a backoff before retrying a failed turn (see prompt.js)
+    ...(task?.status === 'running' && task.retry
+      ? { status: 'retrying', retry: task.retry }
+      : { status: task?.status || 'idle' }),
     resultsCount: history.length,
   });
 
@@ -148,14 +156,38 @@ export async function handler(ws, message, context) {
   });
 
   // Send current queue state to the requesting client
-  const sessionQueue = getQueue(sessionId);
+  send(ws, { type: 'queue_state', ...getQueueState(sessionId) });
+
+  // A turn cut off by a server restart, offered for one-click continue
   send(ws, {
-    type: 'queue_state',
+    type: 'interrupted_task',
     sessionId,
-    queue: sessionQueue,
-    size: sessionQueue.length,
+    interrupted: getInterruptedTask(sessionId),
   });
 
+  // Spend and limits, so an exceeded budget shows as soon as the session opens
+  if (context.currentProjectPath) {
+    send(ws, {
+      type: 'budget_status',
+      sessionId,
+      ...getBudgetStatus(context.currentProjectPath, sessionId),
+    });
+    // Token totals and context fill (null until the session's first tracked turn)
+    send(ws, {
+      type: 'session_usage',
+      sessionId,
+      usage: describeUsage(
+        getSessionUsage(context.currentProjectPath, sessionId),
+      ),
+    });
+  }
+
+  // Re-send tool permission requests still waiting for an answer
+  // (e.g. the tab that started the task was closed or refreshed)
+  for (const request of getPendingPermissions(sessionId)) {
+    send(ws, request);
+  }
+
   // Clear completed/error task from memory when user opens the session
   // This prevents memory buildup - no need to keep the task after user has seen it
   clearCompletedTask(sessionId);
@@ -0,0 +1,67 @@
+/**
+ * Event: set_session_meta
+ *
+ * Tag, pin or archive one or more sessions of the current project.
+ * Omitted fields are left unchanged.
+ *
+ * @event set_session_meta
+ * @param {Object} message - { sessionIds: string[], addTags?: string[], removeTags?: string[], pinned?: boolean, archived?: boolean }
+ * @returns {void} Sends: session_meta_updated
+ *
+ * @example
+ * // Request
+ * { type: 'set_session_meta', sessionIds: ['abc-123', 'def-456'], addTags: ['release'], archived: true }
+ *
+ * // Response (broadcast)
+ * {
+ *   type: 'session_meta_updated',
+ *   projectSlug: '-home-ts-projects-foo',
+ *   sessions: {
+ *     'abc-123': { tags: ['release'], archived: true },
+ *     'def-456': { tags: ['release', 'ui'], archived: true }
+ *   }
+ * }
+ */
+
+import { updateSessionMeta } from '../lib/session-meta.js';
+import { isValidSessionId } from '../lib/sessions.js';
+import { broadcast, send } from '../lib/ws.js';
+
+export function handler(ws, message, context) {
+  const { sessionIds } = message;
+
+  if (!context.currentProjectPath) {
+    send(ws, { type: 'error', message: 'No project selected' });
+    return;
+  }
+
+  if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+    send(ws, { type: 'error', message: 'Session IDs required' });
+    return;
+  }
+
+  // SECURITY: Validate sessionId format to prevent path traversal
+  if (!sessionIds.every(isValidSessionId)) {
+    send(ws, { type: 'error', message: 'Invalid sessionId format' });
+    return;
+  }
+
+  const updated = updateSessionMeta(context.currentProjectPath, sessionIds, {
+    addTags: message.addTags,
+    removeTags: message.removeTags,
+    pinned: message.pinned,
+    archived: message.archived,
+  });
+
+  if (!updated) {
+    send(ws, { type: 'error', message: 'Failed to update sessions' });
+    return;
+  }
+
+  // Broadcast to all clients so UI updates everywhere
+  broadcast({
+    type: 'session_meta_updated',
+    projectSlug: context.currentProjectPath,
+    sessions: updated,
+  });
+}
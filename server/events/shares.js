@@ -0,0 +1,88 @@
+/**
+ * Events: shares:list, shares:create, shares:revoke
+ *
+ * Manage read-only share links (see lib/share-links.js). Every handler replies
+ * with the active links, filtered to one session when sessionId is given.
+ *
+ * @event shares:list
+ * @param {Object} message - { sessionId?: string }
+ *
+ * @event shares:create
+ * @param {Object} message - { projectSlug, sessionId, expiresInHours: 1 | 24 | 168 | 720 }
+ *
+ * @event shares:revoke
+ * @param {Object} message - { id: string, sessionId?: string }
+ *
+ * @returns {void} Sends: shares:list { sessionId, links, viewers, created?, error? }
+ *   — viewers maps link id to open viewer count; created is the new link
+ */
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  getProjectDisplayName,
+  getSessionsDir,
+  isValidProjectSlug,
+} from '../config.js';
+import { getTitle } from '../lib/session-titles.js';
+import { isValidSessionId } from '../lib/sessions.js';
+import {
+  createShareLink,
+  getShareViewerCounts,
+  listShareLinks,
+  revokeShareLink,
+} from '../lib/share-links.js';
+import { send } from '../lib/ws.js';
+
+function sendList(ws, message, extra = {}) {
+  const sessionId = isValidSessionId(message.sessionId)
+    ? message.sessionId
+    : null;
+  const links = listShareLinks({ sessionId }).map((link) => ({
+    ...link,
+    projectName: getProjectDisplayName(link.projectSlug),
+    title: getTitle(link.projectSlug, link.sessionId),
+  }));
+  send(ws, {
+    type: 'shares:list',
+    sessionId,
+    links,
+    viewers: getShareViewerCounts(),
+    ...extra,
+  });
+}
+
+export function listHandler(ws, message) {
+  sendList(ws, message);
+}
+
+export function createHandler(ws, message) {
+  const { projectSlug, sessionId } = message;
+  if (!isValidProjectSlug(projectSlug) || !isValidSessionId(sessionId)) {
+    sendList(ws, message, { error: 'Invalid session' });
+    return;
+  }
+  if (!existsSync(join(getSessionsDir(projectSlug), `${sessionId}.jsonl`))) {
+    sendList(ws, message, { error: 'Session not found' });
+    return;
+  }
+
+  const result = createShareLink({
+    projectSlug,
+    sessionId,
+    expiresInHours: message.expiresInHours,
+  });
+  sendList(
+    ws,
+    message,
+    result.ok ? { created: result.link } : { error: result.error },
+  );
+}
+
+export function revokeHandler(ws, message) {
+  if (!revokeShareLink(message.id)) {
+    sendList(ws, message, { error: 'Share link not found' });
+    return;
+  }
+  sendList(ws, message);
+}
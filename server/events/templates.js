@@ -0,0 +1,99 @@
+/**
+ * Prompt Template Event Handlers
+ *
+ * Reusable prompts with {{variable}} placeholders (lib/prompt-templates.js),
+ * global or per project.
+ *
+ * Events:
+ *   templates:list    -> templates:list     Project + global templates
+ *   templates:save    -> templates:saved    Create or update a template
+ *   templates:remove  -> templates:removed  Delete a template
+ */
+
+import { isValidProjectSlug } from '../config.js';
+import {
+  CONTEXT_VARIABLES,
+  listTemplates,
+  removeTemplate,
+  saveTemplate,
+} from '../lib/prompt-templates.js';
+import { send } from '../lib/ws.js';
+
+// null = global templates only; omitted = the connection's current project
+function resolveProjectSlug(message, context) {
+  const projectSlug =
+    message.projectSlug !== undefined
+      ? message.projectSlug
+      : context.currentProjectPath;
+  return projectSlug && isValidProjectSlug(projectSlug) ? projectSlug : null;
+}
+
+function listPayload(projectSlug) {
+  return {
+    projectSlug,
+    templates: listTemplates(projectSlug),
+    contextVariables: CONTEXT_VARIABLES,
+  };
+}
+
+/**
+ * templates:list — Project + global templates
+ *
+ * @event templates:list
+ * @param {string} [message.projectSlug]
+ * @returns templates:list { projectSlug, templates, contextVariables }
+ */
+export async function listHandler(ws, message, context) {
+  const projectSlug = resolveProjectSlug(message, context);
+  send(ws, { type: 'templates:list', ...listPayload(projectSlug) });
+}
+
+/**
+ * templates:save — Create a template, or update it when template.id is set
+ *
+ * @event templates:save
+ * @param {object} message.template  { id?, name, description, body }
+ * @param {string} message.scope     'global' | 'project'
+ * @returns templates:saved { success, error?, templates? }
+ */
+export async function saveHandler(ws, message, context) {
+  const projectSlug = resolveProjectSlug(message, context);
+  const result = saveTemplate(message.scope, projectSlug, message.template);
+
+  if (result.success) {
+    send(ws, {
+      type: 'templates:saved',
+      success: true,
+      ...listPayload(projectSlug),
+    });
+  } else {
+    send(ws, { type: 'templates:saved', success: false, error: result.error });
+  }
+}
+
+/**
+ * templates:remove — Delete a template
+ *
+ * @event templates:remove
+ * @param {string} message.id
+ * @param {string} message.scope     'global' | 'project'
+ * @returns templates:removed { success, error?, templates? }
+ */
+export async function removeHandler(ws, message, context) {
+  const projectSlug = resolveProjectSlug(message, context);
+  const result = removeTemplate(message.scope, projectSlug, message.id);
+
+  if (result.success) {
+    send(ws, {
+      type: 'templates:removed',
+      success: true,
+      ...listPayload(projectSlug),
+    });
+  } else {
+    send(ws, {
+      type: 'templates:removed',
+      success: false,
+      error: result.error,
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Events: worktrees:list, worktrees:create, worktrees:merge, worktrees:discard
+ *
+ * Git worktree–isolated sessions for a project (see lib/worktrees.js).
+ * A worktree is opened like a project: /project/<worktree.slug>/session/new.
+ *
+ * @event worktrees:list
+ * @param {Object} message - { projectSlug: string }
+ *
+ * @event worktrees:create
+ * @param {Object} message - { projectSlug, name?: string }
+ *
+ * @event worktrees:merge
+ * @param {Object} message - { projectSlug, id: string, message?: string } — commit message for uncommitted changes
+ *
+ * @event worktrees:discard
+ * @param {Object} message - { projectSlug, id: string }
+ *
+ * @returns {void} Sends: worktrees:list { projectSlug, worktrees, error? },
+ *   worktrees:created { projectSlug, worktree } after create
+ */
+
+import { isValidProjectSlug } from '../config.js';
+import { getSessionsList } from '../lib/sessions.js';
+import { tasks } from '../lib/tasks.js';
+import {
+  createWorktree,
+  discardWorktree,
+  getWorktree,
+  getWorktreeStatus,
+  listWorktrees,
+  mergeWorktree,
+} from '../lib/worktrees.js';
+import { send } from '../lib/ws.js';
+
+async function sendList(ws, projectSlug, error) {
+  const worktrees = await Promise.all(
+    listWorktrees(projectSlug).map(async (worktree) => {
+      const sessions = await getSessionsList(worktree.slug);
+      return {
+        ...worktree,
+        ...(await getWorktreeStatus(worktree)),
+        sessions: sessions.map((s) => ({
+          ...s,
+          status: tasks.get(s.sessionId)?.status || 'idle',
+        })),
+      };
+    }),
+  );
+  send(ws, {
+    type: 'worktrees:list',
+    projectSlug,
+    worktrees,
+    ...(error && { error }),
+  });
+}
+
+function resolveProject(ws, message) {
+  if (!isValidProjectSlug(message.projectSlug)) {
+    send(ws, { type: 'error', message: 'Invalid project' });
+    return null;
+  }
+  return message.projectSlug;
+}
+
+// Merging or removing a checkout under a running task would corrupt its edits
+async function hasRunningTask(worktree) {
+  const sessions = await getSessionsList(worktree.slug);
+  return sessions.some((s) => tasks.get(s.sessionId)?.status === 'running');
+}
+
+async function closeWorktree(ws, message, action) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  const worktree = getWorktree(message.id);
+  if (!worktree || worktree.projectSlug !== projectSlug) {
+    await sendList(ws, projectSlug, 'Worktree not found');
+    return;
+  }
+  if (await hasRunningTask(worktree)) {
+    await sendList(
+      ws,
+      projectSlug,
+      'A session in this worktree is still running — cancel it first',
+    );
+    return;
+  }
+
+  const result = await action(worktree);
+  await sendList(ws, projectSlug, result.ok ? undefined : result.error);
+}
+
+export async function listHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+  await sendList(ws, projectSlug);
+}
+
+export async function createHandler(ws, message) {
+  const projectSlug = resolveProject(ws, message);
+  if (!projectSlug) return;
+
+  const result = await createWorktree(projectSlug, message.name);
+  if (!result.ok) {
+    await sendList(ws, projectSlug, result.error);
+    return;
+  }
+  send(ws, {
+    type: 'worktrees:created',
+    projectSlug,
+    worktree: result.worktree,
+  });
+}
+
+export async function mergeHandler(ws, message) {
+  await closeWorktree(ws, message, (worktree) =>
+    mergeWorktree(worktree.id, message.message),
+  );
+}
+
+export async function discardHandler(ws, message) {
+  await closeWorktree(ws, message, (worktree) => discardWorktree(worktree.id));
+}
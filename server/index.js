@@ -31,6 +31,10 @@ async function gracefulShutdown(signal) {
       logger.log('Stopped task cleanup interval');
     }
 
+    // Keep running turns recorded so they show as interrupted after the restart
+    const { preserveRunningTasks } = await import('./lib/running-tasks.js');
+    preserveRunningTasks();
+
     // Cancel all running tasks
     const { tasks } = await import('./lib/tasks.js');
     for (const [sessionId, task] of tasks) {
@@ -52,6 +56,11 @@ async function gracefulShutdown(signal) {
       logger.log('Cleaned up watch manager');
     }
 
+    // Stop scheduled prompts from firing during shutdown
+    const scheduler = (await import('./lib/scheduler.js')).default;
+    scheduler.destroy();
+    logger.log('Stopped scheduler');
+
     // Clean up process manager
     const processManager = (await import('./lib/processManager.js')).default;
     if (processManager.destroy) {
@@ -114,11 +123,18 @@ import {
   recordFailedAttempt,
   resetLoginAttempts,
 } from './lib/rate-limit.js';
+import { resolveShareLink } from './lib/share-links.js';
 import {
   getCurrentVersion,
   initVersionChecker,
 } from './lib/version-checker.js';
+import { apiRouter } from './routes/api.js';
+import {
+  attachmentDownloadHandler,
+  attachmentUploadHandler,
+} from './routes/attachments.js';
 import { uploadAuthMiddleware, uploadHandler } from './routes/upload.js';
+import { handleShareWebSocket } from './share-websocket.js';
 import { handleWebSocket } from './websocket.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -304,11 +320,45 @@ app.post('/api/auth/logout', (req, res) => {
   res.json({ success: true });
 });
 
+// ============================================
+// Share links (the token is the credential)
+// ============================================
+
+// Lets the read-only view tell a dead link from a connection problem
+app.get('/api/share/:token', (req, res) => {
+  const link = resolveShareLink(req.params.token);
+  if (!link) {
+    return res.status(404).json({ error: 'Share link expired or revoked' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ sessionId: link.sessionId, expiresAt: link.expiresAt });
+});
+
 // ============================================
 // File Upload Route (auth required)
 // ============================================
 app.post('/api/upload', uploadAuthMiddleware, uploadHandler);
 
+// ============================================
+// Prompt Attachments (auth required)
+// ============================================
+app.post('/api/attachments', uploadAuthMiddleware, attachmentUploadHandler);
+app.get(
+  '/api/attachments/:project/:id',
+  uploadAuthMiddleware,
+  attachmentDownloadHandler,
+);
+app.get(
+  '/api/attachments/:project/:id/thumb',
+  uploadAuthMiddleware,
+  attachmentDownloadHandler,
+);
+
+// ============================================
+// Headless REST + SSE API (cookie or bearer token)
+// ============================================
+app.use('/api/projects', apiRouter);
+
 // ============================================
 // Serve docs folder (auth required)
 // ============================================
@@ -426,8 +476,9 @@ if (existsSync(distPath)) {
 // WebSocket upgrade handler with auth
 // ============================================
 server.on('upgrade', (request, socket, head) => {
-  // Check if this is a WebSocket upgrade to /ws
-  if (request.url !== '/ws') {
+  // Check if this is a WebSocket upgrade to /ws or /ws/share (share links)
+  const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+  if (pathname !== '/ws' && pathname !== '/ws/share') {
     socket.destroy();
     return;
   }
@@ -453,6 +504,20 @@ server.on('upgrade', (request, socket, head) => {
     }
   }
 
+  // Share links bypass the login, for their one session only
+  if (pathname === '/ws/share') {
+    const link = resolveShareLink(searchParams.get('token'));
+    if (!link) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      handleShareWebSocket(ws, link);
+    });
+    return;
+  }
+
   // Check auth (skip if disabled)
   if (!isAuthDisabled()) {
     const token = parseSessionCookie(request.headers.cookie);
@@ -583,6 +648,50 @@ async function onServerReady() {
     logger.error('Error initializing watch manager:', err);
   }
 
+  // Continue queued turns the restart cut off, then the rest of their queues
+  try {
+    const { resumeInterruptedTasks } = await import('./events/prompt.js');
+    const continued = resumeInterruptedTasks();
+    if (continued > 0) {
+      logger.log(`Continued ${continued} interrupted queued turn(s)`);
+    }
+  } catch (err) {
+    logger.error('Error continuing interrupted tasks:', err);
+  }
+
+  // Pick up prompts that were queued before the restart
+  try {
+    const { resumeQueues } = await import('./events/prompt.js');
+    const resumed = resumeQueues();
+    if (resumed > 0) {
+      logger.log(`Resumed ${resumed} queued session(s)`);
+    }
+  } catch (err) {
+    logger.error('Error resuming message queues:', err);
+  }
+
+  // Comparison runs can't survive a restart — stop showing them as running
+  try {
+    const { failInterruptedRuns } = await import('./lib/comparisons.js');
+    failInterruptedRuns();
+  } catch (err) {
+    logger.error('Error cleaning up comparison runs:', err);
+  }
+
+  // Warm the session search index in the background (first run reads every transcript)
+  import('./lib/session-search.js')
+    .then(({ refreshSearchIndex }) => refreshSearchIndex())
+    .catch((err) => logger.error('Error building session search index:', err));
+
+  // Start running scheduled prompts
+  try {
+    const scheduler = (await import('./lib/scheduler.js')).default;
+    scheduler.start();
+    logger.log('Scheduler started');
+  } catch (err) {
+    logger.error('Error starting scheduler:', err);
+  }
+
   // Start Discord bot
   if (process.env.DISCORD_ENABLED === 'true') {
     try {
@@ -0,0 +1,387 @@
+/**
+ * Subagent Definitions Manager
+ *
+ * Reads and writes Claude Code subagent markdown files:
+ * - Project scope: {projectPath}/.claude/agents/*.md
+ * - User scope:    ~/.claude/agents/*.md
+ *
+ * Each file is YAML frontmatter followed by the agent's system prompt:
+ *
+ *   ---
+ *   name: code-reviewer
+ *   description: Reviews diffs for bugs. Use after making changes.
+ *   tools: Read, Grep, Glob
+ *   model: sonnet
+ *   ---
+ *   You are a senior reviewer...
+ *
+ * Only the simple frontmatter subset agent files use is supported (scalars, quoted
+ * strings, block scalars and lists). Keys other than name/description/tools/model are
+ * preserved verbatim on save.
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { basename, join } from 'node:path';
+
+const USER_AGENTS_DIR = join(homedir(), '.claude', 'agents');
+
+// Same rule as the CLI: lowercase letters, digits and hyphens
+const VALID_NAME_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Tool names as they appear in `tools:` (built-ins and mcp__server__tool)
+const VALID_TOOL_RE = /^[A-Za-z][\w*-]{0,127}$/;
+
+const MODEL_ALIASES = ['inherit', 'sonnet', 'opus', 'haiku'];
+const VALID_MODEL_RE = /^claude-[a-z0-9.-]+$/;
+
+const VALID_SCOPES = ['project', 'user'];
+const KNOWN_KEYS = ['name', 'description', 'tools', 'model'];
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_PROMPT_LENGTH = 100_000;
+
+// ---------------------------------------------------------------------------
+// Frontmatter
+// ---------------------------------------------------------------------------
+
+function unquote(value) {
+  const v = value.trim();
+  if (v.startsWith('"') && v.endsWith('"') && v.length >= 2) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v.slice(1, -1);
+    }
+  }
+  if (v.startsWith("'") && v.endsWith("'") && v.length >= 2) {
+    return v.slice(1, -1).replace(/''/g, "'");
+  }
+  return v;
+}
+
+/**
+ * Split a markdown file into frontmatter fields and body.
+ * Also used for slash command files, which have their own keys.
+ * @param {string} text
+ * @param {string[]} [keys] - Keys to parse; others are returned raw in `extra`
+ * @returns {{ fields: Object, extra: string[], body: string } | null} null when there's no frontmatter
+ */
+export function parseAgentFile(text, keys = KNOWN_KEYS) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return null;
+
+  const lines = match[1].split(/\r?\n/);
+  const fields = {};
+  const extra = []; // Unknown keys, kept as raw lines
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const keyMatch = line.match(/^([A-Za-z_][\w-]*):(.*)$/);
+    if (!keyMatch) {
+      i++;
+      continue;
+    }
+
+    // Indented continuation lines (block scalars, lists) belong to this key
+    const block = [line];
+    i++;
+    while (i < lines.length && (/^\s+\S/.test(lines[i]) || !lines[i].trim())) {
+      block.push(lines[i]);
+      i++;
+    }
+    while (block.length > 1 && !block[block.length - 1].trim()) block.pop();
+
+    const key = keyMatch[1];
+    if (!keys.includes(key)) {
+      extra.push(...block);
+      continue;
+    }
+
+    const inline = keyMatch[2].trim();
+    const continuation = block.slice(1).map((l) => l.trim());
+    if (
+      continuation.length > 0 &&
+      continuation.every((l) => l.startsWith('-'))
+    ) {
+      fields[key] = continuation.map((l) => unquote(l.slice(1)));
+    } else if (inline === '|' || inline === '>' || /^[|>][+-]$/.test(inline)) {
+      fields[key] = continuation.join(inline.startsWith('|') ? '\n' : ' ');
+    } else if (inline.startsWith('[') && inline.endsWith(']')) {
+      fields[key] = inline.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      // Plain scalars may wrap onto indented lines
+      fields[key] = [unquote(inline), ...continuation].join(' ').trim();
+    }
+  }
+
+  return { fields, extra, body: text.slice(match[0].length) };
+}
+
+// Quote scalars YAML would otherwise misread (JSON strings are valid YAML)
+function formatScalar(value) {
+  if (/^[\w(][^:#\n]*$/.test(value) && !/\s$/.test(value)) return value;
+  return JSON.stringify(value);
+}
+
+function serializeAgent(agent, extra = []) {
+  const lines = [
+    '---',
+    `name: ${agent.name}`,
+    `description: ${formatScalar(agent.description)}`,
+  ];
+  if (agent.tools.length > 0) lines.push(`tools: ${agent.tools.join(', ')}`);
+  if (agent.model) lines.push(`model: ${agent.model}`);
+  lines.push(...extra, '---', '');
+  const prompt = agent.prompt.trim();
+  return `${lines.join('\n')}${prompt ? `\n${prompt}\n` : ''}`;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function toToolList(tools) {
+  if (Array.isArray(tools)) return tools.map((t) => String(t).trim());
+  if (typeof tools === 'string') return tools.split(',').map((t) => t.trim());
+  return [];
+}
+
+/**
+ * Validate and normalize an agent definition from the UI or a file.
+ * @param {Object} input - { name, description, tools, model, prompt }
+ * @returns {{ agent?: Object, error?: string }}
+ */
+export function validateAgent(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Agent definition is required' };
+  }
+
+  const name = String(input.name ?? '').trim();
+  if (!name) return { error: 'Name is required' };
+  if (!VALID_NAME_RE.test(name)) {
+    return {
+      error:
+        'Name must be lowercase letters, digits and hyphens (max 64 chars)',
+    };
+  }
+
+  const description = String(input.description ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!description) return { error: 'Description is required' };
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return {
+      error: `Description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)`,
+    };
+  }
+
+  const tools = [...new Set(toToolList(input.tools))].filter(Boolean);
+  const invalidTool = tools.find((t) => !VALID_TOOL_RE.test(t));
+  if (invalidTool) return { error: `Invalid tool name: ${invalidTool}` };
+
+  const model = String(input.model ?? '').trim();
+  if (model && !MODEL_ALIASES.includes(model) && !VALID_MODEL_RE.test(model)) {
+    return {
+      error: `Model must be one of ${MODEL_ALIASES.join(', ')} or a full model ID`,
+    };
+  }
+
+  const prompt = String(input.prompt ?? '');
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return {
+      error: `Prompt is too long (max ${MAX_PROMPT_LENGTH} characters)`,
+    };
+  }
+
+  return { agent: { name, description, tools, model, prompt } };
+}
+
+// ---------------------------------------------------------------------------
+// Scope helpers
+// ---------------------------------------------------------------------------
+
+function getScopeDir(scope, projectPath) {
+  if (scope === 'project') return join(projectPath, '.claude', 'agents');
+  return USER_AGENTS_DIR;
+}
+
+function checkScope(scope, projectPath) {
+  if (!VALID_SCOPES.includes(scope)) {
+    return `Scope must be one of: ${VALID_SCOPES.join(', ')}`;
+  }
+  if (scope === 'project') {
+    if (!projectPath) return 'Select a project first';
+    try {
+      if (!existsSync(projectPath) || !statSync(projectPath).isDirectory()) {
+        return `Project path does not exist: ${projectPath}`;
+      }
+    } catch {
+      return `Cannot access project path: ${projectPath}`;
+    }
+  }
+  return null;
+}
+
+// SECURITY: file names come from the client — only allow plain .md names in the scope dir
+function isValidFileName(file) {
+  return (
+    typeof file === 'string' &&
+    file === basename(file) &&
+    /^[\w.-]+\.md$/.test(file) &&
+    !file.startsWith('.')
+  );
+}
+
+function readScopeAgents(scope, projectPath) {
+  const dir = getScopeDir(scope, projectPath);
+  if (!existsSync(dir)) return [];
+
+  const agents = [];
+  for (const file of readdirSync(dir).sort()) {
+    if (!isValidFileName(file)) continue;
+    const filePath = join(dir, file);
+    try {
+      if (!statSync(filePath).isFile()) continue;
+      const parsed = parseAgentFile(readFileSync(filePath, 'utf-8'));
+      const fields = parsed?.fields ?? {};
+      const { error } = parsed
+        ? validateAgent({ ...fields, prompt: parsed.body })
+        : { error: 'Missing frontmatter' };
+      agents.push({
+        file,
+        scope,
+        path: filePath,
+        name: fields.name || file.replace(/\.md$/, ''),
+        description: fields.description || '',
+        tools: toToolList(fields.tools).filter(Boolean),
+        model: fields.model || '',
+        prompt: parsed?.body.trim() ?? '',
+        ...(error && { error }),
+      });
+    } catch (err) {
+      agents.push({
+        file,
+        scope,
+        path: filePath,
+        name: file.replace(/\.md$/, ''),
+        error: err.message,
+      });
+    }
+  }
+  return agents;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * List agent definitions from both scopes.
+ * Project agents take precedence over user agents with the same name.
+ *
+ * @param {string|null} projectPath
+ * @returns {Array<object>}
+ */
+export function listAgents(projectPath) {
+  const projectAgents = projectPath
+    ? readScopeAgents('project', projectPath)
+    : [];
+  const projectNames = new Set(projectAgents.map((a) => a.name));
+  const userAgents = readScopeAgents('user').map((agent) =>
+    projectNames.has(agent.name) ? { ...agent, overridden: true } : agent,
+  );
+  return [...projectAgents, ...userAgents];
+}
+
+/**
+ * Create or update an agent definition.
+ *
+ * @param {object} input - { name, description, tools, model, prompt }
+ * @param {'project'|'user'} scope
+ * @param {string|null} projectPath
+ * @param {string} [file] - Existing file being edited (omit to create)
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function saveAgent(input, scope, projectPath, file) {
+  const scopeErr = checkScope(scope, projectPath);
+  if (scopeErr) return { success: false, error: scopeErr };
+
+  const { agent, error } = validateAgent(input);
+  if (error) return { success: false, error };
+
+  const dir = getScopeDir(scope, projectPath);
+  let extra = [];
+  let targetFile = `${agent.name}.md`;
+
+  if (file) {
+    if (!isValidFileName(file)) {
+      return { success: false, error: 'Invalid agent file' };
+    }
+    const existingPath = join(dir, file);
+    if (!existsSync(existingPath)) {
+      return { success: false, error: `Agent file not found: ${file}` };
+    }
+    const parsed = parseAgentFile(readFileSync(existingPath, 'utf-8'));
+    extra = parsed?.extra ?? [];
+    // Keep the file name unless the agent was renamed
+    const previousName = parsed?.fields.name || file.replace(/\.md$/, '');
+    if (previousName === agent.name) targetFile = file;
+  }
+
+  const targetPath = join(dir, targetFile);
+  if (targetFile !== file && existsSync(targetPath)) {
+    return {
+      success: false,
+      error: `Agent "${agent.name}" already exists in ${scope} scope`,
+    };
+  }
+
+  try {
+    mkdirSync(dir, { recursive: true });
+    const tmpPath = `${targetPath}.tmp`;
+    writeFileSync(tmpPath, serializeAgent(agent, extra), 'utf-8');
+    renameSync(tmpPath, targetPath);
+    if (file && targetFile !== file) unlinkSync(join(dir, file));
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true };
+}
+
+/**
+ * Delete an agent definition file.
+ *
+ * @param {string} file
+ * @param {'project'|'user'} scope
+ * @param {string|null} projectPath
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function removeAgent(file, scope, projectPath) {
+  const scopeErr = checkScope(scope, projectPath);
+  if (scopeErr) return { success: false, error: scopeErr };
+  if (!isValidFileName(file)) {
+    return { success: false, error: 'Invalid agent file' };
+  }
+
+  const filePath = join(getScopeDir(scope, projectPath), file);
+  if (!existsSync(filePath)) {
+    return { success: false, error: `Agent file not found: ${file}` };
+  }
+  try {
+    unlinkSync(filePath);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true };
+}
@@ -0,0 +1,316 @@
+/**
+ * Prompt attachments - images and documents sent to Claude as content blocks.
+ *
+ * Files are stored per project next to the session JSONL files:
+ *   ~/.claude/projects/<slug>/.attachments/<id>/
+ *     file        original bytes (text documents re-encoded as UTF-8)
+ *     thumb.jpg   small preview generated by the browser (images only)
+ *     meta.json   { id, name, mediaType, kind, size, createdAt }
+ *
+ * The ID is a hash of the base64 payload, so history replay can map an image or
+ * document block in the JSONL straight back to its stored thumbnail without any
+ * extra per-session index.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getSessionsDir } from '../config.js';
+
+const ATTACHMENTS_DIR = '.attachments';
+
+// Media types the Messages API accepts, grouped by content block kind
+export const ATTACHMENT_TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'application/pdf': 'document',
+  'text/plain': 'document',
+  'text/markdown': 'document',
+};
+
+// API-side limits (stricter than MAX_FILE_SIZE_MB for images)
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 32 * 1024 * 1024;
+
+// Max attachments per prompt
+export const MAX_ATTACHMENTS_PER_PROMPT = 10;
+
+/**
+ * SECURITY: Validate attachment ID format (hex hash only) to prevent path traversal
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isValidAttachmentId(id) {
+  return typeof id === 'string' && /^[a-f0-9]{32}$/.test(id);
+}
+
+/**
+ * Compute the attachment ID for a base64 payload.
+ * @param {string} base64
+ * @returns {string}
+ */
+export function attachmentIdForBase64(base64) {
+  return createHash('sha256').update(base64).digest('hex').slice(0, 32);
+}
+
+/**
+ * Re-encode a text document as UTF-8. Documents are sent (and written to the
+ * JSONL) as decoded text, so the stored bytes must be exactly what replay
+ * re-encodes, or the IDs won't match. UTF-16 is detected by its BOM; anything
+ * else is read as UTF-8, with invalid bytes replaced.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function toUtf8Text(buffer) {
+  let encoding = 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) encoding = 'utf-16le';
+  else if (buffer[0] === 0xfe && buffer[1] === 0xff) encoding = 'utf-16be';
+  return Buffer.from(new TextDecoder(encoding).decode(buffer), 'utf-8');
+}
+
+function getAttachmentDir(projectSlug, id) {
+  return path.join(getSessionsDir(projectSlug), ATTACHMENTS_DIR, id);
+}
+
+/**
+ * Normalize a browser-reported media type (e.g. "text/x-markdown", ".md" with no type).
+ * @param {string} mediaType
+ * @param {string} name
+ * @returns {string|null} Supported media type or null
+ */
+export function normalizeMediaType(mediaType, name = '') {
+  const type = (mediaType || '').toLowerCase().split(';')[0].trim();
+  if (ATTACHMENT_TYPES[type]) return type;
+  if (type === 'image/jpg') return 'image/jpeg';
+  if (type === 'text/x-markdown' || /\.(md|markdown)$/i.test(name)) {
+    return 'text/markdown';
+  }
+  if (!type && /\.txt$/i.test(name)) return 'text/plain';
+  return null;
+}
+
+/**
+ * Store an uploaded attachment (idempotent — same bytes yield the same ID).
+ * @param {string} projectSlug
+ * @param {Object} file
+ * @param {Buffer} file.buffer
+ * @param {string} file.name
+ * @param {string} file.mediaType - Already normalized media type
+ * @param {Buffer} [file.thumbnail] - JPEG preview (images only)
+ * @returns {Promise<Object>} Attachment metadata
+ */
+export async function saveAttachment(
+  projectSlug,
+  { buffer, name, mediaType, thumbnail },
+) {
+  const kind = ATTACHMENT_TYPES[mediaType];
+  if (!kind) {
+    throw new Error(`Unsupported attachment type: ${mediaType}`);
+  }
+  if (mediaType.startsWith('text/')) {
+    buffer = toUtf8Text(buffer);
+  }
+  const maxBytes = kind === 'image' ? MAX_IMAGE_BYTES : MAX_DOCUMENT_BYTES;
+  if (buffer.length > maxBytes) {
+    throw new Error(
+      `Attachment exceeds ${Math.round(maxBytes / 1024 / 1024)} MB limit for ${kind}s`,
+    );
+  }
+
+  const id = attachmentIdForBase64(buffer.toString('base64'));
+  const dir = getAttachmentDir(projectSlug, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const meta = {
+    id,
+    name: path.basename(name || 'attachment'),
+    mediaType,
+    kind,
+    size: buffer.length,
+    hasThumbnail: !!thumbnail,
+    createdAt: new Date().toISOString(),
+  };
+
+  await fs.writeFile(path.join(dir, 'file'), buffer);
+  if (thumbnail) {
+    await fs.writeFile(path.join(dir, 'thumb.jpg'), thumbnail);
+  }
+  await fs.writeFile(
+    path.join(dir, 'meta.json'),
+    JSON.stringify(meta, null, 2),
+  );
+
+  return meta;
+}
+
+/**
+ * Read attachment metadata.
+ * @param {string} projectSlug
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getAttachmentMeta(projectSlug, id) {
+  if (!isValidAttachmentId(id)) return null;
+  try {
+    const data = await fs.readFile(
+      path.join(getAttachmentDir(projectSlug, id), 'meta.json'),
+      'utf-8',
+    );
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the on-disk path of an attachment file or its thumbnail.
+ * @param {string} projectSlug
+ * @param {string} id
+ * @param {'file'|'thumb'} variant
+ * @returns {string|null} Absolute path, or null if missing
+ */
+export function getAttachmentPath(projectSlug, id, variant = 'file') {
+  if (!isValidAttachmentId(id)) return null;
+  const filePath = path.join(
+    getAttachmentDir(projectSlug, id),
+    variant === 'thumb' ? 'thumb.jpg' : 'file',
+  );
+  return existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Build SDK content blocks for a prompt with attachments.
+ * Attachments come first, followed by the text prompt (recommended ordering
+ * for vision and document inputs).
+ *
+ * @param {string} projectSlug
+ * @param {string} prompt
+ * @param {string[]} ids
+ * @returns {Promise<{ content: Array, attachments: Array }>} content blocks + metadata for display
+ */
+export async function buildPromptContent(projectSlug, prompt, ids) {
+  const content = [];
+  const attachments = [];
+
+  for (const id of ids.slice(0, MAX_ATTACHMENTS_PER_PROMPT)) {
+    const meta = await getAttachmentMeta(projectSlug, id);
+    const filePath = getAttachmentPath(projectSlug, id);
+    if (!meta || !filePath) {
+      throw new Error(`Attachment not found: ${id}`);
+    }
+    const buffer = await fs.readFile(filePath);
+
+    if (meta.kind === 'image') {
+      content.push({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: meta.mediaType,
+          data: buffer.toString('base64'),
+        },
+      });
+    } else if (meta.mediaType === 'application/pdf') {
+      content.push({
+        type: 'document',
+        title: meta.name,
+        source: {
+          type: 'base64',
+          media_type: 'application/pdf',
+          data: buffer.toString('base64'),
+        },
+      });
+    } else {
+      // Plain text / markdown documents use a text source
+      content.push({
+        type: 'document',
+        title: meta.name,
+        source: {
+          type: 'text',
+          media_type: 'text/plain',
+          data: buffer.toString('utf-8'),
+        },
+      });
+    }
+    attachments.push(toDisplayAttachment(projectSlug, meta));
+  }
+
+  // Empty text blocks are rejected by the API — attachments-only prompts omit it
+  if (prompt?.trim()) {
+    content.push({ type: 'text', text: prompt });
+  }
+  return { content, attachments };
+}
+
+/**
+ * Strip metadata down to what the chat UI needs, plus the URLs to fetch it.
+ * @param {string} projectSlug
+ * @param {Object} meta
+ * @returns {{ id: string, name: string, mediaType: string, kind: string, url: string, thumbUrl: string|null }}
+ */
+export function toDisplayAttachment(projectSlug, meta) {
+  const url = `/api/attachments/${encodeURIComponent(projectSlug)}/${meta.id}`;
+  return {
+    id: meta.id,
+    name: meta.name,
+    mediaType: meta.mediaType,
+    kind: meta.kind,
+    url,
+    thumbUrl: meta.hasThumbnail ? `${url}/thumb` : null,
+  };
+}
+
+/**
+ * Map image/document blocks from a JSONL user entry back to stored attachments.
+ * Blocks whose bytes aren't in the store (e.g. sent from the CLI) still get a
+ * placeholder entry so the UI can show that something was attached.
+ * Synchronous because it runs inside the history parser's line loop.
+ *
+ * @param {string} projectSlug
+ * @param {Array} blocks - Content blocks from a user message
+ * @returns {Array} Display attachments
+ */
+export function resolveAttachmentBlocks(projectSlug, blocks) {
+  const result = [];
+  for (const block of blocks) {
+    if (block.type !== 'image' && block.type !== 'document') continue;
+    const source = block.source || {};
+    let meta = null;
+    if (typeof source.data === 'string') {
+      const base64 =
+        source.type === 'text'
+          ? Buffer.from(source.data).toString('base64')
+          : source.data;
+      meta = readMetaSync(projectSlug, attachmentIdForBase64(base64));
+    }
+    result.push(
+      meta
+        ? toDisplayAttachment(projectSlug, meta)
+        : {
+            id: null,
+            name:
+              block.title || (block.type === 'image' ? 'image' : 'document'),
+            mediaType: source.media_type || null,
+            kind: block.type,
+            url: null,
+            thumbUrl: null,
+          },
+    );
+  }
+  return result;
+}
+
+function readMetaSync(projectSlug, id) {
+  try {
+    return JSON.parse(
+      readFileSync(
+        path.join(getAttachmentDir(projectSlug, id), 'meta.json'),
+        'utf-8',
+      ),
+    );
+  } catch {
+    return null;
+  }
+}
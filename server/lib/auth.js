@@ -15,7 +15,7 @@
  * }
  */
 
-import { randomBytes } from 'node:crypto';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { homedir } from 'node:os';
 import { join } from 'node:path';
@@ -115,6 +115,22 @@ export function isDebugTokenEnabled() {
   return !!process.env.DEBUG_TOKEN;
 }
 
+/**
+ * Validate a static API token (API_TOKEN env) for headless REST access.
+ * Always false when API_TOKEN is unset.
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {boolean} True if it matches API_TOKEN
+ */
+export function validateApiToken(token) {
+  const apiToken = process.env.API_TOKEN;
+  if (!apiToken || !token) return false;
+
+  // SECURITY: Constant-time comparison (lengths must match for timingSafeEqual)
+  const expected = Buffer.from(apiToken);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
 /**
  * Verify password and create session
  * Accepts either:
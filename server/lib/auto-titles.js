@@ -0,0 +1,218 @@
+/**
+ * Automatic session titles
+ *
+ * When a session's first turn completes and it has no title, the opening
+ * exchange is summarized into a short title by the haiku model and stored via
+ * session-titles.js (marked as generated). Titles set by hand are never
+ * replaced unless a regenerate is explicitly requested for that session.
+ *
+ * Generation runs one request at a time in a background queue; each request is
+ * a single tool-less, non-persisted SDK call. Its cost counts toward the daily
+ * project budget, and nothing is generated while that budget is spent.
+ */
+
+import { createReadStream, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { query } from '@anthropic-ai/claude-agent-sdk';
+import { config, getSessionsDir } from '../config.js';
+import { getBudgetStatus, recordSpend } from './budgets.js';
+import { logger } from './logger.js';
+import { getTitle, isGeneratedTitle, setTitle } from './session-titles.js';
+import { isValidSessionId } from './sessions.js';
+import { loadSettings } from './settings.js';
+import { broadcast } from './ws.js';
+
+const TITLE_SYSTEM_PROMPT =
+  'You write titles for conversations between a developer and a coding assistant. ' +
+  'Reply with the title only: 3 to 7 words, sentence case, no quotes, no trailing punctuation.';
+
+const MAX_PROMPT_CHARS = 2000;
+const MAX_REPLY_CHARS = 1000;
+const MAX_TITLE_CHARS = 80;
+const GENERATE_TIMEOUT_MS = 60 * 1000;
+
+// Sessions already tried after a turn in this process — a failure isn't retried every turn
+const attempted = new Set();
+
+// Serializes generation so a backfill never runs many SDK processes at once
+let queue = Promise.resolve();
+
+function enqueue(job) {
+  const run = queue.then(job, job);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Read the first user prompt and the first assistant text reply of a session
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Promise<{prompt: string, reply: string}>}
+ */
+async function readOpeningExchange(projectSlug, sessionId) {
+  const jsonlPath = join(getSessionsDir(projectSlug), `${sessionId}.jsonl`);
+  let prompt = '';
+  let reply = '';
+  if (!existsSync(jsonlPath)) return { prompt, reply };
+
+  const rl = createInterface({
+    input: createReadStream(jsonlPath),
+    crlfDelay: Number.POSITIVE_INFINITY,
+  });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (entry.isMeta) continue;
+    if (!prompt && (entry.type === 'user' || entry.type === 'human')) {
+      prompt = textOf(entry.message?.content).trim();
+    } else if (prompt && entry.type === 'assistant') {
+      reply = textOf(entry.message?.content).trim();
+      if (reply) break;
+    }
+  }
+  rl.close();
+  return { prompt, reply };
+}
+
+// Models sometimes wrap the title or prefix it despite the instructions
+function cleanTitle(text) {
+  const line = (text || '').trim().split('\n')[0];
+  return line
+    .replace(/^title:\s*/i, '')
+    .replace(/^["'`*]+|["'`*]+$/g, '')
+    .replace(/[.!]+$/, '')
+    .trim()
+    .slice(0, MAX_TITLE_CHARS);
+}
+
+/**
+ * Ask the haiku model for a title for a session
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Promise<string|null>} The title, or null if the session has no prompt yet
+ */
+export async function generateTitle(projectSlug, sessionId) {
+  const { prompt, reply } = await readOpeningExchange(projectSlug, sessionId);
+  if (!prompt) return null;
+
+  let content = `First request:\n${prompt.slice(0, MAX_PROMPT_CHARS)}`;
+  if (reply) {
+    content += `\n\nStart of the assistant's reply:\n${reply.slice(0, MAX_REPLY_CHARS)}`;
+  }
+
+  const abortController = new AbortController();
+  const timer = setTimeout(() => abortController.abort(), GENERATE_TIMEOUT_MS);
+  try {
+    const stream = query({
+      prompt: content,
+      options: {
+        model: config.models.haiku,
+        systemPrompt: TITLE_SYSTEM_PROMPT,
+        tools: [],
+        maxTurns: 1,
+        settingSources: [],
+        persistSession: false,
+        abortController,
+      },
+    });
+    let result = null;
+    for await (const message of stream) {
+      if (message.type === 'result') {
+        // Not tied to the session — a title shouldn't eat into its turn budget
+        recordSpend(projectSlug, null, message.total_cost_usd);
+        if (message.subtype !== 'success') {
+          throw new Error(`Title generation failed (${message.subtype})`);
+        }
+        result = message.result;
+      }
+    }
+    return cleanTitle(result) || null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Generate and store a title for one session (queued)
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @param {Object} [options] - { replace: boolean } — replace an existing title, even one set by hand
+ * @returns {Promise<{ok: boolean, title?: string, skipped?: boolean, budgetExceeded?: boolean, error?: string}>}
+ */
+export function titleSession(projectSlug, sessionId, { replace = false } = {}) {
+  if (!isValidSessionId(sessionId)) {
+    return Promise.resolve({ ok: false, error: 'Invalid session' });
+  }
+
+  return enqueue(async () => {
+    if (!replace && getTitle(projectSlug, sessionId)) {
+      return { ok: true, skipped: true };
+    }
+
+    const budget = getBudgetStatus(projectSlug, null);
+    if (budget.exceeded) {
+      return { ok: false, budgetExceeded: true, error: budget.message };
+    }
+
+    let title;
+    try {
+      title = await generateTitle(projectSlug, sessionId);
+    } catch (err) {
+      logger.error(`Failed to generate title for ${sessionId}:`, err.message);
+      return { ok: false, error: err.message };
+    }
+    if (!title) return { ok: true, skipped: true };
+
+    // The user may have renamed the session while the model was answering
+    const current = getTitle(projectSlug, sessionId);
+    if (current && !replace && !isGeneratedTitle(projectSlug, sessionId)) {
+      return { ok: true, skipped: true };
+    }
+
+    const success = setTitle(projectSlug, sessionId, title, {
+      model: config.models.haiku,
+    });
+    broadcast({
+      type: 'session_title_updated',
+      sessionId,
+      title,
+      generated: true,
+      success,
+    });
+    return success ? { ok: true, title } : { ok: false, error: 'Save failed' };
+  });
+}
+
+/**
+ * Title a session after a turn completes, if it is still untitled.
+ * Fire-and-forget; does nothing when disabled in settings or over budget.
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ */
+export function autoTitleAfterTurn(projectSlug, sessionId) {
+  if (!projectSlug || !sessionId || attempted.has(sessionId)) return;
+  if (!loadSettings().autoSessionTitles) return;
+  if (getTitle(projectSlug, sessionId)) return;
+  // Left unattempted so a later turn can title it once the budget allows
+  if (getBudgetStatus(projectSlug, null).exceeded) return;
+
+  attempted.add(sessionId);
+  titleSession(projectSlug, sessionId).catch((err) => {
+    logger.error(`Auto title failed for ${sessionId}:`, err.message);
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * Cost budgets - spend tracking and limits per turn, per session and per project per day.
+ *
+ * Limits come from user settings (null / 0 = unlimited):
+ *   budgetPerTurnUsd, budgetPerSessionUsd, budgetPerProjectDailyUsd
+ *
+ * Spend is recorded from each turn's `total_cost_usd` in ~/.tofucode/spend.json:
+ * {
+ *   "sessions": { "<sessionId>": { "projectSlug": "...", "costUsd": 1.23, "updatedAt": "ISO" } },
+ *   "projects": { "<projectSlug>": { "2026-10-19": 4.56 } }
+ * }
+ * Days are server-local dates. Only spend since this feature shipped is counted.
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { loadSettings } from './settings.js';
+
+const SPEND_DIR = join(homedir(), '.tofucode');
+const SPEND_FILE = join(SPEND_DIR, 'spend.json');
+const SPEND_TMP = `${SPEND_FILE}.tmp`;
+
+// Daily totals kept per project (older days are dropped on write)
+const MAX_DAYS_KEPT = 31;
+
+function loadSpend() {
+  try {
+    if (!existsSync(SPEND_FILE)) return { sessions: {}, projects: {} };
+    const parsed = JSON.parse(readFileSync(SPEND_FILE, 'utf8'));
+    return {
+      sessions: parsed.sessions || {},
+      projects: parsed.projects || {},
+    };
+  } catch (err) {
+    console.error(
+      `[budgets] failed to load ${SPEND_FILE} — starting from zero. Error: ${err.message}`,
+    );
+    return { sessions: {}, projects: {} };
+  }
+}
+
+function saveSpend(spend) {
+  if (!existsSync(SPEND_DIR)) {
+    mkdirSync(SPEND_DIR, { recursive: true });
+  }
+  writeFileSync(SPEND_TMP, JSON.stringify(spend, null, 2), 'utf8');
+  renameSync(SPEND_TMP, SPEND_FILE);
+}
+
+function today() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function toLimit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Configured limits in USD (null = unlimited).
+ * @returns {{ perTurn: number|null, perSession: number|null, perProjectDaily: number|null }}
+ */
+export function getBudgetLimits() {
+  const settings = loadSettings();
+  return {
+    perTurn: toLimit(settings.budgetPerTurnUsd),
+    perSession: toLimit(settings.budgetPerSessionUsd),
+    perProjectDaily: toLimit(settings.budgetPerProjectDailyUsd),
+  };
+}
+
+/**
+ * Add a finished turn's cost to its session and project totals.
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @param {number} costUsd
+ */
+export function recordSpend(projectSlug, sessionId, costUsd) {
+  if (!Number.isFinite(costUsd) || costUsd <= 0) return;
+  try {
+    const spend = loadSpend();
+    if (sessionId) {
+      const entry = spend.sessions[sessionId] || { projectSlug, costUsd: 0 };
+      entry.costUsd += costUsd;
+      entry.updatedAt = new Date().toISOString();
+      spend.sessions[sessionId] = entry;
+    }
+    const days = spend.projects[projectSlug] || {};
+    const day = today();
+    days[day] = (days[day] || 0) + costUsd;
+    spend.projects[projectSlug] = Object.fromEntries(
+      Object.entries(days).sort().slice(-MAX_DAYS_KEPT),
+    );
+    saveSpend(spend);
+  } catch (err) {
+    console.error(`[budgets] failed to record spend: ${err.message}`);
+  }
+}
+
+/**
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @returns {{ sessionUsd: number, projectTodayUsd: number }}
+ */
+export function getSpend(projectSlug, sessionId) {
+  const spend = loadSpend();
+  return {
+    sessionUsd: (sessionId && spend.sessions[sessionId]?.costUsd) || 0,
+    projectTodayUsd: spend.projects[projectSlug]?.[today()] || 0,
+  };
+}
+
+/**
+ * Whether a session may start another turn.
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @returns {{ exceeded: boolean, scope?: 'session'|'project', limitUsd?: number, spentUsd?: number, message?: string,
+ *   limits: Object, spend: Object }}
+ */
+export function getBudgetStatus(projectSlug, sessionId) {
+  const limits = getBudgetLimits();
+  const spend = getSpend(projectSlug, sessionId);
+  const status = { exceeded: false, limits, spend };
+
+  if (limits.perSession && spend.sessionUsd >= limits.perSession) {
+    return {
+      ...status,
+      exceeded: true,
+      scope: 'session',
+      limitUsd: limits.perSession,
+      spentUsd: spend.sessionUsd,
+      message: `Session budget exceeded — spent ${formatUsd(spend.sessionUsd)} of ${formatUsd(limits.perSession)}`,
+    };
+  }
+  if (
+    limits.perProjectDaily &&
+    spend.projectTodayUsd >= limits.perProjectDaily
+  ) {
+    return {
+      ...status,
+      exceeded: true,
+      scope: 'project',
+      limitUsd: limits.perProjectDaily,
+      spentUsd: spend.projectTodayUsd,
+      message: `Daily project budget exceeded — spent ${formatUsd(spend.projectTodayUsd)} of ${formatUsd(limits.perProjectDaily)} today`,
+    };
+  }
+  return status;
+}
+
+/**
+ * Most a single turn may spend: the per-turn limit, capped by what is left of the
+ * session and daily project budgets. Passed to the SDK as maxBudgetUsd.
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @returns {{ maxBudgetUsd: number, scope: 'turn'|'session'|'project' } | null} null = unlimited
+ */
+export function getTurnBudget(projectSlug, sessionId) {
+  const limits = getBudgetLimits();
+  const spend = getSpend(projectSlug, sessionId);
+  const candidates = [
+    limits.perTurn && { maxBudgetUsd: limits.perTurn, scope: 'turn' },
+    limits.perSession && {
+      maxBudgetUsd: limits.perSession - spend.sessionUsd,
+      scope: 'session',
+    },
+    limits.perProjectDaily && {
+      maxBudgetUsd: limits.perProjectDaily - spend.projectTodayUsd,
+      scope: 'project',
+    },
+  ].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((min, c) =>
+    c.maxBudgetUsd < min.maxBudgetUsd ? c : min,
+  );
+}
@@ -0,0 +1,449 @@
+/**
+ * File checkpoints for session rewind
+ *
+ * Before each turn, executePrompt opens a checkpoint. A PreToolUse hook hands it
+ * every Edit/Write/MultiEdit/NotebookEdit call, and the first time a file is
+ * touched in that turn its current contents are copied aside. Rewinding to a turn
+ * restores every file to the state it had before that turn (the earliest snapshot
+ * of each file from that turn onward) after saving the current contents so the
+ * rewind can be redone.
+ *
+ * Layout (per project sessions dir):
+ *   .checkpoints/<sessionId>/turns/<checkpointId>/manifest.json + files/<n>
+ *   .checkpoints/<sessionId>/rewinds/<rewindId>/manifest.json + files/<n>
+ *
+ * Turn manifest: { id, sessionId, afterUuid, userUuid, prompt, createdAt, files: [{ path, existed, blob?, skipped? }] }
+ *   afterUuid - last transcript entry before the turn (fork point for the conversation)
+ *   userUuid  - transcript entry of the turn's user message (what the UI rewinds "to")
+ *
+ * Only edits made through file tools are tracked — changes made by Bash commands
+ * are not snapshotted.
+ */
+
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { config, getSessionsDir } from '../config.js';
+import { logger } from './logger.js';
+import { isValidSessionId } from './sessions.js';
+
+const CHECKPOINTS_DIR = '.checkpoints';
+const MANIFEST = 'manifest.json';
+const TAIL_BYTES = 64 * 1024;
+
+// Tools whose input names a file they are about to modify
+export const CHECKPOINT_TOOLS_MATCHER = 'Edit|Write|MultiEdit|NotebookEdit';
+
+function getCheckpointsDir(projectSlug, sessionId) {
+  return path.join(getSessionsDir(projectSlug), CHECKPOINTS_DIR, sessionId);
+}
+
+function readManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeManifest(dir, manifest) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, MANIFEST);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Copy a file's current state into dir/files/<index>.
+ * @returns {{ path: string, existed: boolean, blob?: string, skipped?: string }}
+ */
+function captureFile(dir, filePath, index) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return { path: filePath, existed: false };
+  }
+  if (!stat.isFile()) {
+    return { path: filePath, existed: true, skipped: 'not a regular file' };
+  }
+  if (stat.size > config.maxFileSizeMb * 1024 * 1024) {
+    return { path: filePath, existed: true, skipped: 'file too large' };
+  }
+  const blob = String(index);
+  fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+  fs.copyFileSync(filePath, path.join(dir, 'files', blob));
+  return { path: filePath, existed: true, blob };
+}
+
+/**
+ * Put a captured file back. Files that did not exist are removed.
+ * @returns {string} 'restored' | 'deleted' | 'skipped'
+ */
+function restoreFile(dir, file) {
+  if (file.skipped) return 'skipped';
+  if (!file.existed) {
+    fs.rmSync(file.path, { force: true });
+    return 'deleted';
+  }
+  fs.mkdirSync(path.dirname(file.path), { recursive: true });
+  fs.copyFileSync(path.join(dir, 'files', file.blob), file.path);
+  return 'restored';
+}
+
+/**
+ * Read the last TAIL_BYTES of a session transcript (skipping malformed lines).
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Array<Object>}
+ */
+function readTailEntries(projectSlug, sessionId) {
+  const jsonlPath = path.join(
+    getSessionsDir(projectSlug),
+    `${sessionId}.jsonl`,
+  );
+  let text;
+  try {
+    const fd = fs.openSync(jsonlPath, 'r');
+    try {
+      const { size } = fs.fstatSync(fd);
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+      text = buffer.toString('utf-8');
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // First line of a tail read is usually cut in half
+    }
+  }
+  return entries;
+}
+
+/**
+ * UUID of the last transcript entry in a session — the point a rewind forks from.
+ * @param {string} projectSlug
+ * @param {string|null} sessionId
+ * @returns {string|null}
+ */
+export function getLastEntryUuid(projectSlug, sessionId) {
+  if (!sessionId) return null;
+  const entries = readTailEntries(projectSlug, sessionId);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].uuid) return entries[i].uuid;
+  }
+  return null;
+}
+
+// The turn's prompt is the first user entry after afterUuid that isn't a tool result.
+// Only the tail is read; when afterUuid has scrolled out of it, the whole tail
+// already comes after it.
+function findUserUuid(projectSlug, sessionId, afterUuid) {
+  const entries = readTailEntries(projectSlug, sessionId);
+  const index = afterUuid ? entries.findIndex((e) => e.uuid === afterUuid) : -1;
+  const start = index + 1;
+  for (const entry of entries.slice(start)) {
+    if (entry.type !== 'user' || !entry.uuid) continue;
+    const content = entry.message?.content;
+    if (
+      typeof content === 'string' ||
+      (Array.isArray(content) && content.some((b) => b.type !== 'tool_result'))
+    ) {
+      return entry.uuid;
+    }
+  }
+  return null;
+}
+
+/**
+ * Open a checkpoint for one turn. Nothing is written until the session ID is known.
+ *
+ * @param {string} projectSlug
+ * @param {Object} options
+ * @param {() => string|null} options.getSessionId - Read lazily; new sessions get their ID from init
+ * @param {string|null} options.afterUuid - Last transcript entry before this turn
+ * @param {string} options.prompt - Prompt text (shown in the rewind confirmation)
+ * @param {string} options.cwd - Project path, to resolve relative tool paths
+ * @returns {{ snapshot: (toolInput: Object) => void, finalize: () => Object|null }}
+ */
+export function createCheckpoint(
+  projectSlug,
+  { getSessionId, afterUuid, prompt, cwd },
+) {
+  const manifest = {
+    id: randomUUID(),
+    sessionId: null,
+    afterUuid,
+    userUuid: null,
+    prompt: prompt.slice(0, 500),
+    createdAt: new Date().toISOString(),
+    files: [],
+  };
+  const seen = new Set();
+
+  function getDir() {
+    const sessionId = getSessionId();
+    if (!isValidSessionId(sessionId)) return null;
+    manifest.sessionId = sessionId;
+    return path.join(
+      getCheckpointsDir(projectSlug, sessionId),
+      'turns',
+      manifest.id,
+    );
+  }
+
+  return {
+    snapshot(toolInput) {
+      const target = toolInput?.file_path || toolInput?.notebook_path;
+      if (typeof target !== 'string' || !target) return;
+      const filePath = path.resolve(cwd, target);
+      if (seen.has(filePath)) return;
+
+      const dir = getDir();
+      if (!dir) return;
+      seen.add(filePath);
+      try {
+        manifest.files.push(captureFile(dir, filePath, manifest.files.length));
+        writeManifest(dir, manifest);
+      } catch (err) {
+        logger.error(`[checkpoints] snapshot of ${filePath} failed:`, err);
+      }
+    },
+
+    finalize() {
+      // A turn that edited nothing has nothing to rewind
+      if (manifest.files.length === 0) return null;
+      const dir = getDir();
+      if (!dir) return null;
+      try {
+        manifest.userUuid = findUserUuid(
+          projectSlug,
+          manifest.sessionId,
+          afterUuid,
+        );
+        writeManifest(dir, manifest);
+        return summarize(manifest);
+      } catch (err) {
+        logger.error('[checkpoints] failed to save checkpoint:', err);
+        return null;
+      }
+    },
+  };
+}
+
+function summarize(manifest) {
+  return {
+    id: manifest.id,
+    userUuid: manifest.userUuid,
+    prompt: manifest.prompt,
+    createdAt: manifest.createdAt,
+    files: manifest.files.map((f) => f.path),
+  };
+}
+
+function loadTurns(projectSlug, sessionId) {
+  const dir = path.join(getCheckpointsDir(projectSlug, sessionId), 'turns');
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((id) => readManifest(path.join(dir, id)))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Checkpoints for a session, oldest first.
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Array<{ id, userUuid, prompt, createdAt, files: string[] }>}
+ */
+export function listCheckpoints(projectSlug, sessionId) {
+  if (!isValidSessionId(sessionId)) return [];
+  return loadTurns(projectSlug, sessionId).map(summarize);
+}
+
+/**
+ * Find the checkpoint for the turn started by a given user message.
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @param {string} userUuid
+ * @returns {Object|null} Full manifest
+ */
+export function findCheckpoint(projectSlug, sessionId, userUuid) {
+  if (!isValidSessionId(sessionId)) return null;
+  return (
+    loadTurns(projectSlug, sessionId).find((c) => c.userUuid === userUuid) ||
+    null
+  );
+}
+
+/**
+ * Restore files to their state before a checkpoint's turn. The current contents
+ * of every affected file are saved first so the rewind can be redone.
+ *
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @param {string} checkpointId
+ * @returns {{ ok: true, rewind: Object } | { ok: false, error: string }}
+ */
+export function rewindFiles(projectSlug, sessionId, checkpointId) {
+  const turns = loadTurns(projectSlug, sessionId);
+  const index = turns.findIndex((c) => c.id === checkpointId);
+  if (index === -1) {
+    return { ok: false, error: 'Checkpoint not found' };
+  }
+
+  // Earliest snapshot of each file from the target turn onward = state before it
+  const turnsDir = path.join(
+    getCheckpointsDir(projectSlug, sessionId),
+    'turns',
+  );
+  const plan = new Map();
+  for (const turn of turns.slice(index)) {
+    for (const file of turn.files) {
+      if (!plan.has(file.path)) {
+        plan.set(file.path, { dir: path.join(turnsDir, turn.id), file });
+      }
+    }
+  }
+
+  const rewind = {
+    id: randomUUID(),
+    sessionId,
+    checkpointId,
+    forkSessionId: null,
+    createdAt: new Date().toISOString(),
+    redoneAt: null,
+    files: [],
+    results: [],
+  };
+  const rewindDir = path.join(
+    getCheckpointsDir(projectSlug, sessionId),
+    'rewinds',
+    rewind.id,
+  );
+
+  try {
+    for (const filePath of plan.keys()) {
+      rewind.files.push(captureFile(rewindDir, filePath, rewind.files.length));
+    }
+    writeManifest(rewindDir, rewind);
+
+    for (const { dir, file } of plan.values()) {
+      rewind.results.push({ path: file.path, action: restoreFile(dir, file) });
+    }
+    writeManifest(rewindDir, rewind);
+  } catch (err) {
+    logger.error('[checkpoints] rewind failed:', err);
+    return { ok: false, error: `Failed to restore files: ${err.message}` };
+  }
+
+  return { ok: true, rewind };
+}
+
+/**
+ * Load a rewind record.
+ * @param {string} projectSlug
+ * @param {string} sessionId - Session that was rewound
+ * @param {string} rewindId
+ * @returns {Object|null}
+ */
+export function getRewind(projectSlug, sessionId, rewindId) {
+  if (!isValidSessionId(sessionId) || !isValidSessionId(rewindId)) return null;
+  return readManifest(
+    path.join(getCheckpointsDir(projectSlug, sessionId), 'rewinds', rewindId),
+  );
+}
+
+/**
+ * Record which session branch a rewind continued in.
+ * @param {string} projectSlug
+ * @param {Object} rewind - Rewind record from rewindFiles()
+ * @param {string|null} forkSessionId
+ */
+export function setRewindFork(projectSlug, rewind, forkSessionId) {
+  rewind.forkSessionId = forkSessionId;
+  writeManifest(
+    path.join(
+      getCheckpointsDir(projectSlug, rewind.sessionId),
+      'rewinds',
+      rewind.id,
+    ),
+    rewind,
+  );
+}
+
+/**
+ * Undo a rewind: put files back the way they were when it happened.
+ * @param {string} projectSlug
+ * @param {string} sessionId - Session that was rewound
+ * @param {string} rewindId
+ * @returns {{ ok: true, rewind: Object } | { ok: false, error: string }}
+ */
+export function redoRewind(projectSlug, sessionId, rewindId) {
+  const rewind = getRewind(projectSlug, sessionId, rewindId);
+  if (!rewind) {
+    return { ok: false, error: 'Rewind not found' };
+  }
+  if (rewind.redoneAt) {
+    return { ok: false, error: 'This rewind was already redone' };
+  }
+
+  const rewindDir = path.join(
+    getCheckpointsDir(projectSlug, sessionId),
+    'rewinds',
+    rewindId,
+  );
+  try {
+    for (const file of rewind.files) {
+      restoreFile(rewindDir, file);
+    }
+    rewind.redoneAt = new Date().toISOString();
+    writeManifest(rewindDir, rewind);
+  } catch (err) {
+    logger.error('[checkpoints] redo failed:', err);
+    return { ok: false, error: `Failed to restore files: ${err.message}` };
+  }
+  return { ok: true, rewind };
+}
+
+/**
+ * Rewinds of a session that can still be redone, newest first.
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Array<Object>}
+ */
+export function listPendingRewinds(projectSlug, sessionId) {
+  if (!isValidSessionId(sessionId)) return [];
+  const dir = path.join(getCheckpointsDir(projectSlug, sessionId), 'rewinds');
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((id) => readManifest(path.join(dir, id)))
+    .filter((r) => r && !r.redoneAt)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete all checkpoints of a session (on session delete).
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ */
+export function deleteCheckpoints(projectSlug, sessionId) {
+  if (!isValidSessionId(sessionId)) return;
+  fs.rmSync(getCheckpointsDir(projectSlug, sessionId), {
+    recursive: true,
+    force: true,
+  });
+}
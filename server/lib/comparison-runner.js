@@ -0,0 +1,166 @@
+/**
+ * Comparison runner
+ *
+ * Starts one session per model for a comparison (see comparisons.js), all at
+ * once. Each run goes through submitPrompt() like the chat UI, so its session can
+ * be opened mid-run to watch it or answer tool approvals.
+ *
+ * Isolation:
+ *   plan     - read-only plan mode in the project checkout
+ *   worktree - a fresh git worktree per model (acceptEdits); the winning branch
+ *              can be merged from the Worktrees panel
+ *
+ * Cost and duration come from each session's `result` event. Progress is
+ * broadcast as `compare:updated` so open tabs can refetch.
+ */
+
+import { submitPrompt } from '../events/prompt.js';
+import { getComparison, MAX_RESULT_LENGTH, updateRun } from './comparisons.js';
+import { logger } from './logger.js';
+import { setTitle } from './session-titles.js';
+import { createSessionStream } from './sse.js';
+import { createWorktree } from './worktrees.js';
+import { broadcast } from './ws.js';
+
+const TITLE_PROMPT_LENGTH = 40;
+
+function notify(comparison) {
+  broadcast({ type: 'compare:updated', projectSlug: comparison.projectSlug });
+}
+
+function record(comparison, model, patch) {
+  updateRun(comparison.id, model, patch);
+  notify(comparison);
+}
+
+function sessionTitle(comparison, model) {
+  const prompt = comparison.prompt.replace(/\s+/g, ' ');
+  const excerpt =
+    prompt.length > TITLE_PROMPT_LENGTH
+      ? `${prompt.slice(0, TITLE_PROMPT_LENGTH)}…`
+      : prompt;
+  return `Compare (${model}) — ${excerpt}`;
+}
+
+/**
+ * Create the model's worktree.
+ * @param {Object} comparison
+ * @param {string} model
+ * @returns {Promise<string|null>} Worktree slug, or null if it couldn't be created
+ */
+async function prepareWorktree(comparison, model) {
+  const created = await createWorktree(
+    comparison.projectSlug,
+    `compare-${model}-${comparison.id.slice(0, 8)}`,
+  );
+  if (!created.ok) {
+    const now = new Date().toISOString();
+    record(comparison, model, {
+      status: 'error',
+      error: created.error,
+      startedAt: now,
+      finishedAt: now,
+    });
+    return null;
+  }
+  record(comparison, model, {
+    sessionSlug: created.worktree.slug,
+    worktreeId: created.worktree.id,
+    branch: created.worktree.branch,
+  });
+  return created.worktree.slug;
+}
+
+/**
+ * Run one model of a comparison to completion.
+ * @param {Object} comparison
+ * @param {string} model
+ * @param {string} sessionSlug - Project or worktree slug to run in
+ */
+async function runModel(comparison, model, sessionSlug) {
+  const startedAt = new Date().toISOString();
+  record(comparison, model, { status: 'running', startedAt });
+
+  const errors = [];
+  let result = null;
+  const stream = createSessionStream({
+    onMessage: (message) => {
+      if (message.type === 'session_info' && message.sessionId) {
+        setTitle(
+          sessionSlug,
+          message.sessionId,
+          sessionTitle(comparison, model),
+        );
+        record(comparison, model, { sessionId: message.sessionId });
+      }
+      if (message.type === 'error') errors.push(message.message);
+      if (message.type === 'result') result = message;
+    },
+  });
+
+  const patch = {};
+  try {
+    const outcome = await submitPrompt(stream, sessionSlug, null, {
+      prompt: comparison.prompt,
+      model,
+      permissionMode: comparison.isolation === 'plan' ? 'plan' : 'acceptEdits',
+    });
+
+    if (outcome.error) {
+      Object.assign(patch, { status: 'error', error: outcome.error });
+    } else if (result) {
+      Object.assign(patch, {
+        status: result.subtype === 'success' ? 'completed' : 'error',
+        cost: result.cost ?? null,
+        duration: result.duration ?? null,
+        result: result.result?.slice(0, MAX_RESULT_LENGTH) ?? null,
+      });
+      if (patch.status === 'error') patch.error = errors[0] || result.subtype;
+    } else {
+      Object.assign(patch, {
+        status: 'error',
+        error: errors[0] || 'Run ended without a result',
+      });
+    }
+  } catch (err) {
+    logger.error(
+      `[compare] run failed comparisonId=${comparison.id} model=${model}:`,
+      err,
+    );
+    Object.assign(patch, { status: 'error', error: err.message });
+  } finally {
+    stream.close();
+  }
+
+  patch.finishedAt = new Date().toISOString();
+  record(comparison, model, patch);
+}
+
+/**
+ * Start every model of a comparison in parallel.
+ * @param {string} comparisonId
+ * @returns {Promise<void>} Resolves once all runs have finished
+ */
+export async function runComparison(comparisonId) {
+  const comparison = getComparison(comparisonId);
+  if (!comparison) return;
+
+  logger.log(
+    `[compare] start comparisonId=${comparison.id} models=${comparison.runs.map((r) => r.model).join(',')} isolation=${comparison.isolation}`,
+  );
+  // Worktrees first, one at a time — parallel `git worktree add` races on .git locks
+  const targets = [];
+  for (const run of comparison.runs) {
+    const sessionSlug =
+      comparison.isolation === 'worktree'
+        ? await prepareWorktree(comparison, run.model)
+        : comparison.projectSlug;
+    if (sessionSlug) targets.push({ model: run.model, sessionSlug });
+  }
+
+  await Promise.all(
+    targets.map(({ model, sessionSlug }) =>
+      runModel(comparison, model, sessionSlug),
+    ),
+  );
+}
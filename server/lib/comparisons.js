@@ -0,0 +1,219 @@
+/**
+ * Model comparisons - persistence.
+ *
+ * A comparison sends one prompt to several models as parallel sessions so their
+ * answers, cost and duration can be read side by side.
+ *
+ * Stored in ~/.tofucode/comparisons.json:
+ * {
+ *   "comparisons": [
+ *     {
+ *       "id": "uuid",
+ *       "projectSlug": "-home-me-myapp",
+ *       "prompt": "Add input validation to the signup form",
+ *       "isolation": "plan" | "worktree",
+ *       "createdAt": "ISO",
+ *       "runs": [
+ *         {
+ *           "model": "opus",
+ *           "status": "pending" | "running" | "completed" | "error",
+ *           "sessionSlug": "-home-me-myapp",     // worktree slug in worktree mode
+ *           "sessionId": null | "uuid",
+ *           "worktreeId": null | "uuid", "branch": null | "tofucode/compare-…",
+ *           "startedAt": "ISO", "finishedAt": "ISO",
+ *           "cost": 0.12, "duration": 45000,    // from the session's result event
+ *           "result": "…", "error": null
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * The runner lives in comparison-runner.js.
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+const COMPARISONS_DIR = join(homedir(), '.tofucode');
+const COMPARISONS_FILE = join(COMPARISONS_DIR, 'comparisons.json');
+const COMPARISONS_TMP = `${COMPARISONS_FILE}.tmp`;
+
+// Comparisons kept per project (oldest dropped first)
+const MAX_COMPARISONS_PER_PROJECT = 20;
+
+const MAX_PROMPT_LENGTH = 20000;
+
+// Final answers are kept for the side-by-side view; the full transcript is in the session
+export const MAX_RESULT_LENGTH = 20000;
+
+export const COMPARE_MODELS = ['opus', 'sonnet', 'haiku'];
+
+// plan: read-only plan mode in the project itself
+// worktree: each model edits its own git worktree (acceptEdits)
+export const ISOLATION_MODES = ['plan', 'worktree'];
+
+function loadComparisons() {
+  try {
+    if (!existsSync(COMPARISONS_FILE)) return [];
+    const parsed = JSON.parse(readFileSync(COMPARISONS_FILE, 'utf8'));
+    return Array.isArray(parsed.comparisons) ? parsed.comparisons : [];
+  } catch (err) {
+    console.error(
+      `[comparisons] failed to load ${COMPARISONS_FILE} — returning empty state. Error: ${err.message}`,
+    );
+    return [];
+  }
+}
+
+function saveComparisons(comparisons) {
+  if (!existsSync(COMPARISONS_DIR)) {
+    mkdirSync(COMPARISONS_DIR, { recursive: true });
+  }
+  writeFileSync(
+    COMPARISONS_TMP,
+    JSON.stringify({ comparisons }, null, 2),
+    'utf8',
+  );
+  renameSync(COMPARISONS_TMP, COMPARISONS_FILE);
+}
+
+/**
+ * Comparisons for a project, newest first.
+ * @param {string} projectSlug
+ * @returns {Array}
+ */
+export function listComparisons(projectSlug) {
+  return loadComparisons()
+    .filter((c) => c.projectSlug === projectSlug)
+    .reverse();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getComparison(id) {
+  return loadComparisons().find((c) => c.id === id) || null;
+}
+
+/**
+ * Validate and store a new comparison with one pending run per model.
+ * @param {Object} input - { projectSlug, prompt, models: string[], isolation }
+ * @returns {{ ok: true, comparison: Object } | { ok: false, error: string }}
+ */
+export function createComparison(input) {
+  const prompt = typeof input.prompt === 'string' ? input.prompt.trim() : '';
+  if (!prompt) return { ok: false, error: 'Prompt is required' };
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return {
+      ok: false,
+      error: `Prompt is too long (max ${MAX_PROMPT_LENGTH} characters)`,
+    };
+  }
+
+  const models = Array.isArray(input.models)
+    ? COMPARE_MODELS.filter((m) => input.models.includes(m))
+    : [];
+  if (models.length < 2) {
+    return { ok: false, error: 'Pick at least two models to compare' };
+  }
+
+  if (!ISOLATION_MODES.includes(input.isolation)) {
+    return {
+      ok: false,
+      error: `Isolation must be one of: ${ISOLATION_MODES.join(', ')}`,
+    };
+  }
+
+  const comparison = {
+    id: crypto.randomUUID(),
+    projectSlug: input.projectSlug,
+    prompt,
+    isolation: input.isolation,
+    createdAt: new Date().toISOString(),
+    runs: models.map((model) => ({
+      model,
+      status: 'pending',
+      sessionSlug: input.projectSlug,
+      sessionId: null,
+      worktreeId: null,
+      branch: null,
+      startedAt: null,
+      finishedAt: null,
+      cost: null,
+      duration: null,
+      result: null,
+      error: null,
+    })),
+  };
+
+  const comparisons = loadComparisons();
+  comparisons.push(comparison);
+  const own = comparisons.filter((c) => c.projectSlug === input.projectSlug);
+  const dropped = new Set(
+    own
+      .slice(0, Math.max(0, own.length - MAX_COMPARISONS_PER_PROJECT))
+      .map((c) => c.id),
+  );
+  saveComparisons(comparisons.filter((c) => !dropped.has(c.id)));
+  return { ok: true, comparison };
+}
+
+/**
+ * Merge fields into one model's run.
+ * @param {string} id - Comparison ID
+ * @param {string} model
+ * @param {Object} patch
+ * @returns {Object|null} Updated comparison
+ */
+export function updateRun(id, model, patch) {
+  const comparisons = loadComparisons();
+  const comparison = comparisons.find((c) => c.id === id);
+  const run = comparison?.runs.find((r) => r.model === model);
+  if (!run) return null;
+  Object.assign(run, patch);
+  saveComparisons(comparisons);
+  return comparison;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether a comparison was removed
+ */
+export function deleteComparison(id) {
+  const comparisons = loadComparisons();
+  const next = comparisons.filter((c) => c.id !== id);
+  if (next.length === comparisons.length) return false;
+  saveComparisons(next);
+  return true;
+}
+
+/**
+ * Mark runs left running by a previous server process as failed.
+ * Called once at startup — nothing can still be streaming into them.
+ */
+export function failInterruptedRuns() {
+  const comparisons = loadComparisons();
+  let changed = false;
+  for (const comparison of comparisons) {
+    for (const run of comparison.runs) {
+      if (run.status === 'pending' || run.status === 'running') {
+        Object.assign(run, {
+          status: 'error',
+          error: 'Interrupted by a server restart',
+          finishedAt: run.finishedAt ?? new Date().toISOString(),
+        });
+        changed = true;
+      }
+    }
+  }
+  if (changed) saveComparisons(comparisons);
+}
@@ -0,0 +1,169 @@
+/**
+ * Minimal 5-field cron expressions (server local time).
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0; 7 is also Sunday)
+ *   * * * * *
+ *
+ * Supports `*`, lists (`1,3,5`), ranges (`1-5`), steps (`*\/15`, `9-17/2`) and the
+ * aliases @hourly, @daily, @weekly, @monthly, @weekdays. As in standard cron, when both
+ * day-of-month and day-of-week are restricted a day matches if EITHER matches.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@weekdays': '0 9 * * 1-5',
+};
+
+// Upper bound for the next-run search (covers e.g. "Feb 29 on a Monday")
+const MAX_SEARCH_MINUTES = 60 * 24 * 366 * 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${name}: "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(Number);
+    } else {
+      start = Number(rangeText);
+      // "5/10" means "from 5 every 10"
+      end = stepText === undefined ? start : max;
+    }
+
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      start < min ||
+      end > max ||
+      start > end
+    ) {
+      throw new Error(`Invalid ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression
+ * @returns {{ minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, dayRestricted: boolean, weekdayRestricted: boolean }}
+ * @throws {Error} On malformed expressions
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      'Cron expression must have 5 fields: minute hour day-of-month month day-of-week',
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i]),
+  );
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+/**
+ * Validate a cron expression without throwing.
+ * @param {string} expression
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  if (cron.dayRestricted) return dayMatch;
+  if (cron.weekdayRestricted) return weekdayMatch;
+  return true;
+}
+
+/**
+ * Compute the next time (strictly after `from`) a cron expression fires.
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date|null} Next run, or null if none within 5 years
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      // Jump to the first minute of next month
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
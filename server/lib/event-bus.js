@@ -10,6 +10,7 @@
  *
  * Events:
  *   'session:start'  — { projectPath, sessionId, isNew, prompt }
+ *   'session:text_delta' — { projectPath, sessionId, content }  (streamed piece of the next 'session:text')
  *   'session:text'   — { projectPath, sessionId, content, model }
  *   'session:tool'   — { projectPath, sessionId, tool, input }
  *   'session:result' — { projectPath, sessionId, subtype, cost, duration }
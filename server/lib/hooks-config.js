@@ -0,0 +1,343 @@
+/**
+ * Hooks Config Manager
+ *
+ * Handles reading and writing the `hooks` section of Claude Code settings in:
+ * - Local scope:   {projectPath}/.claude/settings.local.json
+ * - Project scope: {projectPath}/.claude/settings.json
+ * - User scope:    ~/.claude/settings.json
+ *
+ * The SDK loads all three (settingSources: user, project, local), so hooks saved
+ * here run on the next prompt. Only the `hooks` key is rewritten — other settings
+ * are preserved.
+ *
+ * Settings format:
+ *   "hooks": {
+ *     "PreToolUse": [
+ *       { "matcher": "Bash", "hooks": [{ "type": "command", "command": "...", "timeout": 30 }] }
+ *     ]
+ *   }
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { SHELL_INJECTION_RE } from './mcp-config.js';
+
+const USER_SETTINGS_PATH = join(homedir(), '.claude', 'settings.json');
+
+// Hook events that can be managed here
+export const HOOK_EVENTS = [
+  'PreToolUse',
+  'PostToolUse',
+  'Stop',
+  'SubagentStop',
+  'UserPromptSubmit',
+  'Notification',
+  'SessionStart',
+  'PreCompact',
+];
+
+// Events whose matcher filters by tool name (others ignore the matcher)
+const TOOL_MATCHER_EVENTS = ['PreToolUse', 'PostToolUse'];
+
+// Tool-name regex: names, |, wildcards and grouping — no quotes or shell syntax
+const VALID_MATCHER_RE = /^[\w|*.()^$:-]{0,200}$/;
+
+const MAX_COMMAND_LENGTH = 2000;
+const MAX_TIMEOUT_SECONDS = 3600;
+
+const VALID_SCOPES = ['local', 'project', 'user'];
+
+// ---------------------------------------------------------------------------
+// Internal file helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Verify a project path exists on disk and is a directory.
+ * @param {string} projectPath
+ * @returns {string|null} error message or null if valid
+ */
+function validateProjectPath(projectPath) {
+  if (!projectPath) return 'Select a project first';
+  try {
+    if (!existsSync(projectPath) || !statSync(projectPath).isDirectory()) {
+      return `Project path does not exist: ${projectPath}`;
+    }
+  } catch {
+    return `Cannot access project path: ${projectPath}`;
+  }
+  return null;
+}
+
+function getSettingsPath(scope, projectPath) {
+  if (scope === 'local') {
+    return join(projectPath, '.claude', 'settings.local.json');
+  }
+  if (scope === 'project') return join(projectPath, '.claude', 'settings.json');
+  return USER_SETTINGS_PATH;
+}
+
+function readSettings(filePath) {
+  if (!existsSync(filePath)) return {};
+  // Let parse errors surface — rewriting a file we couldn't read would drop settings
+  return JSON.parse(readFileSync(filePath, 'utf-8'));
+}
+
+function writeSettings(filePath, data) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+  renameSync(tmpPath, filePath);
+}
+
+function readScopeHooks(scope, projectPath) {
+  const hooks = readSettings(getSettingsPath(scope, projectPath)).hooks;
+  return hooks && typeof hooks === 'object' ? hooks : {};
+}
+
+function writeScopeHooks(scope, projectPath, hooks) {
+  const filePath = getSettingsPath(scope, projectPath);
+  const settings = readSettings(filePath);
+  // Surgical merge — only replace the hooks key (dropped when empty)
+  const { hooks: _previous, ...rest } = settings;
+  writeSettings(
+    filePath,
+    Object.keys(hooks).length > 0 ? { ...rest, hooks } : rest,
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} scope
+ * @returns {string|null}
+ */
+export function validateScope(scope) {
+  if (!VALID_SCOPES.includes(scope))
+    return `Scope must be one of: ${VALID_SCOPES.join(', ')}`;
+  return null;
+}
+
+/**
+ * @param {object} hook - { event, matcher, command, timeout }
+ * @returns {string|null} error message or null if valid
+ */
+export function validateHook(hook) {
+  if (!hook || typeof hook !== 'object') return 'Hook is required';
+
+  if (!HOOK_EVENTS.includes(hook.event))
+    return `Event must be one of: ${HOOK_EVENTS.join(', ')}`;
+
+  const matcher = hook.matcher ?? '';
+  if (typeof matcher !== 'string') return 'Matcher must be a string';
+  if (!VALID_MATCHER_RE.test(matcher))
+    return 'Matcher may only contain tool names, |, *, . and parentheses';
+  try {
+    new RegExp(matcher);
+  } catch {
+    return 'Matcher is not a valid pattern';
+  }
+
+  if (!hook.command || typeof hook.command !== 'string')
+    return 'Command is required';
+  if (hook.command.length > MAX_COMMAND_LENGTH)
+    return `Command is too long (max ${MAX_COMMAND_LENGTH} characters)`;
+  if (SHELL_INJECTION_RE.test(hook.command))
+    return 'Command contains invalid shell characters — put pipelines and redirects in a script and call that';
+
+  if (hook.timeout !== undefined && hook.timeout !== null) {
+    if (
+      !Number.isInteger(hook.timeout) ||
+      hook.timeout < 1 ||
+      hook.timeout > MAX_TIMEOUT_SECONDS
+    )
+      return `Timeout must be 1-${MAX_TIMEOUT_SECONDS} seconds`;
+  }
+
+  return null;
+}
+
+function checkScope(scope, projectPath) {
+  const scopeErr = validateScope(scope);
+  if (scopeErr) return scopeErr;
+  if (scope === 'local' || scope === 'project') {
+    return validateProjectPath(projectPath);
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Internal hook helpers
+// ---------------------------------------------------------------------------
+
+function insertHook(hooks, hook) {
+  const matcher = TOOL_MATCHER_EVENTS.includes(hook.event)
+    ? hook.matcher.trim()
+    : '';
+  const entry = { type: 'command', command: hook.command.trim() };
+  if (hook.timeout) entry.timeout = hook.timeout;
+
+  const groups = [...(hooks[hook.event] ?? [])];
+  const index = groups.findIndex((g) => (g.matcher ?? '') === matcher);
+  if (index === -1) {
+    groups.push(matcher ? { matcher, hooks: [entry] } : { hooks: [entry] });
+  } else {
+    groups[index] = {
+      ...groups[index],
+      hooks: [...(groups[index].hooks ?? []), entry],
+    };
+  }
+  return { ...hooks, [hook.event]: groups };
+}
+
+/**
+ * Remove the hook at ref, checking it is still the one the client saw
+ * (the file may have been edited since it was listed).
+ */
+function extractHook(hooks, ref) {
+  const groups = hooks[ref.event];
+  const group = Array.isArray(groups) ? groups[ref.groupIndex] : null;
+  const entry = group?.hooks?.[ref.hookIndex];
+  if (!entry || entry.command !== ref.command) {
+    return { error: 'Hook not found — it may have changed on disk. Reload.' };
+  }
+
+  const remaining = group.hooks.filter((_, i) => i !== ref.hookIndex);
+  const nextGroups = groups
+    .map((g, i) => (i === ref.groupIndex ? { ...g, hooks: remaining } : g))
+    .filter((g) => g.hooks?.length > 0);
+
+  const next = { ...hooks, [ref.event]: nextGroups };
+  if (nextGroups.length === 0) delete next[ref.event];
+  return { hooks: next };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * List hooks across all scopes, one item per hook command.
+ *
+ * @param {string|null} projectPath
+ * @returns {{ hooks: Array<object>, errors: Array<{ scope, error }> }}
+ */
+export function listHooks(projectPath) {
+  const scopes = projectPath ? VALID_SCOPES : ['user'];
+  const hooks = [];
+  const errors = [];
+
+  for (const scope of scopes) {
+    let scopeHooks;
+    try {
+      scopeHooks = readScopeHooks(scope, projectPath);
+    } catch (err) {
+      errors.push({ scope, error: `Cannot read settings: ${err.message}` });
+      continue;
+    }
+    for (const [event, groups] of Object.entries(scopeHooks)) {
+      if (!Array.isArray(groups)) continue;
+      groups.forEach((group, groupIndex) => {
+        (group.hooks ?? []).forEach((entry, hookIndex) => {
+          hooks.push({
+            scope,
+            event,
+            matcher: group.matcher ?? '',
+            groupIndex,
+            hookIndex,
+            type: entry.type ?? 'command',
+            command: entry.command ?? entry.prompt ?? '',
+            timeout: entry.timeout ?? null,
+            // Events/types tofucode doesn't manage are shown read-only
+            editable:
+              HOOK_EVENTS.includes(event) &&
+              (entry.type ?? 'command') === 'command',
+          });
+        });
+      });
+    }
+  }
+
+  return { hooks, errors };
+}
+
+/**
+ * Add a command hook to the specified scope.
+ *
+ * @param {object} hook - { event, matcher, command, timeout }
+ * @param {'local'|'project'|'user'} scope
+ * @param {string|null} projectPath
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function addHook(hook, scope, projectPath) {
+  const scopeErr = checkScope(scope, projectPath);
+  if (scopeErr) return { success: false, error: scopeErr };
+
+  const hookErr = validateHook(hook);
+  if (hookErr) return { success: false, error: hookErr };
+
+  try {
+    const hooks = readScopeHooks(scope, projectPath);
+    writeScopeHooks(scope, projectPath, insertHook(hooks, hook));
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true };
+}
+
+/**
+ * Replace an existing hook (may move it to another event or matcher).
+ *
+ * @param {object} ref - { event, groupIndex, hookIndex, command } as listed
+ * @param {object} hook - { event, matcher, command, timeout }
+ * @param {'local'|'project'|'user'} scope
+ * @param {string|null} projectPath
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function updateHook(ref, hook, scope, projectPath) {
+  const scopeErr = checkScope(scope, projectPath);
+  if (scopeErr) return { success: false, error: scopeErr };
+
+  const hookErr = validateHook(hook);
+  if (hookErr) return { success: false, error: hookErr };
+
+  try {
+    const extracted = extractHook(readScopeHooks(scope, projectPath), ref);
+    if (extracted.error) return { success: false, error: extracted.error };
+    writeScopeHooks(scope, projectPath, insertHook(extracted.hooks, hook));
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true };
+}
+
+/**
+ * Remove a hook from the specified scope.
+ *
+ * @param {object} ref - { event, groupIndex, hookIndex, command } as listed
+ * @param {'local'|'project'|'user'} scope
+ * @param {string|null} projectPath
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function removeHook(ref, scope, projectPath) {
+  const scopeErr = checkScope(scope, projectPath);
+  if (scopeErr) return { success: false, error: scopeErr };
+
+  try {
+    const extracted = extractHook(readScopeHooks(scope, projectPath), ref);
+    if (extracted.error) return { success: false, error: extracted.error };
+    writeScopeHooks(scope, projectPath, extracted.hooks);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return { success: true };
+}
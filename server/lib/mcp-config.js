@@ -16,8 +16,8 @@ import { join } from 'node:path';
 const CLAUDE_CONFIG_PATH = join(homedir(), '.claude.json');
 const CREDENTIALS_PATH = join(homedir(), '.claude', '.credentials.json');
 
-// Shell injection characters to block in stdio commands
-const SHELL_INJECTION_RE = /[;&|`$\n><]/;
+// Shell injection characters to block in stdio commands (also used for hook commands)
+export const SHELL_INJECTION_RE = /[;&|`$\n><]/;
 
 // Valid server name: alphanumeric, hyphens, underscores, max 64 chars
 const VALID_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
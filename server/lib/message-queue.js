@@ -1,58 +1,130 @@
 /**
  * Message queue - per-session FIFO queue for prompts submitted while Claude is running.
- * In-memory only; queue is lost on server restart (acceptable for MVP).
+ *
+ * Persisted to ~/.tofucode/queue.json so queued work survives restarts (including
+ * the upgrade restart). On boot, queues that aren't paused resume automatically
+ * (see resumeQueues in events/prompt.js).
+ *
+ * {
+ *   "sessions": {
+ *     "<sessionId>": {
+ *       "projectSlug": "-home-me-myapp",
+ *       "paused": false,
+ *       "messages": [ { id, prompt, options, queuedAt, editedAt? } ]
+ *     }
+ *   }
+ * }
  */
 
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+const QUEUE_DIR = join(homedir(), '.tofucode');
+const QUEUE_FILE = join(QUEUE_DIR, 'queue.json');
+const QUEUE_TMP = `${QUEUE_FILE}.tmp`;
+
 const MAX_QUEUE_SIZE = 50;
 
-// Map<sessionId, QueuedMessage[]>
-const sessionQueues = new Map();
+// Map<sessionId, { projectSlug, paused, messages: QueuedMessage[] }>
+const sessionQueues = loadQueues();
 
 let _idCounter = 0;
 function generateId() {
   return `q-${Date.now()}-${++_idCounter}`;
 }
 
+function loadQueues() {
+  try {
+    if (!existsSync(QUEUE_FILE)) return new Map();
+    const parsed = JSON.parse(readFileSync(QUEUE_FILE, 'utf8'));
+    return new Map(Object.entries(parsed.sessions || {}));
+  } catch (err) {
+    console.error(
+      `[queue] failed to load ${QUEUE_FILE} — starting with empty queues. Error: ${err.message}`,
+    );
+    return new Map();
+  }
+}
+
+// Write-through on every change (temp file + rename). Empty, unpaused queues are dropped.
+function saveQueues() {
+  for (const [sessionId, entry] of sessionQueues) {
+    if (entry.messages.length === 0 && !entry.paused) {
+      sessionQueues.delete(sessionId);
+    }
+  }
+  try {
+    if (!existsSync(QUEUE_DIR)) {
+      mkdirSync(QUEUE_DIR, { recursive: true });
+    }
+    const sessions = Object.fromEntries(sessionQueues);
+    writeFileSync(QUEUE_TMP, JSON.stringify({ sessions }, null, 2), 'utf8');
+    renameSync(QUEUE_TMP, QUEUE_FILE);
+  } catch (err) {
+    console.error(`[queue] failed to save ${QUEUE_FILE}: ${err.message}`);
+  }
+}
+
+function validatePrompt(prompt, options) {
+  // Attachment-only prompts (e.g. a pasted screenshot) may have empty text
+  return (
+    typeof prompt === 'string' &&
+    (prompt.trim() !== '' || options?.attachments?.length > 0)
+  );
+}
+
 /**
  * Add a message to the end of the session queue.
  * @param {string} sessionId
  * @param {string} prompt
- * @param {object} options - { model, permissionMode, dangerouslySkipPermissions }
+ * @param {object} options - { model, permissionMode, dangerouslySkipPermissions, attachments }
+ * @param {string} projectSlug - Project the session belongs to (needed to resume after restart)
  * @returns {{ ok: true, msg: object } | { ok: false, error: string }}
  */
-export function enqueue(sessionId, prompt, options = {}) {
-  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+export function enqueue(sessionId, prompt, options = {}, projectSlug = null) {
+  if (!validatePrompt(prompt, options)) {
     return { ok: false, error: 'Prompt must be a non-empty string' };
   }
   if (!sessionQueues.has(sessionId)) {
-    sessionQueues.set(sessionId, []);
+    sessionQueues.set(sessionId, { projectSlug, paused: false, messages: [] });
   }
-  const queue = sessionQueues.get(sessionId);
-  if (queue.length >= MAX_QUEUE_SIZE) {
+  const entry = sessionQueues.get(sessionId);
+  if (entry.messages.length >= MAX_QUEUE_SIZE) {
     return {
       ok: false,
       error: `Queue is full (max ${MAX_QUEUE_SIZE} messages)`,
     };
   }
+  if (projectSlug) entry.projectSlug = projectSlug;
   const msg = {
     id: generateId(),
     prompt,
     options,
     queuedAt: new Date().toISOString(),
   };
-  queue.push(msg);
+  entry.messages.push(msg);
+  saveQueues();
   return { ok: true, msg };
 }
 
 /**
- * Remove and return the first message in the queue, or null if empty.
+ * Remove and return the first message in the queue, or null if empty or paused.
  * @param {string} sessionId
  * @returns {object|null}
  */
 export function dequeue(sessionId) {
-  const queue = sessionQueues.get(sessionId);
-  if (!queue || queue.length === 0) return null;
-  return queue.shift();
+  const entry = sessionQueues.get(sessionId);
+  if (!entry || entry.paused || entry.messages.length === 0) return null;
+  const msg = entry.messages.shift();
+  saveQueues();
+  return msg;
 }
 
 /**
@@ -61,7 +133,7 @@ export function dequeue(sessionId) {
  * @returns {object[]}
  */
 export function getQueue(sessionId) {
-  return [...(sessionQueues.get(sessionId) || [])];
+  return [...(sessionQueues.get(sessionId)?.messages || [])];
 }
 
 /**
@@ -70,7 +142,22 @@ export function getQueue(sessionId) {
  * @returns {number}
  */
 export function getQueueSize(sessionId) {
-  return (sessionQueues.get(sessionId) || []).length;
+  return sessionQueues.get(sessionId)?.messages.length || 0;
+}
+
+/**
+ * Snapshot of a session's queue for queue_state / queue_updated messages.
+ * @param {string} sessionId
+ * @returns {{ sessionId: string, queue: object[], size: number, paused: boolean }}
+ */
+export function getQueueState(sessionId) {
+  const queue = getQueue(sessionId);
+  return {
+    sessionId,
+    queue,
+    size: queue.length,
+    paused: isQueuePaused(sessionId),
+  };
 }
 
 /**
@@ -80,18 +167,112 @@ export function getQueueSize(sessionId) {
  * @returns {boolean} Whether a message was removed
  */
 export function deleteMessage(sessionId, messageId) {
-  const queue = sessionQueues.get(sessionId);
-  if (!queue) return false;
-  const before = queue.length;
-  const filtered = queue.filter((m) => m.id !== messageId);
-  sessionQueues.set(sessionId, filtered);
-  return filtered.length < before;
+  const entry = sessionQueues.get(sessionId);
+  if (!entry) return false;
+  const before = entry.messages.length;
+  entry.messages = entry.messages.filter((m) => m.id !== messageId);
+  if (entry.messages.length === before) return false;
+  saveQueues();
+  return true;
+}
+
+/**
+ * Replace the prompt text of a queued message.
+ * @param {string} sessionId
+ * @param {string} messageId
+ * @param {string} prompt
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function editMessage(sessionId, messageId, prompt) {
+  const msg = sessionQueues
+    .get(sessionId)
+    ?.messages.find((m) => m.id === messageId);
+  // Already dequeued (it just started executing) or deleted in another tab
+  if (!msg) return { ok: false, error: 'Message is no longer queued' };
+  if (!validatePrompt(prompt, msg.options)) {
+    return { ok: false, error: 'Prompt must be a non-empty string' };
+  }
+  msg.prompt = prompt;
+  msg.editedAt = new Date().toISOString();
+  saveQueues();
+  return { ok: true };
+}
+
+/**
+ * Move a queued message to a new position.
+ * @param {string} sessionId
+ * @param {string} messageId
+ * @param {number} toIndex - Target position (clamped to the queue bounds)
+ * @returns {boolean} Whether the message was found
+ */
+export function moveMessage(sessionId, messageId, toIndex) {
+  const entry = sessionQueues.get(sessionId);
+  const from = entry?.messages.findIndex((m) => m.id === messageId) ?? -1;
+  if (from === -1) return false;
+  const to = Math.max(0, Math.min(entry.messages.length - 1, toIndex));
+  const [msg] = entry.messages.splice(from, 1);
+  entry.messages.splice(to, 0, msg);
+  saveQueues();
+  return true;
+}
+
+/**
+ * Pause or resume automatic processing of a session's queue.
+ * A paused queue keeps its messages (and stays paused across restarts).
+ * @param {string} sessionId
+ * @param {boolean} paused
+ * @param {string} [projectSlug]
+ */
+export function setQueuePaused(sessionId, paused, projectSlug = null) {
+  if (!sessionQueues.has(sessionId)) {
+    if (!paused) return;
+    sessionQueues.set(sessionId, { projectSlug, paused, messages: [] });
+  }
+  const entry = sessionQueues.get(sessionId);
+  entry.paused = paused;
+  if (projectSlug) entry.projectSlug = projectSlug;
+  saveQueues();
 }
 
 /**
- * Clear all queued messages for a session.
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+export function isQueuePaused(sessionId) {
+  return sessionQueues.get(sessionId)?.paused || false;
+}
+
+/**
+ * Project a queued session belongs to.
+ * @param {string} sessionId
+ * @returns {string|null}
+ */
+export function getQueueProject(sessionId) {
+  return sessionQueues.get(sessionId)?.projectSlug || null;
+}
+
+/**
+ * Sessions with queued messages that should be processed (not paused).
+ * @returns {Array<{ sessionId: string, projectSlug: string }>}
+ */
+export function getResumableQueues() {
+  return [...sessionQueues]
+    .filter(
+      ([, entry]) =>
+        !entry.paused && entry.messages.length > 0 && entry.projectSlug,
+    )
+    .map(([sessionId, entry]) => ({
+      sessionId,
+      projectSlug: entry.projectSlug,
+    }));
+}
+
+/**
+ * Clear all queued messages for a session (and its paused state).
  * @param {string} sessionId
  */
 export function clearQueue(sessionId) {
-  sessionQueues.delete(sessionId);
+  if (sessionQueues.delete(sessionId)) {
+    saveQueues();
+  }
 }
@@ -0,0 +1,235 @@
+/**
+ * Runtime tool permissions - bridges the SDK's canUseTool callback to the browser.
+ *
+ * When a prompt runs in a non-bypass permission mode, the SDK asks us before each
+ * tool call that isn't pre-approved. We push a permission_request to every watcher
+ * of the session and park a Promise until a permission_response arrives, the
+ * request times out, or the task is aborted.
+ *
+ * "Always allow" decisions are remembered per session in memory. Each turn spawns
+ * a fresh query() process, so SDK-side session rules would not survive to the next
+ * prompt — we re-apply them ourselves.
+ */
+
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+// Map<requestId, { requestId, sessionId, toolName, input, resolve, timer, createdAt }>
+const pendingPermissions = new Map();
+
+// Map<sessionId, Set<toolName>> — tools the user allowed for the rest of the session
+const sessionAllowedTools = new Map();
+
+let _idCounter = 0;
+function generateId() {
+  return `perm-${Date.now()}-${++_idCounter}`;
+}
+
+/**
+ * Check whether a tool has been allowed for the rest of a session.
+ * @param {string} sessionId
+ * @param {string} toolName
+ * @returns {boolean}
+ */
+export function isToolAllowedForSession(sessionId, toolName) {
+  return sessionAllowedTools.get(sessionId)?.has(toolName) || false;
+}
+
+/**
+ * Remember an "allow always" decision for a session.
+ * @param {string} sessionId
+ * @param {string} toolName
+ */
+export function allowToolForSession(sessionId, toolName) {
+  if (!sessionId) return;
+  if (!sessionAllowedTools.has(sessionId)) {
+    sessionAllowedTools.set(sessionId, new Set());
+  }
+  sessionAllowedTools.get(sessionId).add(toolName);
+}
+
+/**
+ * Forget all "allow always" decisions for a session (e.g. on session delete).
+ * @param {string} sessionId
+ */
+export function clearSessionPermissions(sessionId) {
+  sessionAllowedTools.delete(sessionId);
+}
+
+/**
+ * Return serializable pending requests for a session (for re-sending on select_session).
+ * @param {string} sessionId
+ * @returns {object[]}
+ */
+export function getPendingPermissions(sessionId) {
+  const result = [];
+  for (const pending of pendingPermissions.values()) {
+    if (pending.sessionId === sessionId) {
+      result.push(toRequestMessage(pending));
+    }
+  }
+  return result;
+}
+
+/**
+ * Look up a pending request by ID.
+ * @param {string} requestId
+ * @returns {object|undefined}
+ */
+export function getPendingPermission(requestId) {
+  return pendingPermissions.get(requestId);
+}
+
+function toRequestMessage(pending) {
+  return {
+    type: 'permission_request',
+    requestId: pending.requestId,
+    sessionId: pending.sessionId,
+    toolName: pending.toolName,
+    toolUseId: pending.toolUseId,
+    input: pending.input,
+    title: pending.title,
+    description: pending.description,
+    decisionReason: pending.decisionReason,
+    createdAt: new Date(pending.createdAt).toISOString(),
+    expiresAt: new Date(
+      pending.createdAt + config.permissionTimeoutMs,
+    ).toISOString(),
+  };
+}
+
+/**
+ * Settle a pending request.
+ * @param {string} requestId
+ * @param {'allow'|'deny'|'allow_always'} decision
+ * @param {string} [reason] - Message passed back to Claude on deny
+ * @returns {object|null} The settled request, or null if it no longer exists
+ */
+export function resolvePermission(requestId, decision, reason) {
+  const pending = pendingPermissions.get(requestId);
+  if (!pending) return null;
+
+  pendingPermissions.delete(requestId);
+  clearTimeout(pending.timer);
+
+  if (decision === 'allow_always') {
+    allowToolForSession(pending.sessionId, pending.toolName);
+  }
+
+  if (decision === 'allow' || decision === 'allow_always') {
+    pending.resolve({
+      behavior: 'allow',
+      updatedInput: pending.input,
+      toolUseID: pending.toolUseId,
+    });
+  } else {
+    pending.resolve({
+      behavior: 'deny',
+      message: reason || 'The user denied permission to use this tool.',
+      toolUseID: pending.toolUseId,
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Deny every pending request for a session (used on cancel).
+ * @param {string} sessionId
+ * @param {string} reason
+ * @returns {object[]} The settled requests
+ */
+export function denyAllForSession(sessionId, reason) {
+  const settled = [];
+  for (const [requestId, pending] of pendingPermissions) {
+    if (pending.sessionId === sessionId) {
+      resolvePermission(requestId, 'deny', reason);
+      settled.push(pending);
+    }
+  }
+  return settled;
+}
+
+/**
+ * Build a canUseTool callback for a single query() call.
+ *
+ * @param {Object} params
+ * @param {() => string|null} params.getSessionId - Returns the current session ID
+ *   (new sessions only learn their ID from the init message, after query() starts)
+ * @param {(message: object) => void} params.notify - Sends an event to the session's watchers
+ * @returns {import('@anthropic-ai/claude-agent-sdk').CanUseTool}
+ */
+export function createCanUseTool({ getSessionId, notify }) {
+  return (
+    toolName,
+    input,
+    { signal, toolUseID, title, description, decisionReason },
+  ) => {
+    const sessionId = getSessionId();
+
+    // AskUserQuestion already has its own modal (ask_user_question) — don't
+    // stack a permission prompt on top of it.
+    if (
+      toolName === 'AskUserQuestion' ||
+      isToolAllowedForSession(sessionId, toolName)
+    ) {
+      return Promise.resolve({
+        behavior: 'allow',
+        updatedInput: input,
+        toolUseID,
+      });
+    }
+
+    return new Promise((resolve) => {
+      const requestId = generateId();
+      const pending = {
+        requestId,
+        sessionId,
+        toolName,
+        toolUseId: toolUseID,
+        input,
+        title: title || null,
+        description: description || null,
+        decisionReason: decisionReason || null,
+        resolve,
+        createdAt: Date.now(),
+        timer: null,
+      };
+
+      const settle = (decision, reason) => {
+        if (resolvePermission(requestId, decision, reason)) {
+          notify({
+            type: 'permission_resolved',
+            requestId,
+            sessionId,
+            decision,
+            reason,
+          });
+        }
+      };
+
+      pending.timer = setTimeout(() => {
+        logger.log(
+          `[permissions] Request ${requestId} (${toolName}) timed out — denying`,
+        );
+        settle(
+          'deny',
+          `Permission request timed out after ${Math.round(config.permissionTimeoutMs / 1000)}s without a response.`,
+        );
+      }, config.permissionTimeoutMs);
+      if (pending.timer.unref) pending.timer.unref();
+
+      signal?.addEventListener(
+        'abort',
+        () => settle('deny', 'Task was cancelled.'),
+        { once: true },
+      );
+
+      pendingPermissions.set(requestId, pending);
+      logger.log(
+        `[permissions] Requesting approval for ${toolName} in session ${sessionId} (${requestId})`,
+      );
+      notify(toRequestMessage(pending));
+    });
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Per-project agent settings
+ * Stored in .project-settings.json in the project's sessions dir and applied to every
+ * query run for the project (Web UI, REST API, schedules and Discord).
+ *
+ * Format: {
+ *   allowedTools: string[],         // run without asking, in every permission mode
+ *   disallowedTools: string[],      // removed from the model's context, even in bypass mode
+ *   appendSystemPrompt: string,     // appended to the Claude Code system prompt
+ *   additionalDirectories: string[] // absolute paths Claude may access besides the project
+ * }
+ *
+ * Tool entries are tool names or SDK permission patterns, e.g. `Bash`, `Bash(git:*)`,
+ * `mcp__github__*`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config.js';
+
+const SETTINGS_FILE = '.project-settings.json';
+
+const MAX_TOOLS = 100;
+const MAX_DIRECTORIES = 20;
+const MAX_SYSTEM_PROMPT_LENGTH = 20_000;
+const TOOL_PATTERN = /^[A-Za-z0-9_*.:@/()\s-]{1,200}$/;
+
+const DEFAULT_PROJECT_SETTINGS = {
+  allowedTools: [],
+  disallowedTools: [],
+  appendSystemPrompt: '',
+  additionalDirectories: [],
+};
+
+function getSettingsFilePath(projectSlug) {
+  return path.join(config.projectsDir, projectSlug, SETTINGS_FILE);
+}
+
+/**
+ * Load a project's settings (defaults when none are saved).
+ * @param {string} projectSlug
+ * @returns {Object}
+ */
+export function loadProjectSettings(projectSlug) {
+  try {
+    const filePath = getSettingsFilePath(projectSlug);
+    if (fs.existsSync(filePath)) {
+      return {
+        ...DEFAULT_PROJECT_SETTINGS,
+        ...JSON.parse(fs.readFileSync(filePath, 'utf-8')),
+      };
+    }
+  } catch (error) {
+    console.error(
+      `Error loading project settings for ${projectSlug}:`,
+      error.message,
+    );
+  }
+  return { ...DEFAULT_PROJECT_SETTINGS };
+}
+
+function normalizeTools(value, label) {
+  if (!Array.isArray(value)) throw new Error(`${label} must be a list`);
+  const tools = [...new Set(value.map((t) => String(t).trim()))].filter(
+    Boolean,
+  );
+  if (tools.length > MAX_TOOLS) {
+    throw new Error(`${label}: at most ${MAX_TOOLS} entries`);
+  }
+  const invalid = tools.find((t) => !TOOL_PATTERN.test(t));
+  if (invalid) throw new Error(`${label}: invalid tool pattern "${invalid}"`);
+  return tools;
+}
+
+function normalizeDirectories(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Additional directories must be a list');
+  }
+  const dirs = [...new Set(value.map((d) => String(d).trim()))].filter(Boolean);
+  if (dirs.length > MAX_DIRECTORIES) {
+    throw new Error(`At most ${MAX_DIRECTORIES} additional directories`);
+  }
+  return dirs.map((dir) => {
+    if (!path.isAbsolute(dir)) {
+      throw new Error(`Directory must be an absolute path: ${dir}`);
+    }
+    const resolved = path.resolve(dir);
+    // SECURITY: Extra directories must respect --root like the project itself
+    if (config.rootPath) {
+      const relative = path.relative(path.resolve(config.rootPath), resolved);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(
+          `Directory is outside root (${config.rootPath}): ${dir}`,
+        );
+      }
+    }
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Directory not found: ${dir}`);
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Validate and save a project's settings.
+ * @param {string} projectSlug
+ * @param {Object} input - Same shape as the stored settings
+ * @returns {{ ok: true, settings: Object } | { ok: false, error: string }}
+ */
+export function saveProjectSettings(projectSlug, input = {}) {
+  try {
+    const appendSystemPrompt = String(input.appendSystemPrompt ?? '');
+    if (appendSystemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+      throw new Error(
+        `System prompt is too long (max ${MAX_SYSTEM_PROMPT_LENGTH} characters)`,
+      );
+    }
+    const settings = {
+      allowedTools: normalizeTools(input.allowedTools ?? [], 'Allowed tools'),
+      disallowedTools: normalizeTools(
+        input.disallowedTools ?? [],
+        'Disallowed tools',
+      ),
+      appendSystemPrompt: appendSystemPrompt.trim(),
+      additionalDirectories: normalizeDirectories(
+        input.additionalDirectories ?? [],
+      ),
+    };
+
+    const filePath = getSettingsFilePath(projectSlug);
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(settings, null, 2));
+    return { ok: true, settings };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Apply a project's settings to SDK query options (mutates queryOptions).
+ * The project's allowed tools are added to the pre-approved `allowedTools` the caller
+ * already set from config.
+ * @param {string} projectSlug
+ * @param {Object} queryOptions
+ * @returns {Object} queryOptions
+ */
+export function applyProjectSettings(projectSlug, queryOptions) {
+  const settings = loadProjectSettings(projectSlug);
+
+  if (settings.allowedTools.length > 0) {
+    queryOptions.allowedTools = [
+      ...new Set([
+        ...(queryOptions.allowedTools || []),
+        ...settings.allowedTools,
+      ]),
+    ];
+  }
+  if (settings.disallowedTools.length > 0) {
+    queryOptions.disallowedTools = settings.disallowedTools;
+  }
+  if (settings.appendSystemPrompt) {
+    queryOptions.systemPrompt = {
+      type: 'preset',
+      preset: 'claude_code',
+      append: settings.appendSystemPrompt,
+    };
+  }
+  if (settings.additionalDirectories.length > 0) {
+    queryOptions.additionalDirectories = settings.additionalDirectories;
+  }
+  return queryOptions;
+}
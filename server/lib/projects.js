@@ -6,6 +6,7 @@ import { existsSync } from 'node:fs';
 import { readdir, readFile, stat } from 'node:fs/promises';
 import { join, relative, resolve } from 'node:path';
 import { config, getProjectDisplayName, slugToPath } from '../config.js';
+import { getWorktreeSlugs } from './worktrees.js';
 
 /**
  * Get list of available projects from ~/.claude/projects/
@@ -20,10 +21,12 @@ export async function getProjectsList() {
 
     const entries = await readdir(config.projectsDir, { withFileTypes: true });
     const projects = [];
+    // Worktree sessions are listed under their parent project instead
+    const worktreeSlugs = getWorktreeSlugs();
 
     // Process all project directories in parallel
     const projectPromises = entries
-      .filter((entry) => entry.isDirectory())
+      .filter((entry) => entry.isDirectory() && !worktreeSlugs.has(entry.name))
       .map(async (entry) => {
         const slug = entry.name;
         const displayName = getProjectDisplayName(slug);
@@ -0,0 +1,273 @@
+/**
+ * Prompt Templates
+ *
+ * Reusable prompts with {{variable}} placeholders, stored in
+ * ~/.tofucode/prompt-templates.json:
+ *
+ *   {
+ *     global:   [{ id, name, description, body, createdAt, updatedAt }],
+ *     projects: { [projectSlug]: [...] }
+ *   }
+ *
+ * Some variables are filled from context when the template is used — see
+ * CONTEXT_VARIABLES. The rest are asked for (web form, or `variables:` in Discord).
+ */
+
+import { execSync } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { basename, join } from 'node:path';
+
+const TEMPLATES_DIR = join(homedir(), '.tofucode');
+const TEMPLATES_FILE = join(TEMPLATES_DIR, 'prompt-templates.json');
+const TEMPLATES_TMP = `${TEMPLATES_FILE}.tmp`;
+
+const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Filled automatically when available (file and task only in the web UI)
+export const CONTEXT_VARIABLES = [
+  'branch',
+  'project',
+  'date',
+  'file',
+  'task',
+  'task_url',
+];
+
+const VALID_SCOPES = ['global', 'project'];
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_BODY_LENGTH = 50_000;
+const MAX_TEMPLATES_PER_SCOPE = 200;
+
+function loadStore() {
+  try {
+    if (!existsSync(TEMPLATES_FILE)) return { global: [], projects: {} };
+    const parsed = JSON.parse(readFileSync(TEMPLATES_FILE, 'utf8'));
+    return {
+      global: parsed.global ?? [],
+      projects: parsed.projects ?? {},
+    };
+  } catch (err) {
+    console.error(
+      `[templates] failed to load ${TEMPLATES_FILE} — returning empty state. Error: ${err.message}`,
+    );
+    return { global: [], projects: {} };
+  }
+}
+
+// Atomic write (temp file + rename)
+function saveStore(data) {
+  if (!existsSync(TEMPLATES_DIR)) {
+    mkdirSync(TEMPLATES_DIR, { recursive: true });
+  }
+  writeFileSync(TEMPLATES_TMP, JSON.stringify(data, null, 2), 'utf8');
+  renameSync(TEMPLATES_TMP, TEMPLATES_FILE);
+}
+
+function getScopeList(data, scope, projectSlug) {
+  if (scope === 'global') return data.global;
+  if (!data.projects[projectSlug]) data.projects[projectSlug] = [];
+  return data.projects[projectSlug];
+}
+
+/**
+ * Placeholder names used in a template body, in order of first use.
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function extractVariables(body) {
+  const names = [];
+  for (const match of body.matchAll(VARIABLE_RE)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Replace {{variable}} placeholders; unknown variables are left as-is.
+ * @param {string} body
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function renderTemplate(body, values) {
+  return body.replace(VARIABLE_RE, (placeholder, name) =>
+    typeof values[name] === 'string' ? values[name] : placeholder,
+  );
+}
+
+/**
+ * Context variables available on the server (branch, project, date).
+ * @param {string|null} projectPath
+ * @returns {Object<string, string>}
+ */
+export function getServerContext(projectPath) {
+  const context = { date: new Date().toISOString().slice(0, 10) };
+  if (!projectPath) return context;
+
+  context.project = basename(projectPath);
+  if (existsSync(projectPath)) {
+    try {
+      context.branch = execSync('git rev-parse --abbrev-ref HEAD', {
+        cwd: projectPath,
+        encoding: 'utf-8',
+        timeout: 5000,
+        stdio: ['pipe', 'pipe', 'pipe'],
+      }).trim();
+    } catch {
+      // Not a git repo — leave {{branch}} to be filled in by hand
+    }
+  }
+  return context;
+}
+
+/**
+ * @param {object} template - { name, description, body }
+ * @returns {string|null} error message or null if valid
+ */
+export function validateTemplate(template) {
+  if (!template || typeof template !== 'object') return 'Template is required';
+  const name = typeof template.name === 'string' ? template.name.trim() : '';
+  if (!name) return 'Name is required';
+  if (name.length > MAX_NAME_LENGTH)
+    return `Name is too long (max ${MAX_NAME_LENGTH} characters)`;
+  if (
+    template.description &&
+    (typeof template.description !== 'string' ||
+      template.description.length > MAX_DESCRIPTION_LENGTH)
+  )
+    return `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  if (typeof template.body !== 'string' || !template.body.trim())
+    return 'Prompt is required';
+  if (template.body.length > MAX_BODY_LENGTH)
+    return `Prompt is too long (max ${MAX_BODY_LENGTH} characters)`;
+  return null;
+}
+
+/**
+ * Templates for a project plus global ones, each with its scope and variables.
+ * @param {string|null} projectSlug
+ * @returns {Array<object>}
+ */
+export function listTemplates(projectSlug) {
+  const data = loadStore();
+  const withMeta = (scope) => (t) => ({
+    ...t,
+    scope,
+    variables: extractVariables(t.body),
+  });
+  return [
+    ...(projectSlug ? (data.projects[projectSlug] ?? []) : []).map(
+      withMeta('project'),
+    ),
+    ...data.global.map(withMeta('global')),
+  ];
+}
+
+/**
+ * Find a template by name (project templates win over global ones).
+ * @param {string|null} projectSlug
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function findTemplate(projectSlug, name) {
+  const needle = name.trim().toLowerCase();
+  return (
+    listTemplates(projectSlug).find((t) => t.name.toLowerCase() === needle) ??
+    null
+  );
+}
+
+/**
+ * Create a template, or update it when template.id is given.
+ * @param {'global'|'project'} scope
+ * @param {string|null} projectSlug
+ * @param {object} template - { id?, name, description, body }
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function saveTemplate(scope, projectSlug, template) {
+  if (!VALID_SCOPES.includes(scope))
+    return { success: false, error: 'Scope must be global or project' };
+  if (scope === 'project' && !projectSlug)
+    return { success: false, error: 'Select a project first' };
+  const error = validateTemplate(template);
+  if (error) return { success: false, error };
+
+  try {
+    const data = loadStore();
+    const list = getScopeList(data, scope, projectSlug);
+    const name = template.name.trim();
+    const now = new Date().toISOString();
+
+    const duplicate = list.find(
+      (t) =>
+        t.name.toLowerCase() === name.toLowerCase() && t.id !== template.id,
+    );
+    if (duplicate)
+      return {
+        success: false,
+        error: `A template named "${name}" already exists`,
+      };
+
+    const fields = {
+      name,
+      description: template.description?.trim() || '',
+      body: template.body,
+      updatedAt: now,
+    };
+    if (template.id) {
+      const existing = list.find((t) => t.id === template.id);
+      if (!existing) return { success: false, error: 'Template not found' };
+      Object.assign(existing, fields);
+    } else {
+      if (list.length >= MAX_TEMPLATES_PER_SCOPE)
+        return {
+          success: false,
+          error: `At most ${MAX_TEMPLATES_PER_SCOPE} templates per scope`,
+        };
+      list.push({ id: randomUUID(), ...fields, createdAt: now });
+    }
+
+    saveStore(data);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a template by ID.
+ * @param {'global'|'project'} scope
+ * @param {string|null} projectSlug
+ * @param {string} id
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function removeTemplate(scope, projectSlug, id) {
+  if (!VALID_SCOPES.includes(scope))
+    return { success: false, error: 'Scope must be global or project' };
+
+  try {
+    const data = loadStore();
+    if (scope === 'global') {
+      data.global = data.global.filter((t) => t.id !== id);
+    } else if (data.projects[projectSlug]) {
+      data.projects[projectSlug] = data.projects[projectSlug].filter(
+        (t) => t.id !== id,
+      );
+      if (data.projects[projectSlug].length === 0) {
+        delete data.projects[projectSlug];
+      }
+    }
+    saveStore(data);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
@@ -8,6 +8,7 @@ import { existsSync, mkdirSync, openSync, writeFileSync } from 'node:fs';
 import { homedir } from 'node:os';
 import { join, resolve } from 'node:path';
 import { logger } from './logger.js';
+import { preserveRunningTasks } from './running-tasks.js';
 
 /**
  * Reconstruct CLI arguments from environment variables
@@ -110,6 +111,10 @@ export async function restartWithInvertedSpawn(reason, newVersion = null) {
     );
   }
 
+  // The new process reads running-tasks.json on start — stop this one from
+  // rewriting it as its turns end, so they show as interrupted over there
+  preserveRunningTasks();
+
   // Open log file for the new process to inherit stdout/stderr
   // This ensures logs continue after restart, and DEBUG mode output is preserved
   const logDir = join(homedir(), '.tofucode');
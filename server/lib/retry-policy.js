@@ -0,0 +1,80 @@
+/**
+ * Retry policy for transient Claude API failures.
+ *
+ * executePrompt() asks getRetryDelay() whether a failed turn should run again.
+ * Overloaded (529), server (500/502/503/504) and rate-limit (429) errors and
+ * dropped connections are retried with exponential backoff; a retry-after hint
+ * in the error wins when it asks for a longer wait. Anything else (400, 401,
+ * crashes) fails immediately.
+ *
+ * Tuned with RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS and RETRY_MAX_DELAY_MS
+ * (see config.retry).
+ */
+
+import { config } from '../config.js';
+
+const RETRYABLE_PATTERNS = [
+  /API Error: (?:429|500|502|503|504|529)\b/,
+  /overloaded/i,
+  /rate limit/i,
+  /Internal server error/i,
+  /\b(?:ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN)\b/,
+  /socket hang up/i,
+  /fetch failed/i,
+];
+
+// "retry-after: 30", "retry_after":30, "retry after 30 seconds"
+const RETRY_AFTER_RE = /retry[-_ ]after["']?\s*[:=]?\s*["']?(\d+(?:\.\d+)?)/i;
+
+// Spread simultaneous retries (e.g. several overnight queues) by up to 10%
+const JITTER_RATIO = 0.1;
+
+/**
+ * @param {string} message - Error message from the SDK
+ * @returns {boolean}
+ */
+export function isRetryableError(message) {
+  return RETRYABLE_PATTERNS.some((re) => re.test(message || ''));
+}
+
+/**
+ * Seconds the API asked us to wait, if the error carries a retry-after hint.
+ * @param {string} message
+ * @returns {number|null}
+ */
+export function parseRetryAfter(message) {
+  const match = (message || '').match(RETRY_AFTER_RE);
+  return match ? Number.parseFloat(match[1]) : null;
+}
+
+/**
+ * Delay before the next attempt, or null when the error isn't transient or the
+ * attempts are used up.
+ *
+ * @param {string} message - Error message of the failed attempt
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number|null} Milliseconds to wait
+ */
+export function getRetryDelay(message, attempt) {
+  const { maxAttempts, baseDelayMs, maxDelayMs } = config.retry;
+  if (attempt >= maxAttempts || !isRetryableError(message)) return null;
+
+  const backoff = baseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * backoff * JITTER_RATIO;
+  const retryAfter = parseRetryAfter(message);
+  const delay = Math.max(backoff + jitter, (retryAfter ?? 0) * 1000);
+  return Math.round(Math.min(delay, maxDelayMs));
+}
+
+/**
+ * Short label for the failure shown next to the retry countdown.
+ * @param {string} message
+ * @returns {string}
+ */
+export function describeRetryReason(message) {
+  const status = (message || '').match(/API Error: (\d{3})/)?.[1];
+  if (status === '429' || /rate limit/i.test(message)) return 'Rate limited';
+  if (status === '529' || /overloaded/i.test(message)) return 'API overloaded';
+  if (status) return `API error ${status}`;
+  return 'Connection error';
+}
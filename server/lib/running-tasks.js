@@ -0,0 +1,157 @@
+/**
+ * Running tasks - persisted record of turns in flight, so a restart can tell
+ * which sessions it cut off.
+ *
+ * The tasks Map (tasks.js) lives in memory only. Each turn is also written to
+ * ~/.tofucode/running-tasks.json while it runs and removed when it ends. Entries
+ * still marked running when the file is loaded belong to a previous server
+ * process and become "interrupted"; the session offers to continue them, and
+ * turns that came from the message queue continue on their own (see
+ * resumeInterruptedTasks in events/prompt.js).
+ *
+ * {
+ *   "sessions": {
+ *     "<sessionId>": {
+ *       "projectSlug": "-home-me-myapp",
+ *       "status": "running" | "interrupted",
+ *       "prompt": "Refactor the auth middleware…",   // excerpt, for display
+ *       "options": { model, permissionMode, dangerouslySkipPermissions, thinking },
+ *       "fromQueue": false,
+ *       "startedAt": "ISO",
+ *       "interruptedAt": "ISO"                        // interrupted only
+ *     }
+ *   }
+ * }
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+const RUNNING_DIR = join(homedir(), '.tofucode');
+const RUNNING_FILE = join(RUNNING_DIR, 'running-tasks.json');
+const RUNNING_TMP = `${RUNNING_FILE}.tmp`;
+
+const PROMPT_EXCERPT_LENGTH = 200;
+
+// Map<sessionId, entry> — running entries from the last process are interrupted on load
+const sessions = loadRunningTasks();
+
+// Set during shutdown so turns aborted by it stay recorded as running
+let preserving = false;
+
+function loadRunningTasks() {
+  try {
+    if (!existsSync(RUNNING_FILE)) return new Map();
+    const parsed = JSON.parse(readFileSync(RUNNING_FILE, 'utf8'));
+    const entries = new Map(Object.entries(parsed.sessions || {}));
+    const now = new Date().toISOString();
+    for (const entry of entries.values()) {
+      if (entry.status === 'running') {
+        entry.status = 'interrupted';
+        entry.interruptedAt = now;
+      }
+    }
+    return entries;
+  } catch (err) {
+    console.error(
+      `[running-tasks] failed to load ${RUNNING_FILE} — starting empty. Error: ${err.message}`,
+    );
+    return new Map();
+  }
+}
+
+function saveRunningTasks() {
+  try {
+    if (!existsSync(RUNNING_DIR)) {
+      mkdirSync(RUNNING_DIR, { recursive: true });
+    }
+    writeFileSync(
+      RUNNING_TMP,
+      JSON.stringify({ sessions: Object.fromEntries(sessions) }, null, 2),
+      'utf8',
+    );
+    renameSync(RUNNING_TMP, RUNNING_FILE);
+  } catch (err) {
+    console.error(
+      `[running-tasks] failed to save ${RUNNING_FILE}: ${err.message}`,
+    );
+  }
+}
+
+/**
+ * Record a turn as running. Replaces an interrupted entry for the session; a
+ * running one (a retry of the same turn) is kept as is.
+ * @param {string} sessionId
+ * @param {Object} turn - { projectSlug, prompt, options, fromQueue }
+ */
+export function markTaskRunning(sessionId, turn) {
+  if (!sessionId || preserving) return;
+  if (sessions.get(sessionId)?.status === 'running') return;
+
+  const { model, permissionMode, dangerouslySkipPermissions, thinking } =
+    turn.options || {};
+  sessions.set(sessionId, {
+    projectSlug: turn.projectSlug,
+    status: 'running',
+    prompt: (turn.prompt || '').slice(0, PROMPT_EXCERPT_LENGTH),
+    options: { model, permissionMode, dangerouslySkipPermissions, thinking },
+    fromQueue: !!turn.fromQueue,
+    startedAt: new Date().toISOString(),
+  });
+  saveRunningTasks();
+}
+
+/**
+ * Forget a session's running turn once it has ended.
+ * @param {string} sessionId
+ */
+export function markTaskFinished(sessionId) {
+  if (!sessionId || preserving) return;
+  if (sessions.get(sessionId)?.status !== 'running') return;
+  sessions.delete(sessionId);
+  saveRunningTasks();
+}
+
+/**
+ * Stop recording turn ends. Called on shutdown before running tasks are aborted,
+ * so they are picked up as interrupted on the next start.
+ */
+export function preserveRunningTasks() {
+  preserving = true;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {Object|null} The session's interrupted turn, if any
+ */
+export function getInterruptedTask(sessionId) {
+  const entry = sessions.get(sessionId);
+  return entry?.status === 'interrupted' ? entry : null;
+}
+
+/**
+ * @returns {Array<Object>} Interrupted turns as { sessionId, ...entry }
+ */
+export function listInterruptedTasks() {
+  return [...sessions]
+    .filter(([, entry]) => entry.status === 'interrupted')
+    .map(([sessionId, entry]) => ({ sessionId, ...entry }));
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {boolean} Whether an interrupted turn was dismissed
+ */
+export function clearInterruptedTask(sessionId) {
+  if (!getInterruptedTask(sessionId)) return false;
+  sessions.delete(sessionId);
+  saveRunningTasks();
+  return true;
+}
@@ -0,0 +1,173 @@
+/**
+ * Scheduler
+ *
+ * Runs saved prompts (see schedules.js) when their cron expression comes due.
+ * A run goes through submitPrompt() — the same path as the chat UI and REST API —
+ * so a schedule targeting a busy fixed session is queued behind the running task
+ * instead of running concurrently.
+ *
+ * Missed runs (server down at the scheduled time) are caught up once on the next
+ * tick rather than replayed for every missed slot.
+ */
+
+import { submitPrompt } from '../events/prompt.js';
+import { getNextRun } from './cron.js';
+import { logger } from './logger.js';
+import {
+  getSchedule,
+  listSchedules,
+  patchSchedule,
+  recordRun,
+} from './schedules.js';
+import { setTitle } from './session-titles.js';
+import { createSessionStream } from './sse.js';
+import { broadcast } from './ws.js';
+
+// How often due schedules are checked. Cron has minute resolution.
+const TICK_INTERVAL_MS = 30_000;
+
+class Scheduler {
+  timer = null;
+  // Schedule IDs with a run in flight (a slow run never overlaps itself)
+  running = new Set();
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref?.();
+    this.tick();
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start every enabled schedule whose nextRunAt has passed.
+   */
+  tick() {
+    const now = new Date();
+    for (const schedule of listSchedules()) {
+      if (!schedule.enabled || !schedule.nextRunAt) continue;
+      if (new Date(schedule.nextRunAt) > now) continue;
+
+      // Advance first so a failing run can't fire again on the next tick
+      patchSchedule(schedule.id, {
+        nextRunAt: getNextRun(schedule.cron, now)?.toISOString() ?? null,
+      });
+      this.run(schedule.id, 'schedule');
+    }
+  }
+
+  /**
+   * Run a schedule now.
+   * @param {string} scheduleId
+   * @param {'schedule'|'manual'} [trigger]
+   * @returns {Promise<Object|null>} The finished run entry, or null if the schedule doesn't exist
+   */
+  async run(scheduleId, trigger = 'manual') {
+    const schedule = getSchedule(scheduleId);
+    if (!schedule) return null;
+
+    const fixedSessionId =
+      schedule.sessionMode === 'fixed' ? schedule.sessionId : null;
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      sessionId: fixedSessionId,
+      cost: null,
+      duration: null,
+      error: null,
+    };
+
+    if (this.running.has(scheduleId)) {
+      Object.assign(run, {
+        status: 'skipped',
+        finishedAt: run.startedAt,
+        error: 'Previous run still in progress',
+      });
+      this._record(schedule, run);
+      return run;
+    }
+
+    this.running.add(scheduleId);
+    patchSchedule(scheduleId, { lastRunAt: run.startedAt });
+    this._record(schedule, run);
+    logger.log(
+      `[scheduler] run scheduleId=${scheduleId} name="${schedule.name}" trigger=${trigger}`,
+    );
+
+    const errors = [];
+    let result = null;
+    const stream = createSessionStream({
+      sessionId: fixedSessionId,
+      onMessage: (message) => {
+        if (message.type === 'session_info' && !run.sessionId) {
+          run.sessionId = message.sessionId;
+          setTitle(
+            schedule.projectSlug,
+            message.sessionId,
+            `${schedule.name} — ${new Date(run.startedAt).toLocaleString()}`,
+          );
+          this._record(schedule, run);
+        }
+        if (message.type === 'error') errors.push(message.message);
+        if (message.type === 'result') result = message;
+      },
+    });
+
+    try {
+      const outcome = await submitPrompt(
+        stream,
+        schedule.projectSlug,
+        fixedSessionId,
+        {
+          prompt: schedule.prompt,
+          model: schedule.model,
+          permissionMode: schedule.permissionMode,
+        },
+      );
+
+      if (outcome.error) {
+        run.status = 'error';
+        run.error = outcome.error;
+      } else if (outcome.queued) {
+        // Runs once the session's current task finishes (visible in that session)
+        run.status = 'queued';
+      } else if (result) {
+        run.status = result.subtype === 'success' ? 'completed' : 'error';
+        run.cost = result.cost ?? null;
+        run.duration = result.duration ?? null;
+        if (run.status === 'error') run.error = errors[0] || result.subtype;
+      } else {
+        run.status = 'error';
+        run.error = errors[0] || 'Run ended without a result';
+      }
+    } catch (err) {
+      logger.error(`[scheduler] run failed scheduleId=${scheduleId}:`, err);
+      run.status = 'error';
+      run.error = err.message;
+    } finally {
+      stream.close();
+      this.running.delete(scheduleId);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    this._record(schedule, run);
+    return run;
+  }
+
+  _record(schedule, run) {
+    recordRun(schedule.id, { ...run });
+    broadcast({
+      type: 'schedules:updated',
+      projectSlug: schedule.projectSlug,
+    });
+  }
+}
+
+export default new Scheduler();
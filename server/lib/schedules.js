@@ -0,0 +1,249 @@
+/**
+ * Scheduled prompts - persistence and run history.
+ *
+ * Stored in ~/.tofucode/schedules.json:
+ * {
+ *   "schedules": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "Morning summary",
+ *       "projectSlug": "-home-me-myapp",
+ *       "cron": "0 9 * * 1-5",
+ *       "prompt": "Summarize yesterday's commits and open TODOs",
+ *       "sessionMode": "new" | "fixed",
+ *       "sessionId": null | "uuid",          // target session when sessionMode = fixed
+ *       "model": "sonnet",
+ *       "permissionMode": "bypassPermissions",
+ *       "enabled": true,
+ *       "nextRunAt": "ISO", "lastRunAt": "ISO",
+ *       "runs": [ { id, trigger, status, startedAt, finishedAt, sessionId, cost, duration, error } ]
+ *     }
+ *   ]
+ * }
+ *
+ * The runner (timer + executePrompt) lives in scheduler.js.
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { getNextRun, validateCron } from './cron.js';
+import { isValidSessionId } from './sessions.js';
+
+const SCHEDULES_DIR = join(homedir(), '.tofucode');
+const SCHEDULES_FILE = join(SCHEDULES_DIR, 'schedules.json');
+const SCHEDULES_TMP = `${SCHEDULES_FILE}.tmp`;
+
+// Run history kept per schedule (oldest dropped first)
+const MAX_RUNS_PER_SCHEDULE = 20;
+
+const MAX_PROMPT_LENGTH = 20000;
+
+// Outside bypass mode, tool approvals go to open browser tabs like any other
+// session — an unattended run waits until someone answers.
+const PERMISSION_MODES = [
+  'bypassPermissions',
+  'acceptEdits',
+  'plan',
+  'default',
+];
+const VALID_MODELS = ['sonnet', 'opus', 'haiku'];
+
+/**
+ * Load all schedules from disk.
+ * @returns {Array} schedules
+ */
+export function loadSchedules() {
+  try {
+    if (!existsSync(SCHEDULES_FILE)) return [];
+    const parsed = JSON.parse(readFileSync(SCHEDULES_FILE, 'utf8'));
+    return Array.isArray(parsed.schedules) ? parsed.schedules : [];
+  } catch (err) {
+    console.error(
+      `[schedules] failed to load ${SCHEDULES_FILE} — returning empty state. Error: ${err.message}`,
+    );
+    return [];
+  }
+}
+
+/**
+ * Save all schedules to disk atomically (temp file + rename).
+ * @param {Array} schedules
+ */
+function saveSchedules(schedules) {
+  if (!existsSync(SCHEDULES_DIR)) {
+    mkdirSync(SCHEDULES_DIR, { recursive: true });
+  }
+  writeFileSync(SCHEDULES_TMP, JSON.stringify({ schedules }, null, 2), 'utf8');
+  renameSync(SCHEDULES_TMP, SCHEDULES_FILE);
+}
+
+/**
+ * List schedules, optionally filtered to one project.
+ * @param {string} [projectSlug]
+ * @returns {Array}
+ */
+export function listSchedules(projectSlug) {
+  const schedules = loadSchedules();
+  return projectSlug
+    ? schedules.filter((s) => s.projectSlug === projectSlug)
+    : schedules;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getSchedule(id) {
+  return loadSchedules().find((s) => s.id === id) || null;
+}
+
+/**
+ * Create or update a schedule.
+ * @param {Object} input - Schedule fields (id present = update)
+ * @returns {{ ok: true, schedule: Object } | { ok: false, error: string }}
+ */
+export function upsertSchedule(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const prompt = typeof input.prompt === 'string' ? input.prompt.trim() : '';
+  const cron = typeof input.cron === 'string' ? input.cron.trim() : '';
+  const sessionMode = input.sessionMode === 'fixed' ? 'fixed' : 'new';
+
+  if (!name) return { ok: false, error: 'Name is required' };
+  if (!prompt) return { ok: false, error: 'Prompt is required' };
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return { ok: false, error: `Prompt exceeds ${MAX_PROMPT_LENGTH} chars` };
+  }
+  const cronError = validateCron(cron);
+  if (cronError) return { ok: false, error: cronError };
+  // Valid syntax can still name a date that never comes (e.g. "0 0 31 2 *")
+  const nextRun = getNextRun(cron);
+  if (!nextRun) return { ok: false, error: 'Schedule would never run' };
+  if (!input.projectSlug) return { ok: false, error: 'Project is required' };
+  if (sessionMode === 'fixed' && !isValidSessionId(input.sessionId)) {
+    return { ok: false, error: 'A valid session ID is required' };
+  }
+  const model = VALID_MODELS.includes(input.model) ? input.model : 'sonnet';
+  const permissionMode = PERMISSION_MODES.includes(input.permissionMode)
+    ? input.permissionMode
+    : 'bypassPermissions';
+  const enabled = input.enabled !== false;
+
+  const schedules = loadSchedules();
+  const now = new Date().toISOString();
+  const existing = input.id ? schedules.find((s) => s.id === input.id) : null;
+  if (input.id && !existing) {
+    return { ok: false, error: 'Schedule not found' };
+  }
+
+  const fields = {
+    name: name.slice(0, 200),
+    projectSlug: input.projectSlug,
+    cron,
+    prompt,
+    sessionMode,
+    sessionId: sessionMode === 'fixed' ? input.sessionId : null,
+    model,
+    permissionMode,
+    enabled,
+    nextRunAt: enabled ? nextRun.toISOString() : null,
+    updatedAt: now,
+  };
+
+  let schedule;
+  if (existing) {
+    schedule = Object.assign(existing, fields);
+  } else {
+    schedule = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      lastRunAt: null,
+      runs: [],
+    };
+    schedules.push(schedule);
+  }
+
+  saveSchedules(schedules);
+  return { ok: true, schedule };
+}
+
+/**
+ * Delete a schedule.
+ * @param {string} id
+ * @returns {boolean} Whether it existed
+ */
+export function deleteSchedule(id) {
+  const schedules = loadSchedules();
+  const next = schedules.filter((s) => s.id !== id);
+  if (next.length === schedules.length) return false;
+  saveSchedules(next);
+  return true;
+}
+
+/**
+ * Apply a partial update to a schedule (used by the runner for nextRunAt/lastRunAt).
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Object|null} Updated schedule
+ */
+export function patchSchedule(id, patch) {
+  const schedules = loadSchedules();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) return null;
+  Object.assign(schedule, patch);
+  saveSchedules(schedules);
+  return schedule;
+}
+
+/**
+ * Insert or update a run in a schedule's history.
+ * @param {string} scheduleId
+ * @param {Object} run - Must include id; merged into an existing run with the same id
+ * @returns {Object|null} Updated schedule
+ */
+export function recordRun(scheduleId, run) {
+  const schedules = loadSchedules();
+  const schedule = schedules.find((s) => s.id === scheduleId);
+  if (!schedule) return null;
+
+  schedule.runs = schedule.runs || [];
+  const existing = schedule.runs.find((r) => r.id === run.id);
+  if (existing) {
+    Object.assign(existing, run);
+  } else {
+    schedule.runs.push(run);
+    if (schedule.runs.length > MAX_RUNS_PER_SCHEDULE) {
+      schedule.runs = schedule.runs.slice(-MAX_RUNS_PER_SCHEDULE);
+    }
+  }
+  saveSchedules(schedules);
+  return schedule;
+}
+
+/**
+ * Map session IDs created or targeted by schedules in a project to the schedule
+ * that ran them (for badges in the sessions list).
+ * @param {string} projectSlug
+ * @returns {Map<string, { scheduleId: string, scheduleName: string }>}
+ */
+export function getScheduledSessions(projectSlug) {
+  const map = new Map();
+  for (const schedule of listSchedules(projectSlug)) {
+    for (const run of schedule.runs || []) {
+      if (run.sessionId) {
+        map.set(run.sessionId, {
+          scheduleId: schedule.id,
+          scheduleName: schedule.name,
+        });
+      }
+    }
+  }
+  return map;
+}
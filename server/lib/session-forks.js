@@ -0,0 +1,128 @@
+/**
+ * Session fork lineage
+ * Stores which session each fork was branched from in .session-forks.json files per project
+ *
+ * Format: { [childSessionId]: { parentSessionId, messageUuid, createdAt, rewindId? } }
+ *   rewindId is set when the fork was created by rewinding the parent (lib/checkpoints.js)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config.js';
+import { isValidSessionId } from './sessions.js';
+
+const FORKS_FILE = '.session-forks.json';
+
+/**
+ * Get the path to the fork lineage file for a project
+ * @param {string} projectSlug - Project slug (e.g., -home-ts-projects-myapp)
+ * @returns {string} Path to the forks file
+ */
+function getForksFilePath(projectSlug) {
+  return path.join(config.projectsDir, projectSlug, FORKS_FILE);
+}
+
+/**
+ * Load fork lineage for a project
+ * @param {string} projectSlug - Project slug
+ * @returns {Object} Map of child sessionId -> { parentSessionId, messageUuid, createdAt }
+ */
+export function loadForks(projectSlug) {
+  try {
+    const filePath = getForksFilePath(projectSlug);
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch (error) {
+    console.error(
+      `Error loading session forks for ${projectSlug}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+function saveForks(projectSlug, forks) {
+  const filePath = getForksFilePath(projectSlug);
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(forks, null, 2));
+}
+
+/**
+ * Record that a session was forked from another
+ * @param {string} projectSlug - Project slug
+ * @param {string} sessionId - New (forked) session ID
+ * @param {string} parentSessionId - Session it was forked from
+ * @param {string} messageUuid - Last message shared with the parent
+ * @param {string} [rewindId] - Rewind that created this branch
+ * @returns {boolean} Success
+ */
+export function recordFork(
+  projectSlug,
+  sessionId,
+  parentSessionId,
+  messageUuid,
+  rewindId,
+) {
+  // SECURITY: Validate sessionIds format to prevent path traversal
+  if (!isValidSessionId(sessionId) || !isValidSessionId(parentSessionId)) {
+    console.error(`Invalid sessionId format for recordFork: ${sessionId}`);
+    return false;
+  }
+
+  try {
+    const forks = loadForks(projectSlug);
+    forks[sessionId] = {
+      parentSessionId,
+      messageUuid,
+      createdAt: new Date().toISOString(),
+      ...(rewindId && { rewindId }),
+    };
+    saveForks(projectSlug, forks);
+    return true;
+  } catch (error) {
+    console.error(
+      `Error saving session fork for ${projectSlug}/${sessionId}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+/**
+ * Remove a session from the lineage. Its forks are re-parented to its own parent
+ * (or become roots) so the tree stays connected.
+ * @param {string} projectSlug - Project slug
+ * @param {string} sessionId - Deleted session ID
+ * @returns {boolean} Success
+ */
+export function deleteFork(projectSlug, sessionId) {
+  try {
+    const forks = loadForks(projectSlug);
+    const parentSessionId = forks[sessionId]?.parentSessionId;
+    let changed = sessionId in forks;
+    delete forks[sessionId];
+
+    for (const [childId, fork] of Object.entries(forks)) {
+      if (fork.parentSessionId !== sessionId) continue;
+      changed = true;
+      if (parentSessionId) {
+        fork.parentSessionId = parentSessionId;
+      } else {
+        delete forks[childId];
+      }
+    }
+
+    if (changed) saveForks(projectSlug, forks);
+    return true;
+  } catch (error) {
+    console.error(
+      `Error deleting session fork for ${projectSlug}/${sessionId}:`,
+      error.message,
+    );
+    return false;
+  }
+}
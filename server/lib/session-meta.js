@@ -0,0 +1,154 @@
+/**
+ * Session metadata - tags, pinning and archiving
+ * Stored in .session-meta.json files per project, next to .session-titles.json
+ *
+ * Format: { [sessionId]: { tags?: string[], pinned?: true, archived?: true } }
+ *   Entries with no tags and neither flag set are dropped.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config.js';
+import { isValidSessionId } from './sessions.js';
+
+const META_FILE = '.session-meta.json';
+
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGS_PER_SESSION = 20;
+
+/**
+ * Get the path to the session metadata file for a project
+ * @param {string} projectSlug - Project slug (e.g., -home-ts-projects-myapp)
+ * @returns {string} Path to the metadata file
+ */
+function getMetaFilePath(projectSlug) {
+  return path.join(config.projectsDir, projectSlug, META_FILE);
+}
+
+/**
+ * Load metadata for all sessions of a project
+ * @param {string} projectSlug - Project slug
+ * @returns {Object} Map of sessionId -> { tags?, pinned?, archived? }
+ */
+export function loadSessionMeta(projectSlug) {
+  try {
+    const filePath = getMetaFilePath(projectSlug);
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch (error) {
+    console.error(
+      `Error loading session metadata for ${projectSlug}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+function saveSessionMeta(projectSlug, meta) {
+  const filePath = getMetaFilePath(projectSlug);
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Normalize a tag: trimmed, lowercase, inner whitespace collapsed to "-"
+ * @param {string} tag
+ * @returns {string|null} Normalized tag, or null if unusable
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH);
+  return normalized || null;
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Apply the same change to one or more sessions
+ * @param {string} projectSlug - Project slug
+ * @param {string[]} sessionIds - Sessions to update
+ * @param {Object} changes - { addTags?: string[], removeTags?: string[], pinned?: boolean, archived?: boolean }
+ * @returns {Object|null} Updated metadata for each session (sessionId -> entry), or null on failure
+ */
+export function updateSessionMeta(projectSlug, sessionIds, changes) {
+  // SECURITY: Validate sessionId format to prevent path traversal
+  if (!Array.isArray(sessionIds) || !sessionIds.every(isValidSessionId)) {
+    console.error('Invalid sessionId format for updateSessionMeta');
+    return null;
+  }
+
+  const addTags = normalizeTags(changes.addTags);
+  const removeTags = new Set(normalizeTags(changes.removeTags));
+
+  try {
+    const meta = loadSessionMeta(projectSlug);
+    const updated = {};
+
+    for (const sessionId of sessionIds) {
+      const entry = { ...meta[sessionId] };
+
+      const tags = (entry.tags || []).filter((t) => !removeTags.has(t));
+      for (const tag of addTags) {
+        if (!tags.includes(tag) && tags.length < MAX_TAGS_PER_SESSION) {
+          tags.push(tag);
+        }
+      }
+      if (tags.length > 0) entry.tags = tags;
+      else delete entry.tags;
+
+      for (const flag of ['pinned', 'archived']) {
+        if (typeof changes[flag] !== 'boolean') continue;
+        if (changes[flag]) entry[flag] = true;
+        else delete entry[flag];
+      }
+      // Archiving a session unpins it
+      if (changes.archived === true) delete entry.pinned;
+
+      if (Object.keys(entry).length > 0) meta[sessionId] = entry;
+      else delete meta[sessionId];
+      updated[sessionId] = entry;
+    }
+
+    saveSessionMeta(projectSlug, meta);
+    return updated;
+  } catch (error) {
+    console.error(
+      `Error saving session metadata for ${projectSlug}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Delete a session's metadata
+ * @param {string} projectSlug - Project slug
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} Success
+ */
+export function deleteSessionMeta(projectSlug, sessionId) {
+  try {
+    const meta = loadSessionMeta(projectSlug);
+    if (!meta[sessionId]) return true;
+    delete meta[sessionId];
+    saveSessionMeta(projectSlug, meta);
+    return true;
+  } catch (error) {
+    console.error(
+      `Error deleting session metadata for ${projectSlug}/${sessionId}:`,
+      error.message,
+    );
+    return false;
+  }
+}
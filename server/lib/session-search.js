@@ -0,0 +1,443 @@
+/**
+ * Session search - full-text index over every session transcript.
+ *
+ * Indexes the JSONL files in ~/.claude/projects: user prompts, assistant text
+ * and tool inputs, one document per message. Transcripts are append-only, so
+ * the index stores how far each file was read and only parses the new lines
+ * when it grows; files that shrink or are replaced are read again, deleted
+ * ones are dropped. refreshSearchIndex() runs before every search (and once on
+ * boot to warm it up), so results always reflect the latest turns.
+ *
+ * The index lives in memory; writing it to disk is debounced so a search never
+ * waits on the save. A save lost to a crash only means re-reading the lines
+ * appended since the last one.
+ *
+ * Stored in ~/.tofucode/search-index.json:
+ * {
+ *   "version": 1,
+ *   "files": {
+ *     "<projectSlug>/<sessionId>": {
+ *       "projectSlug": "-home-me-myapp",
+ *       "sessionId": "uuid",
+ *       "ino": 1234, "offset": 52311,          // bytes of the JSONL already indexed
+ *       "models": ["opus"],
+ *       "docs": [{ "uuid", "kind": "prompt" | "response" | "tool", "text", "timestamp", "model" }]
+ *     }
+ *   }
+ * }
+ */
+
+import {
+  createReadStream,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import {
+  config,
+  getProjectDisplayName,
+  isValidProjectSlug,
+} from '../config.js';
+import { loadTitles } from './session-titles.js';
+
+const INDEX_DIR = join(homedir(), '.tofucode');
+const INDEX_FILE = join(INDEX_DIR, 'search-index.json');
+const INDEX_TMP = `${INDEX_FILE}.tmp`;
+const INDEX_VERSION = 1;
+
+// Long messages and tool inputs are indexed up to this many characters
+const MAX_DOC_LENGTH = 4000;
+
+// Changes are written to disk at most this often
+const SAVE_DELAY_MS = 30 * 1000;
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_SESSIONS = 30;
+const MAX_HITS_PER_SESSION = 3;
+const SNIPPET_RADIUS = 80;
+
+export const SEARCH_MODELS = ['opus', 'sonnet', 'haiku'];
+
+let index = null;
+let refreshing = null;
+let saveTimer = null;
+
+function loadIndex() {
+  try {
+    if (!existsSync(INDEX_FILE)) return {};
+    const parsed = JSON.parse(readFileSync(INDEX_FILE, 'utf8'));
+    // Older formats are rebuilt from scratch
+    return parsed.version === INDEX_VERSION ? parsed.files || {} : {};
+  } catch (err) {
+    console.error(
+      `[search] failed to load ${INDEX_FILE} — rebuilding. Error: ${err.message}`,
+    );
+    return {};
+  }
+}
+
+function saveIndex() {
+  try {
+    if (!existsSync(INDEX_DIR)) {
+      mkdirSync(INDEX_DIR, { recursive: true });
+    }
+    writeFileSync(
+      INDEX_TMP,
+      JSON.stringify({ version: INDEX_VERSION, files: index }),
+      'utf8',
+    );
+    renameSync(INDEX_TMP, INDEX_FILE);
+  } catch (err) {
+    console.error(`[search] failed to save ${INDEX_FILE}: ${err.message}`);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveIndex();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// "claude-sonnet-4-6" -> "sonnet"
+function toModelName(fullModel) {
+  if (!fullModel) return null;
+  return SEARCH_MODELS.find((name) => fullModel.includes(name)) || null;
+}
+
+function clip(text) {
+  return text.length > MAX_DOC_LENGTH ? text.slice(0, MAX_DOC_LENGTH) : text;
+}
+
+/**
+ * Searchable documents in one transcript entry.
+ * @param {Object} entry - Parsed JSONL line
+ * @returns {Array<Object>}
+ */
+function extractDocs(entry) {
+  const docs = [];
+  const base = { uuid: entry.uuid || null, timestamp: entry.timestamp || null };
+
+  if ((entry.type === 'user' || entry.type === 'human') && !entry.isMeta) {
+    const content = entry.message?.content;
+    const text =
+      typeof content === 'string'
+        ? content
+        : Array.isArray(content)
+          ? content
+              .filter((block) => block.type === 'text')
+              .map((block) => block.text)
+              .join('\n')
+          : '';
+    if (text.trim()) {
+      docs.push({
+        ...base,
+        kind: 'prompt',
+        text: clip(text),
+        model: entry.model || null,
+      });
+    }
+  }
+
+  if (entry.type === 'assistant') {
+    const model = toModelName(entry.message?.model);
+    for (const block of entry.message?.content || []) {
+      if (block.type === 'text' && block.text?.trim()) {
+        docs.push({ ...base, kind: 'response', text: clip(block.text), model });
+      } else if (block.type === 'tool_use') {
+        docs.push({
+          ...base,
+          kind: 'tool',
+          text: clip(`${block.name} ${JSON.stringify(block.input ?? {})}`),
+          model,
+        });
+      }
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Index the lines of a transcript from the record's offset onwards.
+ * A trailing line that doesn't parse yet (still being written) is left for the
+ * next refresh.
+ * @param {string} jsonlPath
+ * @param {Object} record - Index record, updated in place
+ * @param {number} size - File size at stat time
+ */
+async function indexFrom(jsonlPath, record, size) {
+  let consumed = record.offset;
+  let pending = 0;
+  const models = new Set(record.models);
+
+  await new Promise((resolve, reject) => {
+    const rl = createInterface({
+      input: createReadStream(jsonlPath, {
+        start: record.offset,
+        end: size - 1,
+      }),
+      crlfDelay: Number.POSITIVE_INFINITY,
+    });
+
+    rl.on('line', (line) => {
+      const bytes = Buffer.byteLength(line, 'utf8') + 1;
+      if (!line.trim()) {
+        pending += bytes;
+        return;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        pending += bytes;
+        return;
+      }
+      consumed += pending + bytes;
+      pending = 0;
+      for (const doc of extractDocs(entry)) {
+        record.docs.push(doc);
+        if (doc.kind !== 'prompt' && doc.model) models.add(doc.model);
+      }
+    });
+
+    rl.on('close', () => resolve());
+    rl.on('error', reject);
+  });
+
+  // The last line may have no trailing newline
+  record.offset = Math.min(consumed, size);
+  record.models = [...models];
+}
+
+async function refresh() {
+  if (!index) index = loadIndex();
+  let changed = false;
+  const seen = new Set();
+
+  let projectDirs = [];
+  try {
+    projectDirs = readdirSync(config.projectsDir, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name);
+  } catch {
+    // No projects yet
+  }
+
+  for (const projectSlug of projectDirs) {
+    const sessionsDir = join(config.projectsDir, projectSlug);
+    let files;
+    try {
+      files = readdirSync(sessionsDir);
+    } catch {
+      continue;
+    }
+
+    for (const file of files) {
+      // Subagent transcripts show up inside their parent session
+      if (!file.endsWith('.jsonl') || file.startsWith('agent-')) continue;
+      const sessionId = file.slice(0, -'.jsonl'.length);
+      const key = `${projectSlug}/${sessionId}`;
+      const jsonlPath = join(sessionsDir, file);
+      seen.add(key);
+
+      let stats;
+      try {
+        stats = statSync(jsonlPath);
+      } catch {
+        continue;
+      }
+
+      let record = index[key];
+      if (!record || record.ino !== stats.ino || stats.size < record.offset) {
+        record = {
+          projectSlug,
+          sessionId,
+          ino: stats.ino,
+          offset: 0,
+          models: [],
+          docs: [],
+        };
+        index[key] = record;
+        changed = true;
+      }
+      if (stats.size > record.offset) {
+        const before = record.offset;
+        try {
+          await indexFrom(jsonlPath, record, stats.size);
+          if (record.offset !== before) changed = true;
+        } catch (err) {
+          console.error(
+            `[search] failed to index ${jsonlPath}: ${err.message}`,
+          );
+        }
+      }
+    }
+  }
+
+  for (const key of Object.keys(index)) {
+    if (!seen.has(key)) {
+      delete index[key];
+      changed = true;
+    }
+  }
+
+  if (changed) scheduleSave();
+}
+
+/**
+ * Bring the index up to date with the transcripts on disk. Concurrent callers
+ * share the same pass.
+ * @returns {Promise<void>}
+ */
+export function refreshSearchIndex() {
+  if (!refreshing) {
+    refreshing = refresh().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Split a query into lowercase terms; "quoted phrases" stay together.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function parseTerms(query) {
+  const terms = [];
+  for (const match of query.matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function makeSnippet(text, lower, terms) {
+  const at = Math.max(0, lower.indexOf(terms[0]));
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + terms[0].length + SNIPPET_RADIUS);
+  const body = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${body}${end < text.length ? '…' : ''}`;
+}
+
+function parseDay(value, endOfDay) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(
+    `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`,
+  );
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Search every session. A message matches when it contains all terms.
+ *
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {string} [params.projectSlug] - Only this project
+ * @param {string} [params.from] - YYYY-MM-DD, inclusive (local time)
+ * @param {string} [params.to] - YYYY-MM-DD, inclusive (local time)
+ * @param {string} [params.model] - Only sessions that used this model
+ * @returns {Promise<{ ok: true, terms: string[], sessions: Array, totalSessions: number } | { ok: false, error: string }>}
+ *   Sessions ordered by their most recent match, each with up to 3 hits
+ */
+export async function searchSessions(params) {
+  const query = typeof params.query === 'string' ? params.query.trim() : '';
+  if (!query) return { ok: false, error: 'Enter something to search for' };
+  if (query.length > MAX_QUERY_LENGTH) {
+    return {
+      ok: false,
+      error: `Query is too long (max ${MAX_QUERY_LENGTH} characters)`,
+    };
+  }
+  if (params.projectSlug && !isValidProjectSlug(params.projectSlug)) {
+    return { ok: false, error: 'Invalid project' };
+  }
+  if (params.model && !SEARCH_MODELS.includes(params.model)) {
+    return {
+      ok: false,
+      error: `Model must be one of: ${SEARCH_MODELS.join(', ')}`,
+    };
+  }
+
+  const terms = parseTerms(query);
+  const from = parseDay(params.from, false);
+  const to = parseDay(params.to, true);
+
+  await refreshSearchIndex();
+
+  // Projects outside --root are never searched
+  const allowed = new Map();
+  const isAllowed = (projectSlug) => {
+    if (!allowed.has(projectSlug)) {
+      allowed.set(projectSlug, isValidProjectSlug(projectSlug));
+    }
+    return allowed.get(projectSlug);
+  };
+
+  const matches = [];
+  for (const record of Object.values(index)) {
+    if (params.projectSlug && record.projectSlug !== params.projectSlug) {
+      continue;
+    }
+    if (params.model && !record.models.includes(params.model)) continue;
+    if (!isAllowed(record.projectSlug)) continue;
+
+    const hits = [];
+    for (const doc of record.docs) {
+      const time = doc.timestamp ? Date.parse(doc.timestamp) : null;
+      if ((from !== null || to !== null) && time === null) continue;
+      if (from !== null && time < from) continue;
+      if (to !== null && time > to) continue;
+
+      const lower = doc.text.toLowerCase();
+      if (!terms.every((term) => lower.includes(term))) continue;
+      hits.push({
+        uuid: doc.uuid,
+        kind: doc.kind,
+        snippet: makeSnippet(doc.text, lower, terms),
+        timestamp: doc.timestamp,
+        model: doc.model,
+      });
+    }
+    if (hits.length === 0) continue;
+
+    hits.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    matches.push({ record, hits });
+  }
+
+  matches.sort((a, b) =>
+    (b.hits[0].timestamp || '').localeCompare(a.hits[0].timestamp || ''),
+  );
+
+  const titlesByProject = new Map();
+  const sessions = matches.slice(0, MAX_SESSIONS).map(({ record, hits }) => {
+    if (!titlesByProject.has(record.projectSlug)) {
+      titlesByProject.set(record.projectSlug, loadTitles(record.projectSlug));
+    }
+    const firstPrompt = record.docs.find((d) => d.kind === 'prompt');
+    return {
+      projectSlug: record.projectSlug,
+      projectName: getProjectDisplayName(record.projectSlug),
+      sessionId: record.sessionId,
+      title: titlesByProject.get(record.projectSlug)[record.sessionId] || null,
+      firstPrompt: firstPrompt?.text.slice(0, 100) || null,
+      models: record.models,
+      hitCount: hits.length,
+      hits: hits.slice(0, MAX_HITS_PER_SESSION),
+    };
+  });
+
+  return { ok: true, terms, sessions, totalSessions: matches.length };
+}
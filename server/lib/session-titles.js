@@ -2,6 +2,10 @@
  * Session titles management
  * Stores custom session titles in .session-titles.json files per project
  *
+ * Titles written by the title generator (lib/auto-titles.js) are also listed in
+ * .session-titles-auto.json, so they can be replaced later without touching
+ * titles a user set by hand.
+ *
  * Note: We can't use sessions-index.json's customTitle field because the SDK
  * overwrites session entries after each turn without preserving custom fields.
  */
@@ -12,6 +16,7 @@ import { config } from '../config.js';
 import { isValidSessionId } from './sessions.js';
 
 const TITLES_FILE = '.session-titles.json';
+const AUTO_TITLES_FILE = '.session-titles-auto.json';
 
 /**
  * Get the path to the session titles file for a project
@@ -22,6 +27,37 @@ function getTitlesFilePath(projectSlug) {
   return path.join(config.projectsDir, projectSlug, TITLES_FILE);
 }
 
+/**
+ * Load the generated-title markers for a project
+ * @param {string} projectSlug - Project slug
+ * @returns {Object} Map of sessionId -> { generatedAt, model }
+ */
+function loadAutoTitles(projectSlug) {
+  try {
+    const filePath = path.join(
+      config.projectsDir,
+      projectSlug,
+      AUTO_TITLES_FILE,
+    );
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch (error) {
+    console.error(
+      `Error loading generated session titles for ${projectSlug}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+function saveAutoTitles(projectSlug, autoTitles) {
+  fs.writeFileSync(
+    path.join(config.projectsDir, projectSlug, AUTO_TITLES_FILE),
+    JSON.stringify(autoTitles, null, 2),
+  );
+}
+
 /**
  * Load all session titles for a project
  * @param {string} projectSlug - Project slug
@@ -59,9 +95,10 @@ export function getTitle(projectSlug, sessionId) {
  * @param {string} projectSlug - Project slug
  * @param {string} sessionId - Session ID
  * @param {string} title - New title (empty string to remove)
+ * @param {Object} [generated] - { model } when the title was generated rather than set by hand
  * @returns {boolean} Success
  */
-export function setTitle(projectSlug, sessionId, title) {
+export function setTitle(projectSlug, sessionId, title, generated) {
   // SECURITY: Validate sessionId format to prevent path traversal
   if (!isValidSessionId(sessionId)) {
     console.error(`Invalid sessionId format for setTitle: ${sessionId}`);
@@ -85,6 +122,18 @@ export function setTitle(projectSlug, sessionId, title) {
     }
 
     fs.writeFileSync(filePath, JSON.stringify(titles, null, 2));
+
+    const autoTitles = loadAutoTitles(projectSlug);
+    if (generated && titles[sessionId]) {
+      autoTitles[sessionId] = {
+        generatedAt: new Date().toISOString(),
+        model: generated.model,
+      };
+      saveAutoTitles(projectSlug, autoTitles);
+    } else if (autoTitles[sessionId]) {
+      delete autoTitles[sessionId];
+      saveAutoTitles(projectSlug, autoTitles);
+    }
     return true;
   } catch (error) {
     console.error(
@@ -95,6 +144,16 @@ export function setTitle(projectSlug, sessionId, title) {
   }
 }
 
+/**
+ * Whether a session's title was generated (and not set or edited by hand)
+ * @param {string} projectSlug - Project slug
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+export function isGeneratedTitle(projectSlug, sessionId) {
+  return !!loadAutoTitles(projectSlug)[sessionId];
+}
+
 /**
  * Delete a session title
  * @param {string} projectSlug - Project slug
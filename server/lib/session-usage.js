@@ -0,0 +1,196 @@
+/**
+ * Session token usage
+ * Stores cumulative token counts and the last known context size in
+ * .session-usage.json files per project
+ *
+ * Format: { [sessionId]: {
+ *   inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens,  // all turns, summed
+ *   contextTokens,   // prompt size of the latest main-thread API call
+ *   contextWindow,   // model context window (from the result's modelUsage)
+ *   model, compactions, updatedAt
+ * } }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { config } from '../config.js';
+import { isValidSessionId } from './sessions.js';
+
+const USAGE_FILE = '.session-usage.json';
+
+const DEFAULT_CONTEXT_WINDOW = 200_000;
+
+// Room the CLI keeps free (output reserve + buffer) before it auto-compacts.
+// Approximate — the CLI doesn't report its threshold in the stream.
+const AUTO_COMPACT_RESERVE_TOKENS = 33_000;
+
+// Warn once the context is within this fraction of the window of auto-compaction
+const COMPACT_WARNING_MARGIN = 0.1;
+
+function getUsageFilePath(projectSlug) {
+  return path.join(config.projectsDir, projectSlug, USAGE_FILE);
+}
+
+function loadUsage(projectSlug) {
+  try {
+    const filePath = getUsageFilePath(projectSlug);
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch (error) {
+    console.error(
+      `Error loading session usage for ${projectSlug}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+function saveUsage(projectSlug, usage) {
+  const filePath = getUsageFilePath(projectSlug);
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(usage, null, 2));
+}
+
+function emptyEntry() {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    contextTokens: 0,
+    contextWindow: DEFAULT_CONTEXT_WINDOW,
+    model: null,
+    compactions: 0,
+  };
+}
+
+function updateEntry(projectSlug, sessionId, update) {
+  // SECURITY: Validate sessionId format (it's used as a key in a file we write)
+  if (!isValidSessionId(sessionId)) return null;
+  try {
+    const usage = loadUsage(projectSlug);
+    const entry = { ...emptyEntry(), ...usage[sessionId] };
+    update(entry);
+    entry.updatedAt = new Date().toISOString();
+    usage[sessionId] = entry;
+    saveUsage(projectSlug, usage);
+    return entry;
+  } catch (error) {
+    console.error(
+      `Error saving session usage for ${sessionId}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Tokens sent to the model in one API call (i.e. how full the context is).
+ * @param {Object} usage - Anthropic usage object from an assistant message
+ * @returns {number}
+ */
+export function getContextTokens(usage) {
+  if (!usage) return 0;
+  return (
+    (usage.input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0)
+  );
+}
+
+/**
+ * Add a finished turn to a session's usage.
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @param {Object} turn
+ * @param {Object} turn.usage - Result message usage (totals for the turn)
+ * @param {Object} [turn.modelUsage] - Result message modelUsage (per model, with contextWindow)
+ * @param {number} [turn.contextTokens] - Context size of the turn's last main-thread API call
+ * @param {string} [turn.model] - Full model ID of the main thread
+ * @returns {Object|null} Updated entry
+ */
+export function recordTurnUsage(projectSlug, sessionId, turn) {
+  return updateEntry(projectSlug, sessionId, (entry) => {
+    const usage = turn.usage || {};
+    entry.inputTokens += usage.input_tokens || 0;
+    entry.outputTokens += usage.output_tokens || 0;
+    entry.cacheReadTokens += usage.cache_read_input_tokens || 0;
+    entry.cacheCreationTokens += usage.cache_creation_input_tokens || 0;
+    if (turn.contextTokens) entry.contextTokens = turn.contextTokens;
+    if (turn.model) entry.model = turn.model;
+    const window = turn.model && turn.modelUsage?.[turn.model]?.contextWindow;
+    if (window) entry.contextWindow = window;
+  });
+}
+
+/**
+ * Record a compaction (the context shrinks to the summary).
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @param {{ trigger: 'manual'|'auto', pre_tokens: number, post_tokens?: number }} metadata
+ * @returns {Object|null} Updated entry
+ */
+export function recordCompaction(projectSlug, sessionId, metadata) {
+  return updateEntry(projectSlug, sessionId, (entry) => {
+    entry.compactions += 1;
+    entry.contextTokens = metadata?.post_tokens || 0;
+  });
+}
+
+/**
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ * @returns {Object|null}
+ */
+export function getSessionUsage(projectSlug, sessionId) {
+  return loadUsage(projectSlug)[sessionId] || null;
+}
+
+/**
+ * Usage entry plus context-window fill, for session_usage messages.
+ * @param {Object|null} entry
+ * @param {number} [liveContextTokens] - Context size seen mid-turn (not yet persisted)
+ * @returns {Object|null} entry + { contextPercent, compactAtTokens, nearCompaction }
+ */
+export function describeUsage(entry, liveContextTokens) {
+  if (!entry && !liveContextTokens) return null;
+  const base = { ...emptyEntry(), ...entry };
+  const contextTokens = liveContextTokens || base.contextTokens;
+  const compactAtTokens = base.contextWindow - AUTO_COMPACT_RESERVE_TOKENS;
+  return {
+    ...base,
+    contextTokens,
+    contextPercent: Math.min(
+      100,
+      Math.round((contextTokens / base.contextWindow) * 100),
+    ),
+    compactAtTokens,
+    nearCompaction:
+      contextTokens >=
+      compactAtTokens - base.contextWindow * COMPACT_WARNING_MARGIN,
+  };
+}
+
+/**
+ * Remove a session's usage (called when the session is deleted).
+ * @param {string} projectSlug
+ * @param {string} sessionId
+ */
+export function deleteSessionUsage(projectSlug, sessionId) {
+  try {
+    const usage = loadUsage(projectSlug);
+    if (usage[sessionId]) {
+      delete usage[sessionId];
+      saveUsage(projectSlug, usage);
+    }
+  } catch (error) {
+    console.error(
+      `Error deleting session usage for ${sessionId}:`,
+      error.message,
+    );
+  }
+}
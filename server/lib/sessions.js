@@ -12,6 +12,10 @@ import {
 import { join } from 'node:path';
 import { createInterface } from 'node:readline';
 import { getSessionsDir } from '../config.js';
+import { resolveAttachmentBlocks } from './attachments.js';
+import { getScheduledSessions } from './schedules.js';
+import { loadForks } from './session-forks.js';
+import { loadSessionMeta } from './session-meta.js';
 import { loadTitles } from './session-titles.js';
 
 /**
@@ -34,7 +38,7 @@ export function isValidSessionId(sessionId) {
  * to catch newly created sessions that haven't been indexed yet
  *
  * @param {string} projectSlug - Project slug (e.g., -home-ts-projects-foo)
- * @returns {Promise<Array<{sessionId: string, firstPrompt: string, messageCount: number, created: string, modified: string}>>}
+ * @returns {Promise<Array<{sessionId: string, firstPrompt: string, messageCount: number, created: string, modified: string, tags: string[], pinned: boolean, archived: boolean}>>}
  */
 export async function getSessionsList(projectSlug) {
   try {
@@ -183,8 +187,8 @@ export async function getSessionsList(projectSlug) {
                 messageCount,
                 created: stats.birthtime.toISOString(),
                 modified: stats.mtime.toISOString(),
-                // Unindexed sessions don't have customTitle
-                title: null,
+                // Titles can be set (or generated) before the SDK indexes the session
+                title: titles[sessionId] || null,
               });
             } catch (err) {
               console.error(`Failed to stat ${file}:`, err.message);
@@ -194,6 +198,34 @@ export async function getSessionsList(projectSlug) {
       }
     }
 
+    // Fork lineage (parent → child) for the sessions tree
+    const forks = loadForks(projectSlug);
+    for (const [sessionId, fork] of Object.entries(forks)) {
+      const session = sessionsMap.get(sessionId);
+      if (session) {
+        session.forkedFrom = {
+          sessionId: fork.parentSessionId,
+          messageUuid: fork.messageUuid,
+        };
+      }
+    }
+
+    // Tags, pinned and archived flags (.session-meta.json)
+    const meta = loadSessionMeta(projectSlug);
+    for (const session of sessionsMap.values()) {
+      const entry = meta[session.sessionId];
+      session.tags = entry?.tags || [];
+      session.pinned = !!entry?.pinned;
+      session.archived = !!entry?.archived;
+    }
+
+    // Mark sessions started or targeted by scheduled prompts
+    const scheduled = getScheduledSessions(projectSlug);
+    for (const [sessionId, info] of scheduled) {
+      const session = sessionsMap.get(sessionId);
+      if (session) session.schedule = info;
+    }
+
     // Convert to array and sort by modification time
     return Array.from(sessionsMap.values()).sort(
       (a, b) => new Date(b.modified) - new Date(a.modified),
@@ -207,15 +239,17 @@ export async function getSessionsList(projectSlug) {
 /**
  * Parse a single JSONL entry into message object(s)
  * @param {Object} entry - Parsed JSON entry
+ * @param {string} projectSlug - Project slug (used to resolve attachment thumbnails)
  * @returns {Array} Array of message objects (may be empty or multiple)
  */
-function parseEntry(entry) {
+function parseEntry(entry, projectSlug) {
   const messages = [];
 
   // User messages (type can be 'user' or 'human')
   if (entry.type === 'user' || entry.type === 'human') {
     const content = entry.message?.content;
     let textContent = '';
+    let attachments = [];
 
     // Handle both string and array content formats
     if (typeof content === 'string') {
@@ -226,6 +260,9 @@ function parseEntry(entry) {
       const textBlocks = content.filter((block) => block.type === 'text');
       textContent = textBlocks.map((block) => block.text).join('\n');
 
+      // Image/document blocks from prompts sent with attachments
+      attachments = resolveAttachmentBlocks(projectSlug, content);
+
       // Extract tool_result blocks
       const toolResults = content.filter(
         (block) => block.type === 'tool_result',
@@ -237,15 +274,18 @@ function parseEntry(entry) {
           content: result.content,
           isError: result.is_error || false,
           timestamp: entry.timestamp,
+          uuid: entry.uuid,
         });
       }
     }
 
-    if (textContent?.trim()) {
+    if (textContent?.trim() || attachments.length > 0) {
       messages.push({
         type: 'user',
         content: textContent,
+        ...(attachments.length > 0 && { attachments }),
         timestamp: entry.timestamp,
+        uuid: entry.uuid,
         permissionMode: entry.permissionMode || 'default',
         dangerouslySkipPermissions: entry.dangerouslySkipPermissions || false,
         model: entry.model || null, // Preserve model information
@@ -275,6 +315,20 @@ function parseEntry(entry) {
           type: 'text',
           content: block.text,
           timestamp: entry.timestamp,
+          // Transcript entry UUID — fork point for fork_session
+          uuid: entry.uuid,
+          model: modelName,
+        });
+      } else if (
+        block.type === 'thinking' ||
+        block.type === 'redacted_thinking'
+      ) {
+        messages.push({
+          type: 'thinking',
+          content: block.thinking || '',
+          redacted: !block.thinking,
+          timestamp: entry.timestamp,
+          uuid: entry.uuid,
           model: modelName,
         });
       } else if (block.type === 'tool_use') {
@@ -284,6 +338,7 @@ function parseEntry(entry) {
           input: block.input,
           id: block.id,
           timestamp: entry.timestamp,
+          uuid: entry.uuid,
           model: modelName,
         });
       }
@@ -325,10 +380,13 @@ function parseEntry(entry) {
  * @param {string} projectSlug - Project slug
  * @param {string} sessionId - Session ID
  * @param {Object} options - Options
- * @param {boolean} options.fullHistory - If true, load all messages (ignores buffer limit)
+ * @param {boolean} options.fullHistory - If true, load all messages (ignores buffer limit);
+ *   without loadLastTurn or turnLimit the whole transcript is returned
  * @param {number} options.limit - Max messages to return (default: 50)
  * @param {number} options.offset - Start offset from end (0 = most recent, default: 0)
  * @param {number} options.maxBufferSize - Max entries to keep in memory (default: 500)
+ * @param {string} options.focusUuid - Load from the turn containing this entry to the end
+ *   (deep links from session search); ignored if the entry isn't in the transcript
  * @returns {Promise<{messages: Array, hasOlderMessages: boolean, summaryCount: number, totalEntries: number}>}
  */
 export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
@@ -355,6 +413,11 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
   }
 
   const { fullHistory = false, loadLastTurn = false } = options;
+  const focusUuid =
+    typeof options.focusUuid === 'string' ? options.focusUuid : null;
+  // A focused entry may sit before the last compaction, so keep everything
+  // until we know where it is
+  const keepAll = fullHistory || !!focusUuid;
 
   // SECURITY: Sanitize and clamp pagination parameters to prevent abuse
   const rawOffset = Number.isInteger(options.offset)
@@ -383,6 +446,7 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
   const buffer = [];
   let summaryCount = 0;
   let _lastSummaryIndex = -1;
+  let lastSummaryBufferIndex = 0; // Start of the latest compaction window in buffer
   let totalLineCount = 0;
   let totalSessionTurns = 0; // Count ALL turns in session (persists across summaries)
 
@@ -405,7 +469,10 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
             hasTextContent = true;
           } else if (Array.isArray(content)) {
             hasTextContent = content.some(
-              (block) => block.type === 'text' && block.text?.trim(),
+              (block) =>
+                (block.type === 'text' && block.text?.trim()) ||
+                block.type === 'image' ||
+                block.type === 'document',
             );
           }
 
@@ -419,15 +486,16 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
           summaryCount++;
           _lastSummaryIndex = totalLineCount;
           // Clear buffer on summary if not loading full history
-          if (!fullHistory) {
+          if (!keepAll) {
             buffer.length = 0;
           }
+          lastSummaryBufferIndex = buffer.length;
         }
 
         buffer.push(entry);
 
         // Maintain circular buffer if not loading full history
-        if (!fullHistory && buffer.length > maxBufferSize) {
+        if (!keepAll && buffer.length > maxBufferSize) {
           buffer.shift();
         }
 
@@ -439,7 +507,7 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
     });
 
     rl.on('close', () => {
-      // Helper: Check if entry has text content
+      // Helper: Check if entry has text content (or attachments, which start a turn too)
       const hasTextContent = (entry) => {
         const content = entry.message?.content;
         if (typeof content === 'string' && content.trim()) {
@@ -447,12 +515,30 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
         }
         if (Array.isArray(content)) {
           return content.some(
-            (block) => block.type === 'text' && block.text?.trim(),
+            (block) =>
+              (block.type === 'text' && block.text?.trim()) ||
+              block.type === 'image' ||
+              block.type === 'document',
           );
         }
         return false;
       };
 
+      const isTurnStart = (entry) =>
+        (entry.type === 'user' || entry.type === 'human') &&
+        hasTextContent(entry);
+
+      const focusIndex = focusUuid
+        ? buffer.findIndex((entry) => entry.uuid === focusUuid)
+        : -1;
+      if (focusUuid && focusIndex === -1 && !fullHistory) {
+        // Not found — fall back to the window a normal load would have kept
+        buffer.splice(
+          0,
+          Math.max(lastSummaryBufferIndex, buffer.length - maxBufferSize, 0),
+        );
+      }
+
       // Count turns in the final buffer (not accumulated during streaming)
       // This gives us turns in the current window (after summaries/circular buffer)
       let _bufferTurnCount = 0;
@@ -469,7 +555,26 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
       let effectiveOffset = offset;
       let loadedTurnCount = 0;
 
-      if (turnLimit !== null) {
+      if (focusIndex !== -1) {
+        // DEEP LINK: from the turn containing the focused entry to the end
+        let startIdx = focusIndex;
+        while (startIdx > 0 && !isTurnStart(buffer[startIdx])) {
+          startIdx--;
+        }
+        entriesToParse = buffer.slice(startIdx);
+        loadedTurnCount = entriesToParse.filter(isTurnStart).length;
+        // Inside the latest compaction window the offset lines up with what
+        // load_older_messages counts; before it there is nothing older to page in
+        effectiveOffset =
+          !fullHistory && startIdx > lastSummaryBufferIndex
+            ? buffer.length - startIdx
+            : 0;
+      } else if (fullHistory && !loadLastTurn && turnLimit === null) {
+        // WHOLE TRANSCRIPT: every entry, summaries included (session export)
+        entriesToParse = buffer;
+        loadedTurnCount = _bufferTurnCount;
+        effectiveOffset = 0;
+      } else if (turnLimit !== null) {
         // TURN-BASED PAGINATION: Load N turns instead of N entries
         const userIndices = [];
 
@@ -544,7 +649,7 @@ export async function loadSessionHistory(projectSlug, sessionId, options = {}) {
       // Parse entries into messages
       const messages = [];
       for (const entry of entriesToParse) {
-        const parsed = parseEntry(entry);
+        const parsed = parseEntry(entry, projectSlug);
         messages.push(...parsed);
       }
 
@@ -12,11 +12,16 @@ const DEFAULT_SETTINGS = {
   symbolToolbar: '` ~ ! @ # $ % ^ & * ( ) - _ = + /',
   quickAccessFile: 'TODO.md', // Memo file for Cmd+M quick access (keep old key name)
   enableMemo: true, // Enable memo feature (Cmd+M quick access)
+  autoSessionTitles: true, // Title new sessions with the haiku model after their first turn
   // Discord settings (only meaningful when DISCORD_ENABLED=true on the server)
   discordSyncEnabled: true, // Mirror Web UI sessions to Discord
   // Notes vault
   notesBasePath: '', // Absolute path to notes vault root (e.g. /home/user/notes)
   notesIncludePaths: [], // Additional paths to browse: [{ path: '/abs/path', label: 'Label' }]
+  // Cost budgets in USD (null = no limit) — see lib/budgets.js
+  budgetPerTurnUsd: null,
+  budgetPerSessionUsd: null,
+  budgetPerProjectDailyUsd: null,
 };
 
 export function loadSettings() {
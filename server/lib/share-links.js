@@ -0,0 +1,189 @@
+/**
+ * Share links - tokenized, expiring read-only access to a single session.
+ *
+ * Whoever holds the URL can watch that one session (history and live output)
+ * without the server password; nothing else is reachable through it. Links are
+ * managed by logged-in users (events/shares.js) and served over /ws/share
+ * (share-websocket.js).
+ *
+ * Stored in ~/.tofucode/share-links.json:
+ * {
+ *   "links": [
+ *     {
+ *       "id": "uuid",
+ *       "token": "<43 chars, base64url>",
+ *       "projectSlug": "-home-me-myapp",
+ *       "sessionId": "uuid",
+ *       "createdAt": "ISO",
+ *       "expiresAt": "ISO"
+ *     }
+ *   ]
+ * }
+ *
+ * Expired links are dropped whenever the file is written.
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { isValidSessionId } from './sessions.js';
+
+const SHARES_DIR = join(homedir(), '.tofucode');
+const SHARES_FILE = join(SHARES_DIR, 'share-links.json');
+const SHARES_TMP = `${SHARES_FILE}.tmp`;
+
+// Allowed lifetimes, in hours (1 hour, 1 day, 1 week, 30 days)
+export const SHARE_EXPIRY_HOURS = [1, 24, 168, 720];
+const DEFAULT_EXPIRY_HOURS = 24;
+
+// Map<linkId, Set<WebSocket>> — open viewers, closed when their link is revoked
+const viewers = new Map();
+
+function loadLinks() {
+  try {
+    if (!existsSync(SHARES_FILE)) return [];
+    const parsed = JSON.parse(readFileSync(SHARES_FILE, 'utf8'));
+    return Array.isArray(parsed.links) ? parsed.links : [];
+  } catch (err) {
+    console.error(
+      `[share-links] failed to load ${SHARES_FILE} — returning empty state. Error: ${err.message}`,
+    );
+    return [];
+  }
+}
+
+function saveLinks(links) {
+  if (!existsSync(SHARES_DIR)) {
+    mkdirSync(SHARES_DIR, { recursive: true });
+  }
+  const now = new Date();
+  writeFileSync(
+    SHARES_TMP,
+    JSON.stringify(
+      { links: links.filter((l) => new Date(l.expiresAt) > now) },
+      null,
+      2,
+    ),
+    'utf8',
+  );
+  renameSync(SHARES_TMP, SHARES_FILE);
+}
+
+function isLive(link) {
+  return new Date(link.expiresAt) > new Date();
+}
+
+/**
+ * Active (unexpired) links, newest first.
+ * @param {Object} [filter] - { projectSlug, sessionId }
+ * @returns {Array}
+ */
+export function listShareLinks({ projectSlug, sessionId } = {}) {
+  return loadLinks()
+    .filter(
+      (l) =>
+        isLive(l) &&
+        (!projectSlug || l.projectSlug === projectSlug) &&
+        (!sessionId || l.sessionId === sessionId),
+    )
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Create a link to a session.
+ * @param {Object} input - { projectSlug, sessionId, expiresInHours }
+ * @returns {{ ok: true, link: Object } | { ok: false, error: string }}
+ */
+export function createShareLink({ projectSlug, sessionId, expiresInHours }) {
+  if (!isValidSessionId(sessionId)) {
+    return { ok: false, error: 'Invalid session' };
+  }
+  const hours = SHARE_EXPIRY_HOURS.includes(expiresInHours)
+    ? expiresInHours
+    : DEFAULT_EXPIRY_HOURS;
+
+  const link = {
+    id: randomUUID(),
+    token: randomBytes(32).toString('base64url'),
+    projectSlug,
+    sessionId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+  };
+  saveLinks([...loadLinks(), link]);
+  return { ok: true, link };
+}
+
+/**
+ * Revoke a link and disconnect anyone watching through it.
+ * @param {string} id
+ * @returns {boolean} Whether the link existed
+ */
+export function revokeShareLink(id) {
+  const links = loadLinks();
+  const remaining = links.filter((l) => l.id !== id);
+  if (remaining.length === links.length) return false;
+  saveLinks(remaining);
+  closeShareViewers(id, 'revoked');
+  return true;
+}
+
+/**
+ * Look up a link by its token.
+ * @param {string} token
+ * @returns {Object|null} The link, if it exists and hasn't expired
+ */
+export function resolveShareLink(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const link = loadLinks().find((l) => l.token === token);
+  return link && isLive(link) ? link : null;
+}
+
+/**
+ * Track a viewer connection for revocation.
+ * @param {string} linkId
+ * @param {WebSocket} ws
+ * @returns {() => void} Unregister
+ */
+export function addShareViewer(linkId, ws) {
+  if (!viewers.has(linkId)) viewers.set(linkId, new Set());
+  viewers.get(linkId).add(ws);
+  return () => {
+    const set = viewers.get(linkId);
+    if (!set) return;
+    set.delete(ws);
+    if (set.size === 0) viewers.delete(linkId);
+  };
+}
+
+/**
+ * Number of open viewers per link.
+ * @returns {Object<string, number>}
+ */
+export function getShareViewerCounts() {
+  return Object.fromEntries(
+    [...viewers].map(([linkId, set]) => [linkId, set.size]),
+  );
+}
+
+/**
+ * Tell a link's viewers it ended, then disconnect them.
+ * @param {string} linkId
+ * @param {'revoked' | 'expired'} reason
+ */
+export function closeShareViewers(linkId, reason) {
+  for (const ws of viewers.get(linkId) || []) {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: 'share_ended', reason }));
+      ws.close(4403, `Share link ${reason}`);
+    }
+  }
+  viewers.delete(linkId);
+}
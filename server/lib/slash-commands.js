@@ -0,0 +1,134 @@
+/**
+ * Custom Slash Commands
+ *
+ * Reads Claude Code custom slash commands (markdown prompt templates):
+ * - Project scope: {projectPath}/.claude/commands/*.md (subfolders allowed)
+ * - User scope:    ~/.claude/commands/*.md
+ *
+ * The file name is the command name (`review.md` -> `/review`). Subdirectories only
+ * namespace the command for display, as in the CLI. Optional frontmatter:
+ *
+ *   ---
+ *   description: Review the current diff
+ *   argument-hint: [focus-area]
+ *   model: sonnet
+ *   ---
+ *   Review the staged changes, focusing on $ARGUMENTS.
+ *
+ * Commands are read-only here; the client expands $ARGUMENTS before sending.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { parseAgentFile } from './agents.js';
+
+const USER_COMMANDS_DIR = join(homedir(), '.claude', 'commands');
+
+const COMMAND_KEYS = ['description', 'argument-hint', 'model', 'allowed-tools'];
+
+// Same characters the CLI accepts in a command name
+const VALID_NAME_RE = /^[\w.-]{1,64}$/;
+
+const MAX_DEPTH = 3;
+const MAX_FILE_SIZE = 100_000;
+const MAX_DESCRIPTION_LENGTH = 120;
+
+function getScopeDir(scope, projectPath) {
+  return scope === 'project'
+    ? join(projectPath, '.claude', 'commands')
+    : USER_COMMANDS_DIR;
+}
+
+// First line of the body, when there is no description in frontmatter
+function describeBody(body) {
+  const line = body
+    .split('\n')
+    .map((l) => l.replace(/^#+\s*/, '').trim())
+    .find(Boolean);
+  if (!line) return '';
+  return line.length > MAX_DESCRIPTION_LENGTH
+    ? `${line.slice(0, MAX_DESCRIPTION_LENGTH)}…`
+    : line;
+}
+
+// `argument-hint: [pr-number] [priority]` reads as a YAML flow list — put it back
+function toHint(value) {
+  if (Array.isArray(value)) return `[${value.join(', ')}]`;
+  return value || '';
+}
+
+function readCommandFile(filePath) {
+  const text = readFileSync(filePath, 'utf-8');
+  const parsed = parseAgentFile(text, COMMAND_KEYS);
+  const fields = parsed?.fields ?? {};
+  const body = (parsed ? parsed.body : text).trim();
+  return {
+    description: fields.description || describeBody(body),
+    argumentHint: toHint(fields['argument-hint']),
+    model: fields.model || '',
+    body,
+  };
+}
+
+function readScopeCommands(scope, projectPath) {
+  const commands = [];
+
+  function walk(dir, namespace, depth) {
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < MAX_DEPTH) {
+          walk(entryPath, [...namespace, entry.name], depth + 1);
+        }
+        continue;
+      }
+
+      const name = entry.name.replace(/\.md$/, '');
+      if (!entry.isFile() || name === entry.name || !VALID_NAME_RE.test(name))
+        continue;
+
+      try {
+        if (statSync(entryPath).size > MAX_FILE_SIZE) continue;
+        commands.push({
+          name,
+          namespace: namespace.join('/'),
+          scope,
+          ...readCommandFile(entryPath),
+        });
+      } catch {
+        // Unreadable file — skip it, like the CLI does
+      }
+    }
+  }
+
+  const dir = getScopeDir(scope, projectPath);
+  if (existsSync(dir)) walk(dir, [], 0);
+  return commands;
+}
+
+/**
+ * List custom slash commands from both scopes, sorted by name.
+ * Project commands take precedence over user commands with the same name.
+ *
+ * @param {string|null} projectPath
+ * @returns {Array<{ name, namespace, scope, description, argumentHint, model, body }>}
+ */
+export function listSlashCommands(projectPath) {
+  const byName = new Map();
+  const scopes = projectPath ? ['project', 'user'] : ['user'];
+  for (const scope of scopes) {
+    for (const command of readScopeCommands(scope, projectPath)) {
+      if (!byName.has(command.name)) byName.set(command.name, command);
+    }
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,92 @@
+/**
+ * Session streams for the REST API.
+ *
+ * A session stream is a WebSocket-shaped object ({ readyState, send }) that can be
+ * handed to executePrompt() and registered as a session watcher, so HTTP callers
+ * receive exactly the same events as browser tabs. When backed by an HTTP
+ * response, each event is written as a Server-Sent Event (`data: <json>`).
+ */
+
+import {
+  addSessionStream,
+  removeSessionStream,
+  unwatchAllSessions,
+} from './ws.js';
+
+// Comment line every 25s keeps proxies from closing idle SSE connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Create a session stream.
+ *
+ * @param {Object} params
+ * @param {string|null} [params.sessionId] - Session to receive broadcasts for
+ *   (null for a new session — set automatically from session_info)
+ * @param {import('express').Response} [params.res] - Write events as SSE to this response
+ * @param {(message: object) => void} [params.onMessage] - Observe every event sent to the stream
+ * @returns {{ readyState: number, sessionId: string|null, send: (data: string) => void, close: () => void }}
+ */
+export function createSessionStream({ sessionId = null, res, onMessage } = {}) {
+  let heartbeat = null;
+
+  const stream = {
+    readyState: 1,
+    sessionId,
+    send(data) {
+      if (stream.readyState !== 1) return;
+      let message = null;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        // Only JSON is ever sent through ws helpers
+      }
+      // New sessions learn their ID from the init message
+      if (message?.type === 'session_info' && !stream.sessionId) {
+        stream.sessionId = message.sessionId;
+      }
+      if (res) {
+        res.write(`data: ${data}\n\n`);
+        // compression() buffers output — push each event out immediately
+        res.flush?.();
+      }
+      if (message) onMessage?.(message);
+    },
+    close() {
+      if (stream.readyState !== 1) return;
+      stream.readyState = 3;
+      clearInterval(heartbeat);
+      removeSessionStream(stream);
+      unwatchAllSessions(stream);
+      if (res && !res.writableEnded) res.end();
+    },
+  };
+
+  if (res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable nginx response buffering so events arrive as they happen
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+    heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      res.flush?.();
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref?.();
+    res.on('close', () => stream.close());
+  }
+
+  addSessionStream(stream);
+  return stream;
+}
+
+/**
+ * Whether the request asked for an SSE response.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
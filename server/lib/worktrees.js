@@ -0,0 +1,358 @@
+/**
+ * Git worktree sessions
+ *
+ * A worktree session runs in its own `git worktree` on a new branch, so parallel
+ * sessions in the same project don't edit the same files. Worktrees live inside
+ * the project at `.worktrees/<name>` (kept out of `git status` via
+ * .git/info/exclude), which keeps them within --root.
+ *
+ * Each worktree is addressed like any other project by its slug
+ * (`<projectSlug>--worktrees-<name>`), so chat, files, terminal and git diff all
+ * work on the worktree checkout unchanged. The Agent SDK stores its sessions under
+ * that slug too.
+ *
+ * Registry: ~/.tofucode/worktrees.json
+ * {
+ *   "worktrees": [
+ *     {
+ *       "id": "uuid",
+ *       "projectSlug": "-home-me-myapp",
+ *       "slug": "-home-me-myapp--worktrees-fix-login",
+ *       "path": "/home/me/myapp/.worktrees/fix-login",
+ *       "name": "fix-login",
+ *       "branch": "tofucode/fix-login",
+ *       "baseBranch": "main",
+ *       "status": "active" | "merged" | "discarded",
+ *       "createdAt": "ISO", "closedAt": "ISO"
+ *     }
+ *   ]
+ * }
+ *
+ * Closed worktrees stay in the registry so their sessions remain readable and
+ * stay out of the projects list.
+ */
+
+import { execFile } from 'node:child_process';
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { slugToPath } from '../config.js';
+
+const execFileAsync = promisify(execFile);
+
+const REGISTRY_DIR = path.join(homedir(), '.tofucode');
+const REGISTRY_FILE = path.join(REGISTRY_DIR, 'worktrees.json');
+const REGISTRY_TMP = `${REGISTRY_FILE}.tmp`;
+
+const WORKTREES_DIRNAME = '.worktrees';
+const BRANCH_PREFIX = 'tofucode/';
+const MAX_NAME_LENGTH = 50;
+
+function git(args, cwd) {
+  return execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+}
+
+function loadRegistry() {
+  try {
+    if (!existsSync(REGISTRY_FILE)) return [];
+    const parsed = JSON.parse(readFileSync(REGISTRY_FILE, 'utf8'));
+    return Array.isArray(parsed.worktrees) ? parsed.worktrees : [];
+  } catch (err) {
+    console.error(
+      `[worktrees] failed to load ${REGISTRY_FILE} — returning empty state. Error: ${err.message}`,
+    );
+    return [];
+  }
+}
+
+function saveRegistry(worktrees) {
+  if (!existsSync(REGISTRY_DIR)) {
+    mkdirSync(REGISTRY_DIR, { recursive: true });
+  }
+  writeFileSync(REGISTRY_TMP, JSON.stringify({ worktrees }, null, 2), 'utf8');
+  renameSync(REGISTRY_TMP, REGISTRY_FILE);
+}
+
+function updateEntry(id, patch) {
+  const worktrees = loadRegistry();
+  const entry = worktrees.find((w) => w.id === id);
+  if (!entry) return null;
+  Object.assign(entry, patch);
+  saveRegistry(worktrees);
+  return entry;
+}
+
+/**
+ * Turn a user-supplied name into a safe directory/branch segment.
+ * @param {string} name
+ * @returns {string}
+ */
+function toWorktreeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_NAME_LENGTH);
+}
+
+// Git's stderr is the useful part of a failed command
+function gitError(err) {
+  return (err.stderr || err.message || '').trim().split('\n').pop();
+}
+
+/**
+ * Hide .worktrees/ from the main checkout's `git status` without touching .gitignore.
+ * @param {string} projectPath
+ */
+async function excludeWorktreesDir(projectPath) {
+  const { stdout } = await git(
+    ['rev-parse', '--git-path', 'info/exclude'],
+    projectPath,
+  );
+  const excludePath = path.resolve(projectPath, stdout.trim());
+  const pattern = `/${WORKTREES_DIRNAME}/`;
+  const current = existsSync(excludePath)
+    ? readFileSync(excludePath, 'utf8')
+    : '';
+  if (current.split('\n').includes(pattern)) return;
+  mkdirSync(path.dirname(excludePath), { recursive: true });
+  appendFileSync(
+    excludePath,
+    `${current && !current.endsWith('\n') ? '\n' : ''}${pattern}\n`,
+  );
+}
+
+/**
+ * Active worktrees for a project.
+ * @param {string} projectSlug
+ * @returns {Array}
+ */
+export function listWorktrees(projectSlug) {
+  return loadRegistry().filter(
+    (w) => w.projectSlug === projectSlug && w.status === 'active',
+  );
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getWorktree(id) {
+  return loadRegistry().find((w) => w.id === id) || null;
+}
+
+/**
+ * Slugs of every registered worktree (hidden from the projects list).
+ * @returns {Set<string>}
+ */
+export function getWorktreeSlugs() {
+  return new Set(loadRegistry().map((w) => w.slug));
+}
+
+/**
+ * Create a worktree on a new branch from the project's current HEAD.
+ * @param {string} projectSlug
+ * @param {string} [name] - Branch/directory name (defaults to session-<timestamp>)
+ * @returns {Promise<{ ok: true, worktree: Object } | { ok: false, error: string }>}
+ */
+export async function createWorktree(projectSlug, name) {
+  const projectPath = slugToPath(projectSlug);
+  const safeName = toWorktreeName(name) || `session-${Date.now().toString(36)}`;
+
+  let baseBranch;
+  try {
+    const { stdout: topLevel } = await git(
+      ['rev-parse', '--show-toplevel'],
+      projectPath,
+    );
+    if (path.resolve(topLevel.trim()) !== path.resolve(projectPath)) {
+      return {
+        ok: false,
+        error: 'Worktree sessions need the project to be a git repository root',
+      };
+    }
+    const { stdout: head } = await git(
+      ['rev-parse', '--abbrev-ref', 'HEAD'],
+      projectPath,
+    );
+    baseBranch = head.trim();
+  } catch {
+    return { ok: false, error: 'Project is not a git repository' };
+  }
+  if (baseBranch === 'HEAD') {
+    return {
+      ok: false,
+      error: 'Check out a branch first (HEAD is detached)',
+    };
+  }
+
+  const worktreePath = path.join(projectPath, WORKTREES_DIRNAME, safeName);
+  const branch = `${BRANCH_PREFIX}${safeName}`;
+  if (existsSync(worktreePath)) {
+    return { ok: false, error: `Worktree "${safeName}" already exists` };
+  }
+
+  try {
+    await excludeWorktreesDir(projectPath);
+    await git(['worktree', 'add', '-b', branch, worktreePath], projectPath);
+  } catch (err) {
+    return { ok: false, error: gitError(err) };
+  }
+
+  const worktree = {
+    id: crypto.randomUUID(),
+    projectSlug,
+    // Same transform the SDK applies to the cwd ("/" and "." become "-")
+    slug: `${projectSlug}--worktrees-${safeName}`,
+    path: worktreePath,
+    name: safeName,
+    branch,
+    baseBranch,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    closedAt: null,
+  };
+  const worktrees = loadRegistry();
+  worktrees.push(worktree);
+  saveRegistry(worktrees);
+
+  return { ok: true, worktree };
+}
+
+/**
+ * Uncommitted file count and commits ahead of the base branch.
+ * @param {Object} worktree
+ * @returns {Promise<{ changedFiles: number, commitsAhead: number }>}
+ */
+export async function getWorktreeStatus(worktree) {
+  try {
+    const [{ stdout: status }, { stdout: ahead }] = await Promise.all([
+      git(['status', '--porcelain'], worktree.path),
+      git(
+        ['rev-list', '--count', `${worktree.baseBranch}..${worktree.branch}`],
+        worktree.path,
+      ),
+    ]);
+    return {
+      changedFiles: status.split('\n').filter(Boolean).length,
+      commitsAhead: Number.parseInt(ahead.trim(), 10) || 0,
+    };
+  } catch {
+    return { changedFiles: 0, commitsAhead: 0 };
+  }
+}
+
+/**
+ * Remove the worktree checkout and delete its branch.
+ * @param {Object} worktree
+ * @param {boolean} merged - Branch is merged (`-d`); otherwise force-delete (`-D`)
+ */
+async function removeWorktree(worktree, merged) {
+  const projectPath = slugToPath(worktree.projectSlug);
+  try {
+    // --force: ignored files (node_modules, build output) would otherwise block removal
+    await git(['worktree', 'remove', '--force', worktree.path], projectPath);
+  } catch (err) {
+    if (existsSync(worktree.path)) throw err;
+    // Directory was deleted by hand — drop git's stale record of it
+    await git(['worktree', 'prune'], projectPath);
+  }
+  await git(['branch', merged ? '-d' : '-D', worktree.branch], projectPath);
+}
+
+/**
+ * Commit any uncommitted work in the worktree, merge its branch into the base
+ * branch of the main checkout, then remove the worktree and branch.
+ * @param {string} id
+ * @param {string} [message] - Commit message for uncommitted changes
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+export async function mergeWorktree(id, message) {
+  const worktree = getWorktree(id);
+  if (!worktree || worktree.status !== 'active') {
+    return { ok: false, error: 'Worktree not found' };
+  }
+  const projectPath = slugToPath(worktree.projectSlug);
+
+  try {
+    const { stdout: head } = await git(
+      ['rev-parse', '--abbrev-ref', 'HEAD'],
+      projectPath,
+    );
+    if (head.trim() !== worktree.baseBranch) {
+      return {
+        ok: false,
+        error: `Check out "${worktree.baseBranch}" in the project to merge (currently on "${head.trim()}")`,
+      };
+    }
+
+    const { stdout: status } = await git(
+      ['status', '--porcelain'],
+      worktree.path,
+    );
+    if (status.trim()) {
+      await git(['add', '-A'], worktree.path);
+      await git(
+        ['commit', '-m', message?.trim() || `Changes from ${worktree.name}`],
+        worktree.path,
+      );
+    }
+  } catch (err) {
+    return { ok: false, error: gitError(err) };
+  }
+
+  try {
+    await git(
+      [
+        'merge',
+        '--no-ff',
+        '-m',
+        `Merge ${worktree.branch} into ${worktree.baseBranch}`,
+        worktree.branch,
+      ],
+      projectPath,
+    );
+  } catch (err) {
+    // Leave the main checkout as it was; the worktree keeps its commits
+    await git(['merge', '--abort'], projectPath).catch(() => {});
+    return { ok: false, error: `Merge failed: ${gitError(err)}` };
+  }
+
+  try {
+    await removeWorktree(worktree, true);
+  } catch (err) {
+    return {
+      ok: false,
+      error: `Merged, but cleanup failed: ${gitError(err)}`,
+    };
+  }
+  updateEntry(id, { status: 'merged', closedAt: new Date().toISOString() });
+  return { ok: true };
+}
+
+/**
+ * Delete the worktree and its branch, dropping all of its changes.
+ * @param {string} id
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+export async function discardWorktree(id) {
+  const worktree = getWorktree(id);
+  if (!worktree || worktree.status !== 'active') {
+    return { ok: false, error: 'Worktree not found' };
+  }
+  try {
+    await removeWorktree(worktree, false);
+  } catch (err) {
+    return { ok: false, error: gitError(err) };
+  }
+  updateEntry(id, { status: 'discarded', closedAt: new Date().toISOString() });
+  return { ok: true };
+}
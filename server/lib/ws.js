@@ -8,6 +8,60 @@ export const clients = new Set();
 // Map of sessionId -> Set of WebSocket clients watching that session
 const sessionWatchers = new Map();
 
+// Session-scoped stream subscribers from the REST API (see lib/sse.js).
+// They aren't in `clients`, so broadcast() hands them only their session's messages.
+const sessionStreams = new Set();
+
+// Map of sessionId -> Set of read-only viewers (share links, see lib/share-links.js).
+// They receive the session's broadcasts but don't count as another tab having it open.
+const sessionViewers = new Map();
+
+/**
+ * Register a read-only viewer of a session
+ * @param {string} sessionId
+ * @param {WebSocket} ws
+ */
+export function addSessionViewer(sessionId, ws) {
+  if (!sessionViewers.has(sessionId)) sessionViewers.set(sessionId, new Set());
+  sessionViewers.get(sessionId).add(ws);
+}
+
+/**
+ * Unregister a read-only viewer
+ * @param {string} sessionId
+ * @param {WebSocket} ws
+ */
+export function removeSessionViewer(sessionId, ws) {
+  const viewers = sessionViewers.get(sessionId);
+  if (!viewers) return;
+  viewers.delete(ws);
+  if (viewers.size === 0) sessionViewers.delete(sessionId);
+}
+
+function sendToViewers(sessionId, data) {
+  for (const viewer of sessionViewers.get(sessionId) || []) {
+    if (viewer.readyState === 1) {
+      viewer.send(data);
+    }
+  }
+}
+
+/**
+ * Register a session-scoped stream (receives broadcast() messages for its session)
+ * @param {{ sessionId: string|null, send: (data: string) => void }} stream
+ */
+export function addSessionStream(stream) {
+  sessionStreams.add(stream);
+}
+
+/**
+ * Unregister a session-scoped stream
+ * @param {Object} stream
+ */
+export function removeSessionStream(stream) {
+  sessionStreams.delete(stream);
+}
+
 /**
  * Register a client as watching a session
  * Notifies existing watchers that session is now shared
@@ -91,6 +145,16 @@ export function unwatchAllSessions(ws) {
   }
 }
 
+/**
+ * Check whether a client is watching a session
+ * @param {string} sessionId
+ * @param {WebSocket} ws
+ * @returns {boolean}
+ */
+export function isWatchingSession(sessionId, ws) {
+  return sessionWatchers.get(sessionId)?.has(ws) || false;
+}
+
 /**
  * Check how many clients are watching a session
  * @param {string} sessionId
@@ -113,14 +177,17 @@ export function getSessionWatcherCount(sessionId, excludeWs = null) {
  * @param {WebSocket} [excludeWs] - Optional client to exclude (the sender)
  */
 export function broadcastToSession(sessionId, message, excludeWs = null) {
-  if (!sessionWatchers.has(sessionId)) return;
+  if (!sessionWatchers.has(sessionId) && !sessionViewers.has(sessionId)) {
+    return;
+  }
 
   const data = JSON.stringify(message);
-  for (const client of sessionWatchers.get(sessionId)) {
+  for (const client of sessionWatchers.get(sessionId) || []) {
     if (client !== excludeWs && client.readyState === 1) {
       client.send(data);
     }
   }
+  sendToViewers(sessionId, data);
 }
 
 /**
@@ -134,6 +201,14 @@ export function broadcast(message) {
       client.send(data);
     }
   }
+  if (message.sessionId) {
+    for (const stream of sessionStreams) {
+      if (stream.readyState === 1 && stream.sessionId === message.sessionId) {
+        stream.send(data);
+      }
+    }
+    sendToViewers(message.sessionId, data);
+  }
 }
 
 /**
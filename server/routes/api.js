@@ -0,0 +1,337 @@
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import express from 'express';
+import { getSessionsDir, isValidProjectSlug, slugToPath } from '../config.js';
+import { cancelSessionTask } from '../events/cancel-task.js';
+import { submitPrompt } from '../events/prompt.js';
+import {
+  isAuthDisabled,
+  parseSessionCookie,
+  validateApiToken,
+  validateSession,
+} from '../lib/auth.js';
+import { logger } from '../lib/logger.js';
+import { getQueue, isQueuePaused } from '../lib/message-queue.js';
+import {
+  getPendingPermission,
+  getPendingPermissions,
+  resolvePermission,
+} from '../lib/permissions.js';
+import { getSessionsList, isValidSessionId } from '../lib/sessions.js';
+import { createSessionStream, wantsEventStream } from '../lib/sse.js';
+import { tasks } from '../lib/tasks.js';
+import { broadcastToSession, watchSession } from '../lib/ws.js';
+
+/**
+ * Headless REST + SSE API
+ *
+ * Lets scripts drive the same sessions, task queue and event stream as the web UI
+ * without speaking the WebSocket protocol. Mounted at /api/projects.
+ *
+ *   GET    /api/projects/:project/sessions                               list sessions
+ *   GET    /api/projects/:project/sessions/:session                      task status + queue
+ *   POST   /api/projects/:project/sessions/:session/prompts              run (or queue) a prompt
+ *   GET    /api/projects/:project/sessions/:session/events               SSE stream of session events
+ *   POST   /api/projects/:project/sessions/:session/cancel               cancel the running task
+ *   POST   /api/projects/:project/sessions/:session/permissions/:id      answer a permission_request
+ *
+ * :project is the Claude project slug (e.g. -home-me-myapp); :session is a session UUID,
+ * or `new` on the prompts route to start a new session.
+ */
+export const apiRouter = express.Router();
+
+const VALID_DECISIONS = new Set(['allow', 'deny', 'allow_always']);
+
+/**
+ * Auth for the REST API: session cookie (browser) or `Authorization: Bearer <token>`,
+ * where the token is API_TOKEN or a login session token.
+ */
+export function apiAuthMiddleware(req, res, next) {
+  if (isAuthDisabled()) return next();
+
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (bearer && (validateApiToken(bearer) || validateSession(bearer))) {
+    return next();
+  }
+
+  const token = parseSessionCookie(req.headers.cookie);
+  if (validateSession(token)) return next();
+
+  res.status(401).json({ error: 'Authentication required' });
+}
+
+/**
+ * Validate :project (and :session when present) before any handler runs.
+ */
+function validateParams(req, res, next) {
+  const { project, session } = req.params;
+  if (!isValidProjectSlug(project) || !existsSync(slugToPath(project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (session !== undefined && session !== 'new') {
+    if (!isValidSessionId(session)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    const jsonlPath = join(getSessionsDir(project), `${session}.jsonl`);
+    if (!existsSync(jsonlPath) && !tasks.has(session)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+  }
+  next();
+}
+
+function taskSummary(sessionId) {
+  const task = tasks.get(sessionId);
+  return {
+    sessionId,
+    status: task?.status || 'idle',
+    taskId: task?.id || null,
+    startTime: task?.startTime ? new Date(task.startTime).toISOString() : null,
+    error: task?.error || null,
+  };
+}
+
+apiRouter.use(apiAuthMiddleware);
+
+apiRouter.get('/:project/sessions', validateParams, async (req, res) => {
+  const sessions = await getSessionsList(req.params.project);
+  res.json({
+    sessions: sessions.map((s) => ({
+      ...s,
+      status: tasks.get(s.sessionId)?.status || 'idle',
+    })),
+  });
+});
+
+apiRouter.get('/:project/sessions/:session', validateParams, (req, res) => {
+  const { session } = req.params;
+  if (session === 'new') {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+  res.json({
+    ...taskSummary(session),
+    queue: getQueue(session),
+    queuePaused: isQueuePaused(session),
+    pendingPermissions: getPendingPermissions(session),
+  });
+});
+
+/**
+ * Run a prompt. Body: { prompt, model?, permissionMode?, attachments?, thinking? }
+ *
+ * Response depends on how it's called:
+ *   Accept: text/event-stream  → SSE of the turn's events; ends when the turn finishes
+ *   ?wait=1                    → 200 JSON with the final result once the turn finishes
+ *   otherwise                  → 202 JSON { sessionId, status: 'running' } once started
+ * Prompts sent while the session is busy are queued → 202 { queued: true, messageId, position }
+ * (follow the /events stream to see them run).
+ */
+apiRouter.post(
+  '/:project/sessions/:session/prompts',
+  validateParams,
+  async (req, res) => {
+    const { project } = req.params;
+    const sessionId = req.params.session === 'new' ? null : req.params.session;
+    const body = req.body || {};
+
+    if (typeof body.prompt !== 'string') {
+      return res.status(400).json({ error: 'prompt must be a string' });
+    }
+
+    const streaming = wantsEventStream(req);
+    const wait = req.query.wait === '1' || req.query.wait === 'true';
+
+    // Collect the outcome of the turn for JSON responses
+    const errors = [];
+    let result = null;
+    let didStart = false;
+    let resolveStarted;
+    const started = new Promise((resolve) => {
+      resolveStarted = resolve;
+    });
+
+    const stream = createSessionStream({
+      sessionId,
+      res: streaming ? res : undefined,
+      onMessage: (message) => {
+        if (message.type === 'session_info') {
+          didStart = true;
+          resolveStarted();
+        }
+        if (message.type === 'error') errors.push(message.message);
+        if (message.type === 'result') {
+          result = {
+            subtype: message.subtype,
+            result: message.result,
+            cost: message.cost,
+            duration: message.duration,
+          };
+        }
+      },
+    });
+
+    logger.log(
+      `[api] Prompt for ${project}/${sessionId || 'new'} (${streaming ? 'stream' : wait ? 'wait' : 'async'})`,
+    );
+
+    const run = submitPrompt(stream, project, sessionId, {
+      prompt: body.prompt,
+      model: body.model,
+      permissionMode: body.permissionMode,
+      attachments: body.attachments,
+      thinking: body.thinking,
+    });
+    run.catch((err) => logger.error('[api] Prompt failed:', err));
+
+    // Queued and validation outcomes resolve immediately; executed prompts resolve
+    // when the turn ends. For async mode we only wait until the session has started.
+    const outcome = await (streaming || wait
+      ? run
+      : Promise.race([run, started.then(() => null)]));
+
+    if (outcome?.error) {
+      if (streaming) {
+        stream.send(JSON.stringify({ type: 'error', message: outcome.error }));
+        stream.close();
+        return;
+      }
+      stream.close();
+      return res.status(400).json({ error: outcome.error });
+    }
+
+    if (outcome?.queued) {
+      const position = outcome.queue.findIndex((m) => m.id === outcome.msg.id);
+      if (streaming) {
+        stream.send(
+          JSON.stringify({
+            type: 'queued',
+            sessionId,
+            messageId: outcome.msg.id,
+            position: position + 1,
+          }),
+        );
+        stream.close();
+        return;
+      }
+      stream.close();
+      return res.status(202).json({
+        queued: true,
+        sessionId,
+        messageId: outcome.msg.id,
+        position: position + 1,
+      });
+    }
+
+    const finalSessionId = outcome?.sessionId || stream.sessionId;
+
+    if (streaming) {
+      // Closing event so consumers don't have to infer the end from task_status
+      stream.send(
+        JSON.stringify({ type: 'done', ...taskSummary(finalSessionId) }),
+      );
+      stream.close();
+      return;
+    }
+
+    stream.close();
+
+    // Rejected before the SDK started (invalid model, project outside root...)
+    if (!didStart && errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    if (wait) {
+      return res.json({ ...taskSummary(finalSessionId), result, errors });
+    }
+
+    res.status(202).json(taskSummary(finalSessionId));
+  },
+);
+
+/**
+ * SSE stream of everything the session's watchers receive (text_delta, text, tool_use,
+ * tool_result, result, error, task_status, queue_updated, permission_request...).
+ * Starts with a task_status snapshot and any pending permission requests.
+ */
+apiRouter.get(
+  '/:project/sessions/:session/events',
+  validateParams,
+  (req, res) => {
+    const { session } = req.params;
+    if (session === 'new') {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const stream = createSessionStream({ sessionId: session, res });
+    watchSession(session, stream);
+
+    const summary = taskSummary(session);
+    stream.send(
+      JSON.stringify({
+        type: 'task_status',
+        sessionId: session,
+        taskId: summary.taskId,
+        status: summary.status,
+      }),
+    );
+    for (const request of getPendingPermissions(session)) {
+      stream.send(JSON.stringify(request));
+    }
+  },
+);
+
+apiRouter.post(
+  '/:project/sessions/:session/cancel',
+  validateParams,
+  (req, res) => {
+    const { session } = req.params;
+    if (session === 'new') {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const outcome = cancelSessionTask(session);
+    if (outcome === 'not_running') {
+      return res.status(409).json({ error: 'No running task to cancel' });
+    }
+    if (outcome === 'failed') {
+      return res.status(500).json({ error: 'Failed to cancel task' });
+    }
+    res.json({ success: true, sessionId: session });
+  },
+);
+
+/**
+ * Answer a permission_request. Body: { decision: 'allow'|'deny'|'allow_always', reason? }
+ */
+apiRouter.post(
+  '/:project/sessions/:session/permissions/:requestId',
+  validateParams,
+  (req, res) => {
+    const { session, requestId } = req.params;
+    const { decision, reason } = req.body || {};
+
+    if (!VALID_DECISIONS.has(decision)) {
+      return res.status(400).json({ error: 'Invalid decision' });
+    }
+
+    const pending = getPendingPermission(requestId);
+    if (!pending || pending.sessionId !== session) {
+      return res.status(404).json({ error: 'Permission request not found' });
+    }
+
+    const denyReason =
+      typeof reason === 'string' && reason.trim()
+        ? reason.trim().slice(0, 1000)
+        : undefined;
+    resolvePermission(requestId, decision, denyReason);
+
+    broadcastToSession(session, {
+      type: 'permission_resolved',
+      requestId,
+      sessionId: session,
+      decision,
+    });
+    res.json({ success: true, requestId, decision });
+  },
+);
@@ -0,0 +1,116 @@
+import multer from 'multer';
+import { config, isValidProjectSlug } from '../config.js';
+import {
+  getAttachmentMeta,
+  getAttachmentPath,
+  isValidAttachmentId,
+  normalizeMediaType,
+  saveAttachment,
+  toDisplayAttachment,
+} from '../lib/attachments.js';
+
+/**
+ * Build a multer instance for attachments (file + optional browser thumbnail).
+ */
+function buildUpload() {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxFileSizeMb * 1024 * 1024, files: 2 },
+  });
+}
+
+/**
+ * POST /api/attachments
+ *
+ * multipart/form-data fields:
+ *   file     — image (png/jpeg/gif/webp), PDF, or text/markdown file (required)
+ *   thumb    — JPEG preview generated client-side (optional, images only)
+ *   project  — project slug the attachment belongs to (required)
+ *
+ * Responds with { id, name, mediaType, kind, url, thumbUrl }.
+ * The id is passed as `attachments: [id]` in the next `prompt` event.
+ */
+export function attachmentUploadHandler(req, res) {
+  const upload = buildUpload();
+
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'thumb', maxCount: 1 },
+  ])(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `File exceeds upload limit (${config.maxFileSizeMb} MB)`,
+        });
+      }
+      return res.status(400).json({ error: err.message });
+    }
+
+    const file = req.files?.file?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    const { project } = req.body;
+    if (!isValidProjectSlug(project)) {
+      return res.status(400).json({ error: 'Invalid project' });
+    }
+
+    const mediaType = normalizeMediaType(file.mimetype, file.originalname);
+    if (!mediaType) {
+      return res.status(415).json({
+        error: `Unsupported file type: ${file.mimetype || 'unknown'}. Attach images, PDFs, or text files.`,
+      });
+    }
+
+    // Thumbnails are only kept for images and must be JPEG (generated by the client canvas)
+    const thumb = req.files?.thumb?.[0];
+    const thumbnail =
+      thumb && mediaType.startsWith('image/') && thumb.mimetype === 'image/jpeg'
+        ? thumb.buffer
+        : undefined;
+
+    try {
+      const meta = await saveAttachment(project, {
+        buffer: file.buffer,
+        name: file.originalname,
+        mediaType,
+        thumbnail,
+      });
+      res.json(toDisplayAttachment(project, meta));
+    } catch (saveErr) {
+      res.status(400).json({ error: saveErr.message || 'Upload failed' });
+    }
+  });
+}
+
+/**
+ * GET /api/attachments/:project/:id         — original file
+ * GET /api/attachments/:project/:id/thumb   — JPEG thumbnail
+ */
+export async function attachmentDownloadHandler(req, res) {
+  const { project, id } = req.params;
+  if (!isValidProjectSlug(project) || !isValidAttachmentId(id)) {
+    return res.status(400).json({ error: 'Invalid attachment' });
+  }
+
+  const variant = req.path.endsWith('/thumb') ? 'thumb' : 'file';
+  const meta = await getAttachmentMeta(project, id);
+  const filePath = getAttachmentPath(project, id, variant);
+  if (!meta || !filePath) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (variant === 'thumb') {
+    res.type('image/jpeg');
+  } else {
+    res.type(meta.mediaType);
+    // Only images render inline; everything else downloads
+    if (meta.kind !== 'image') {
+      res.attachment(meta.name);
+    }
+  }
+  res.sendFile(filePath);
+}
@@ -0,0 +1,149 @@
+/**
+ * Share Link WebSocket Handler
+ *
+ * Connections to /ws/share?token=… (see lib/share-links.js). The token grants
+ * read-only access to one session: its history on connect, live output while a
+ * turn runs, and older turns on request. Every other event is refused, and the
+ * connection is closed when the link is revoked or expires.
+ */
+
+import { getProjectDisplayName } from './config.js';
+import { handler as loadOlderMessages } from './events/load-older-messages.js';
+import { logger } from './lib/logger.js';
+import { getTitle } from './lib/session-titles.js';
+import { loadSessionHistory } from './lib/sessions.js';
+import {
+  addShareViewer,
+  closeShareViewers,
+  resolveShareLink,
+} from './lib/share-links.js';
+import { tasks } from './lib/tasks.js';
+import { addSessionViewer, removeSessionViewer, send } from './lib/ws.js';
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Handle a share link viewer
+ * @param {WebSocket} ws
+ * @param {Object} link - Resolved share link
+ */
+export function handleShareWebSocket(ws, link) {
+  const { projectSlug, sessionId } = link;
+  logger.log(`Share viewer connected (session ${sessionId})`);
+
+  const removeViewer = addShareViewer(link.id, ws);
+  addSessionViewer(sessionId, ws);
+
+  let expiryTimer = null;
+  const armExpiry = () => {
+    const remaining = new Date(link.expiresAt) - Date.now();
+    if (remaining <= 0) {
+      closeShareViewers(link.id, 'expired');
+      return;
+    }
+    expiryTimer = setTimeout(armExpiry, Math.min(remaining, MAX_TIMER_MS));
+  };
+  armExpiry();
+
+  // Only pagination of the shared session is allowed
+  const context = { currentProjectPath: projectSlug, currentSessionId: null };
+
+  ws.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+      if (!resolveShareLink(link.token)) {
+        closeShareViewers(link.id, 'expired');
+        return;
+      }
+      if (
+        message.type === 'load_older_messages' &&
+        message.sessionId === sessionId
+      ) {
+        await loadOlderMessages(ws, message, context);
+      } else {
+        send(ws, {
+          type: 'error',
+          sessionId,
+          message: 'This share link is read-only',
+        });
+      }
+    } catch (err) {
+      logger.error('Share message handling error:', err);
+      send(ws, {
+        type: 'error',
+        sessionId: message?.sessionId,
+        message: 'An internal error occurred',
+      });
+    }
+  });
+
+  const cleanup = () => {
+    clearTimeout(expiryTimer);
+    removeViewer();
+    removeSessionViewer(sessionId, ws);
+  };
+  ws.on('close', () => {
+    cleanup();
+    logger.log(`Share viewer disconnected (session ${sessionId})`);
+  });
+  ws.on('error', (err) => {
+    logger.error('Share WebSocket error:', err);
+    cleanup();
+  });
+
+  sendSnapshot(ws, link).catch((err) => {
+    logger.error('Failed to load shared session:', err);
+    send(ws, {
+      type: 'error',
+      sessionId,
+      message: 'Failed to load session history',
+    });
+  });
+}
+
+// Same opening sequence as select_session, minus anything that needs a login
+async function sendSnapshot(ws, link) {
+  const { projectSlug, sessionId } = link;
+  const history = await loadSessionHistory(projectSlug, sessionId, {
+    loadLastTurn: true,
+  });
+  const firstPrompt = history.messages.find((m) => m.type === 'user')?.content;
+
+  send(ws, {
+    type: 'share_session',
+    projectSlug,
+    projectName: getProjectDisplayName(projectSlug),
+    sessionId,
+    title:
+      getTitle(projectSlug, sessionId) ||
+      firstPrompt?.split('\n')[0].slice(0, 100) ||
+      null,
+    expiresAt: link.expiresAt,
+  });
+
+  // A task without an abort controller is left over from before a restart
+  const task = tasks.get(sessionId);
+  const running = task?.status === 'running' && !!task.abortController;
+  send(ws, {
+    type: 'task_status',
+    sessionId,
+    taskId: task?.id || null,
+    ...(running && task.retry
+      ? { status: 'retrying', retry: task.retry }
+      : { status: running ? 'running' : 'idle' }),
+  });
+
+  send(ws, {
+    type: 'session_history',
+    sessionId,
+    messages: history.messages,
+    hasOlderMessages: history.hasOlderMessages,
+    summaryCount: history.summaryCount,
+    totalEntries: history.totalEntries,
+    totalTurns: history.totalTurns,
+    loadedTurns: history.loadedTurns,
+    offset: history.effectiveOffset,
+  });
+}
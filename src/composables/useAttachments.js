@@ -0,0 +1,144 @@
+import { computed, ref } from 'vue';
+
+// Keep in sync with ATTACHMENT_TYPES / MAX_ATTACHMENTS_PER_PROMPT in server/lib/attachments.js
+export const ACCEPTED_ATTACHMENT_TYPES =
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,.md,.txt';
+const MAX_ATTACHMENTS = 10;
+const THUMB_SIZE = 240;
+
+/**
+ * Downscale an image file to a small JPEG for history thumbnails.
+ * Returns null if the browser can't decode it (the upload still works without one).
+ */
+async function createThumbnail(file) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(
+      1,
+      THUMB_SIZE / Math.max(bitmap.width, bitmap.height),
+    );
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    // JPEG has no alpha — paint a background so transparent PNGs don't turn black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    return await new Promise((resolve) =>
+      canvas.toBlob(resolve, 'image/jpeg', 0.8),
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pending prompt attachments for a chat input.
+ * Files are uploaded as soon as they are added; the returned IDs go into the
+ * next `prompt` message.
+ *
+ * @param {import('vue').Ref<string>} projectSlug
+ */
+export function useAttachments(projectSlug) {
+  // [{ localId, id, name, kind, previewUrl, status: 'uploading'|'done'|'error', error }]
+  const pendingAttachments = ref([]);
+  let _localCounter = 0;
+
+  const isUploading = computed(() =>
+    pendingAttachments.value.some((a) => a.status === 'uploading'),
+  );
+
+  const readyIds = computed(() =>
+    pendingAttachments.value
+      .filter((a) => a.status === 'done')
+      .map((a) => a.id),
+  );
+
+  async function uploadOne(entry, file) {
+    const formData = new FormData();
+    formData.append('file', file, file.name || 'pasted-image.png');
+    formData.append('project', projectSlug.value);
+    if (entry.kind === 'image') {
+      const thumb = await createThumbnail(file);
+      if (thumb) formData.append('thumb', thumb, 'thumb.jpg');
+    }
+
+    try {
+      const res = await fetch('/api/attachments', {
+        method: 'POST',
+        credentials: 'include',
+        body: formData,
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        entry.status = 'error';
+        entry.error = body.error || `Upload failed (${res.status})`;
+        return;
+      }
+      // Same bytes pasted twice resolve to the same ID — keep one chip
+      if (
+        pendingAttachments.value.some(
+          (a) => a !== entry && a.id === body.id && a.status === 'done',
+        )
+      ) {
+        remove(entry.localId);
+        return;
+      }
+      entry.id = body.id;
+      entry.status = 'done';
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err.message || 'Network error';
+    }
+  }
+
+  /**
+   * Add and upload files (from paste, drop, or the file picker).
+   * @param {File[]|FileList} files
+   */
+  function addFiles(files) {
+    for (const file of Array.from(files)) {
+      if (pendingAttachments.value.length >= MAX_ATTACHMENTS) break;
+      const kind = file.type.startsWith('image/') ? 'image' : 'document';
+      pendingAttachments.value.push({
+        localId: ++_localCounter,
+        id: null,
+        name: file.name || 'pasted-image.png',
+        kind,
+        previewUrl: kind === 'image' ? URL.createObjectURL(file) : null,
+        status: 'uploading',
+        error: null,
+      });
+      // Mutate through the reactive proxy so status changes re-render
+      const entry =
+        pendingAttachments.value[pendingAttachments.value.length - 1];
+      uploadOne(entry, file);
+    }
+  }
+
+  function remove(localId) {
+    const entry = pendingAttachments.value.find((a) => a.localId === localId);
+    if (entry?.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    pendingAttachments.value = pendingAttachments.value.filter(
+      (a) => a.localId !== localId,
+    );
+  }
+
+  function clear() {
+    for (const entry of pendingAttachments.value) {
+      if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    }
+    pendingAttachments.value = [];
+  }
+
+  return {
+    pendingAttachments,
+    isUploading,
+    readyIds,
+    addFiles,
+    remove,
+    clear,
+  };
+}
@@ -12,6 +12,10 @@ const sessions = ref([]);
 const recentSessions = ref([]);
 const folderContents = ref([]);
 const currentFolder = ref(null);
+// Custom slash commands (.claude/commands) for the project last requested
+const slashCommands = ref([]);
+// Prompt templates (global + project last requested)
+const promptTemplates = ref([]);
 // Track task status per session for sidebar indicators
 // Map of sessionId -> { status: 'running' | 'completed' | 'error', timestamp }
 const sessionStatuses = ref(new Map());
@@ -267,6 +271,16 @@ function handleGlobalMessage(msg) {
       currentFolder.value = msg.path;
       break;
 
+    case 'commands:list':
+      slashCommands.value = msg.commands || [];
+      break;
+
+    case 'templates:list':
+    case 'templates:saved':
+    case 'templates:removed':
+      if (msg.templates) promptTemplates.value = msg.templates;
+      break;
+
     case 'session_title_updated':
       // Update title in sessions list
       if (msg.success) {
@@ -279,11 +293,40 @@ function handleGlobalMessage(msg) {
       }
       break;
 
+    case 'session_meta_updated':
+      // Update tags / pinned / archived in sessions lists
+      if (msg.sessions) {
+        const applyMeta = (s) => {
+          const meta = msg.sessions[s.sessionId];
+          if (!meta) return s;
+          return {
+            ...s,
+            tags: meta.tags || [],
+            pinned: !!meta.pinned,
+            archived: !!meta.archived,
+          };
+        };
+        const recentIds = new Set(recentSessions.value.map((s) => s.sessionId));
+        sessions.value = sessions.value.map(applyMeta);
+        recentSessions.value = recentSessions.value
+          .map(applyMeta)
+          .filter((s) => !s.archived);
+        // Unarchived (or newly pinned) sessions may belong in the recent list
+        if (
+          Object.entries(msg.sessions).some(
+            ([id, meta]) => !meta.archived && !recentIds.has(id),
+          )
+        ) {
+          getRecentSessions();
+        }
+      }
+      break;
+
     case 'task_status':
       // Track session task status for sidebar indicators
       if (msg.sessionId) {
         const newStatuses = new Map(sessionStatuses.value);
-        if (msg.status === 'running') {
+        if (msg.status === 'running' || msg.status === 'retrying') {
           newStatuses.set(msg.sessionId, {
             status: 'running',
             timestamp: Date.now(),
@@ -598,6 +641,14 @@ function browseFolder(path) {
   sendGlobal({ type: 'browse_folder', path });
 }
 
+function getSlashCommands(projectSlug) {
+  sendGlobal({ type: 'commands:list', projectSlug: projectSlug || undefined });
+}
+
+function getPromptTemplates(projectSlug) {
+  sendGlobal({ type: 'templates:list', projectSlug: projectSlug || null });
+}
+
 function createFolder(folderPath) {
   sendGlobal({ type: 'files:create', path: folderPath, isDirectory: true });
 }
@@ -610,6 +661,15 @@ function deleteSessionGlobal(sessionId) {
   sendGlobal({ type: 'delete_session', sessionId });
 }
 
+function deleteSessionsGlobal(sessionIds) {
+  sendGlobal({ type: 'delete_session', sessionIds });
+}
+
+// changes: { addTags?, removeTags?, pinned?, archived? }
+function setSessionMeta(sessionIds, changes) {
+  sendGlobal({ type: 'set_session_meta', sessionIds, ...changes });
+}
+
 function dismissUpdate(version) {
   localStorage.setItem(`dismissed-update:${version}`, 'true');
   updateAvailable.value = null;
@@ -806,6 +866,8 @@ export function useWebSocket() {
     sessionsReady: readonly(sessionsReady),
     folderContents: readonly(folderContents),
     currentFolder: readonly(currentFolder),
+    slashCommands: readonly(slashCommands),
+    promptTemplates: readonly(promptTemplates),
     sessionStatuses: readonly(sessionStatuses),
     terminalCounts: readonly(terminalCounts),
     currentVersion: readonly(currentVersion),
@@ -849,8 +911,12 @@ export function useWebSocket() {
     getRecentSessionsForPalette,
     browseFolder,
     createFolder,
+    getSlashCommands,
+    getPromptTemplates,
     setSessionTitle,
     deleteSession: deleteSessionGlobal,
+    deleteSessions: deleteSessionsGlobal,
+    setSessionMeta,
     dismissUpdate,
 
     // Tasks panel
@@ -908,8 +974,11 @@ export function setBoardColumnOrder(order) {
 /**
  * Create a scoped WebSocket connection for a chat session
  * Each call creates a new independent connection with its own state
+ * @param {Object} [options]
+ * @param {string} [options.shareToken] - Connect read-only through a share link
+ *   (/ws/share) instead of the logged-in socket; the server sends the session
  */
-export function useChatWebSocket() {
+export function useChatWebSocket({ shareToken = null } = {}) {
   // Per-instance state
   const connected = ref(false);
   const connectionState = ref('disconnected'); // 'connected' | 'connecting' | 'disconnected'
@@ -917,7 +986,10 @@ export function useChatWebSocket() {
   const currentProject = ref(null);
   const currentSession = ref(null);
   const sessionTitle = ref(null);
+  const titleGenerating = ref(false); // Regenerate title request in flight
   const taskStatus = ref('idle');
+  const retryStatus = ref(null); // { attempt, maxAttempts, delayMs, retryAt, reason } while retrying
+  const interruptedTask = ref(null); // { prompt, options, fromQueue, startedAt, interruptedAt } after a restart cut a turn off
   const hasOlderMessages = ref(false);
   const summaryCount = ref(0);
   const sessionActiveElsewhere = ref(false); // True if session is open in another tab
@@ -938,22 +1010,48 @@ export function useChatWebSocket() {
   // Message queue state — prompts queued while a task is running
   const queuedMessages = ref([]); // Array of { id, prompt, options, queuedAt }
   const queueSize = computed(() => queuedMessages.value.length);
+  const queuePaused = ref(false); // Paused queues don't auto-run (set by pause or cancel)
 
   // Pending AskUserQuestion waiting for user response
   const pendingQuestion = ref(null); // { toolUseId, questions }
 
+  // Tool permission requests waiting for approval (oldest first)
+  const pendingPermissions = ref([]); // Array of { requestId, toolName, input, expiresAt, ... }
+
+  // Rewind state — turns with file checkpoints, and how this session relates to a rewind
+  const checkpoints = ref([]); // Array of { id, userUuid, prompt, createdAt, files }
+  const pendingRewinds = ref([]); // Rewinds of this session with no branch that can be redone
+  const rewoundFrom = ref(null); // { parentSessionId, rewindId, redone } when this is a rewind branch
+
+  // Cost budget state for this session — { exceeded, scope, message, limits, spend }
+  const budgetStatus = ref(null);
+
+  // Token totals and context-window fill — { contextTokens, contextWindow, contextPercent, nearCompaction, ... }
+  const sessionUsage = ref(null);
+
   // Terminal state
   const terminalProcesses = ref([]); // Array of process entries
 
+  // Share link state — { projectSlug, projectName, sessionId, title, expiresAt }
+  const shareInfo = ref(null);
+  const shareEnded = ref(null); // 'revoked' | 'expired' once the link stops working
+
   let ws = null;
   let reconnectTimeout = null;
   const messageHandlers = new Set();
 
+  // Streamed text deltas are applied at most once per frame — re-rendering the
+  // markdown on every token is too slow on mobile
+  let pendingDeltas = [];
+  let deltaFrame = null;
+
   function connect() {
     if (ws && ws.readyState === WebSocket.OPEN) return;
 
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
+    const wsUrl = shareToken
+      ? `${protocol}//${window.location.host}/ws/share?token=${encodeURIComponent(shareToken)}`
+      : `${protocol}//${window.location.host}/ws`;
 
     connectionState.value = 'connecting';
     ws = new WebSocket(wsUrl);
@@ -990,6 +1088,56 @@ export function useChatWebSocket() {
     };
   }
 
+  function flushTextDeltas() {
+    if (deltaFrame !== null) {
+      cancelAnimationFrame(deltaFrame);
+      deltaFrame = null;
+    }
+    const deltas = pendingDeltas;
+    pendingDeltas = [];
+    for (const delta of deltas) {
+      const streaming = messages.value.findLast(
+        (m) => m.streaming && m.streamId === delta.streamId,
+      );
+      if (streaming) {
+        streaming.content += delta.content;
+      } else {
+        messages.value.push({
+          type: 'text',
+          content: delta.content,
+          streamId: delta.streamId,
+          streaming: true,
+          model: delta.model,
+          sessionId: delta.sessionId,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  }
+
+  function discardTextDeltas() {
+    if (deltaFrame !== null) {
+      cancelAnimationFrame(deltaFrame);
+      deltaFrame = null;
+    }
+    pendingDeltas = [];
+  }
+
+  // Append a streamed message; a complete text block replaces its streamed version
+  function appendMessage(msg) {
+    flushTextDeltas();
+    if (msg.type === 'text' && msg.streamId) {
+      const index = messages.value.findLastIndex(
+        (m) => m.streaming && m.streamId === msg.streamId,
+      );
+      if (index !== -1) {
+        messages.value[index] = msg;
+        return;
+      }
+    }
+    messages.value.push(msg);
+  }
+
   function handleMessage(msg) {
     switch (msg.type) {
       case 'connected':
@@ -1046,6 +1194,22 @@ export function useChatWebSocket() {
         // and will be refreshed by listProcesses() in ChatView.vue
         break;
 
+      case 'share_session':
+        shareInfo.value = msg;
+        currentProject.value = {
+          slug: msg.projectSlug,
+          name: msg.projectName,
+        };
+        currentSession.value = msg.sessionId;
+        sessionTitle.value = msg.title;
+        break;
+
+      case 'share_ended':
+        shareEnded.value = msg.reason;
+        // The link is dead — don't reconnect when the server closes the socket
+        disconnect();
+        break;
+
       case 'session_active_elsewhere':
         sessionActiveElsewhere.value = msg.isActiveElsewhere;
         break;
@@ -1094,6 +1258,18 @@ export function useChatWebSocket() {
         // Only update task status if it's for the current session
         if (msg.sessionId === currentSession.value) {
           taskStatus.value = msg.status;
+          retryStatus.value = msg.status === 'retrying' ? msg.retry : null;
+          // A new turn replaces the interrupted one server-side
+          if (msg.status === 'running' || msg.status === 'retrying') {
+            interruptedTask.value = null;
+          }
+          // A cancelled or failed turn never sends the complete block — keep the partial text
+          if (msg.status !== 'running') {
+            flushTextDeltas();
+            for (const m of messages.value) {
+              if (m.streaming) m.streaming = false;
+            }
+          }
         }
         // Note: Session list refresh is handled by global WS handler (debounced)
         break;
@@ -1117,14 +1293,34 @@ export function useChatWebSocket() {
         break;
 
       case 'session_title_updated':
-        if (msg.success) {
+        // Titles of other sessions are broadcast too (e.g. generated in the background)
+        if (
+          msg.success &&
+          (!msg.sessionId || msg.sessionId === currentSession.value)
+        ) {
           sessionTitle.value = msg.title;
         }
         break;
 
+      case 'session_titles_progress':
+        if (msg.finished) titleGenerating.value = false;
+        break;
+
+      // Token deltas are buffered and flushed once per frame
+      case 'text_delta':
+        if (msg.sessionId === currentSession.value || !currentSession.value) {
+          pendingDeltas.push(msg);
+          if (deltaFrame === null) {
+            deltaFrame = requestAnimationFrame(flushTextDeltas);
+          }
+        }
+        break;
+
       // Streaming messages - only append if belongs to current session
       case 'user':
       case 'text':
+      case 'thinking':
+      case 'hook':
       case 'tool_use':
       case 'tool_result':
       case 'result':
@@ -1136,12 +1332,12 @@ export function useChatWebSocket() {
         //    because server assigns ID before we receive session_info
         if (msg.sessionId && msg.sessionId === currentSession.value) {
           // Case 1: Normal - session IDs match
-          messages.value.push(msg);
+          appendMessage(msg);
         } else if (!currentSession.value) {
           // Case 2: New session creation - currentSession is null
           // Accept messages from the new session being created
           // (server assigns ID before session_info arrives)
-          messages.value.push(msg);
+          appendMessage(msg);
         } else {
           // Mismatch - different session's message
           console.warn(
@@ -1246,11 +1442,67 @@ export function useChatWebSocket() {
         }
         break;
 
+      // Tool permission events (canUseTool)
+      case 'permission_request':
+        // New sessions receive requests before session_info, so accept while currentSession is null
+        if (
+          (msg.sessionId === currentSession.value || !currentSession.value) &&
+          !pendingPermissions.value.some((p) => p.requestId === msg.requestId)
+        ) {
+          pendingPermissions.value = [...pendingPermissions.value, msg];
+        }
+        break;
+
+      case 'permission_resolved':
+        pendingPermissions.value = pendingPermissions.value.filter(
+          (p) => p.requestId !== msg.requestId,
+        );
+        break;
+
       case 'queue_state':
       case 'queue_updated':
         // Only update queue if it's for the current session
         if (msg.sessionId === currentSession.value) {
           queuedMessages.value = msg.queue || [];
+          queuePaused.value = msg.paused || false;
+        }
+        break;
+
+      case 'checkpoints':
+        if (msg.sessionId === currentSession.value) {
+          checkpoints.value = msg.checkpoints || [];
+          pendingRewinds.value = msg.pendingRewinds || [];
+          rewoundFrom.value = msg.rewoundFrom || null;
+        }
+        break;
+
+      case 'checkpoint_saved':
+        if (msg.sessionId === currentSession.value && msg.checkpoint.userUuid) {
+          checkpoints.value = [...checkpoints.value, msg.checkpoint];
+          // Live user messages have no transcript UUID until the turn is saved
+          const pending = messages.value.findLast(
+            (m) => m.type === 'user' && !m.uuid,
+          );
+          if (pending) pending.uuid = msg.checkpoint.userUuid;
+        }
+        break;
+
+      case 'session_usage':
+        if (msg.sessionId === currentSession.value || !currentSession.value) {
+          sessionUsage.value = msg.usage;
+        }
+        break;
+
+      case 'interrupted_task':
+        if (msg.sessionId === currentSession.value) {
+          interruptedTask.value = msg.interrupted;
+        }
+        break;
+
+      case 'budget_status':
+        // sessionId is null when a prompt for a new session was refused
+        if (msg.sessionId === currentSession.value) {
+          budgetStatus.value = msg;
         }
         break;
     }
@@ -1288,16 +1540,27 @@ export function useChatWebSocket() {
     // where streaming messages from other sessions arrive before server responds
     currentSession.value = sessionId;
     messages.value = [];
+    discardTextDeltas();
     hasOlderMessages.value = false;
     summaryCount.value = 0;
     sessionTitle.value = null;
     taskStatus.value = 'idle'; // Reset task status when switching sessions
+    retryStatus.value = null;
+    interruptedTask.value = null; // Server sends interrupted_task on select
     queuedMessages.value = []; // Clear queue until server sends queue_state
+    queuePaused.value = false;
+    pendingPermissions.value = []; // Server re-sends pending requests on select
+    checkpoints.value = [];
+    pendingRewinds.value = [];
+    rewoundFrom.value = null;
+    budgetStatus.value = null; // Server sends budget_status on select
+    sessionUsage.value = null; // ...and session_usage
     // Reset contextReady until server acknowledges session selection
     contextReady.value = false;
     send({ type: 'select_session', sessionId, ...options });
-    // Also get the session title
+    // Also get the session title and rewind checkpoints
     send({ type: 'get_session_title', sessionId });
+    send({ type: 'get_checkpoints', sessionId });
   }
 
   function setSessionTitleChat(title) {
@@ -1310,6 +1573,18 @@ export function useChatWebSocket() {
     }
   }
 
+  // Replace the title (even one set by hand) with a newly generated one
+  function regenerateSessionTitle() {
+    if (currentSession.value && !titleGenerating.value) {
+      titleGenerating.value = true;
+      send({
+        type: 'generate_session_titles',
+        sessionIds: [currentSession.value],
+        regenerate: true,
+      });
+    }
+  }
+
   function getSessionTitle() {
     if (currentSession.value) {
       send({ type: 'get_session_title', sessionId: currentSession.value });
@@ -1345,6 +1620,7 @@ export function useChatWebSocket() {
     // The server will send back session_info with the new sessionId
     currentSession.value = null;
     messages.value = [];
+    discardTextDeltas();
     sessionTitle.value = null;
     hasOlderMessages.value = false;
     totalTurns.value = 0;
@@ -1352,7 +1628,16 @@ export function useChatWebSocket() {
     messagesOffset.value = 0;
     summaryCount.value = 0;
     taskStatus.value = 'idle'; // Reset task status for new session
+    retryStatus.value = null;
+    interruptedTask.value = null;
     queuedMessages.value = []; // New session has no queued messages
+    queuePaused.value = false;
+    pendingPermissions.value = [];
+    checkpoints.value = [];
+    pendingRewinds.value = [];
+    rewoundFrom.value = null;
+    budgetStatus.value = null;
+    sessionUsage.value = null;
     // Reset contextReady until server acknowledges (sends session_selected)
     contextReady.value = false;
     send({ type: 'new_session', ...options });
@@ -1366,6 +1651,10 @@ export function useChatWebSocket() {
           'This can happen after reconnect - prompt may go to wrong session.',
       );
     }
+    // Limits may have been raised since — the server re-sends budget_status if still exceeded
+    if (budgetStatus.value?.exceeded) {
+      budgetStatus.value = null;
+    }
     send({ type: 'prompt', prompt, ...options });
   }
 
@@ -1373,6 +1662,14 @@ export function useChatWebSocket() {
     send({ type: 'cancel_task' });
   }
 
+  function continueInterruptedTask() {
+    send({ type: 'continue_task' });
+  }
+
+  function dismissInterruptedTask() {
+    send({ type: 'dismiss_interrupted' });
+  }
+
   function deleteQueuedMessage(messageId) {
     send({ type: 'queue:delete', messageId });
   }
@@ -1381,6 +1678,33 @@ export function useChatWebSocket() {
     send({ type: 'queue:clear' });
   }
 
+  function editQueuedMessage(messageId, prompt) {
+    send({ type: 'queue:edit', messageId, prompt });
+  }
+
+  function moveQueuedMessage(messageId, toIndex) {
+    send({ type: 'queue:move', messageId, toIndex });
+  }
+
+  function setQueuePaused(paused) {
+    send({ type: paused ? 'queue:pause' : 'queue:resume' });
+  }
+
+  // Rewind actions
+  function rewindSession(messageUuid) {
+    if (currentSession.value) {
+      send({
+        type: 'rewind_session',
+        sessionId: currentSession.value,
+        messageUuid,
+      });
+    }
+  }
+
+  function redoRewind(sessionId, rewindId) {
+    send({ type: 'redo_rewind', sessionId, rewindId });
+  }
+
   function onMessage(handler) {
     messageHandlers.add(handler);
     return () => messageHandlers.delete(handler);
@@ -1428,6 +1752,19 @@ export function useChatWebSocket() {
     pendingQuestion.value = null;
   }
 
+  function respondPermission(requestId, decision, reason = '') {
+    send({
+      type: 'permission_response',
+      requestId,
+      decision,
+      ...(reason && { reason }),
+    });
+    // Optimistically drop it — server confirms with permission_resolved
+    pendingPermissions.value = pendingPermissions.value.filter(
+      (p) => p.requestId !== requestId,
+    );
+  }
+
   function clearTaskStatus() {
     taskStatus.value = 'idle';
   }
@@ -1470,7 +1807,10 @@ export function useChatWebSocket() {
     currentProject: readonly(currentProject),
     currentSession: readonly(currentSession),
     sessionTitle: readonly(sessionTitle),
+    titleGenerating: readonly(titleGenerating),
     taskStatus: readonly(taskStatus),
+    retryStatus: readonly(retryStatus),
+    interruptedTask: readonly(interruptedTask),
     projectStatus: readonly(projectStatus),
     hasOlderMessages: readonly(hasOlderMessages),
     summaryCount: readonly(summaryCount),
@@ -1482,8 +1822,17 @@ export function useChatWebSocket() {
     totalTurns: readonly(totalTurns),
     loadedTurns: readonly(loadedTurns),
     pendingQuestion: readonly(pendingQuestion),
+    pendingPermissions: readonly(pendingPermissions),
     queuedMessages: readonly(queuedMessages),
     queueSize,
+    queuePaused: readonly(queuePaused),
+    checkpoints: readonly(checkpoints),
+    pendingRewinds: readonly(pendingRewinds),
+    rewoundFrom: readonly(rewoundFrom),
+    budgetStatus: readonly(budgetStatus),
+    sessionUsage: readonly(sessionUsage),
+    shareInfo: readonly(shareInfo),
+    shareEnded: readonly(shareEnded),
 
     // Connection
     connect,
@@ -1498,9 +1847,12 @@ export function useChatWebSocket() {
     newSession,
     sendPrompt,
     cancelTask,
+    continueInterruptedTask,
+    dismissInterruptedTask,
     onMessage,
     clearMessages,
     setSessionTitle: setSessionTitleChat,
+    regenerateSessionTitle,
     getSessionTitle,
 
     // Terminal actions
@@ -1516,9 +1868,19 @@ export function useChatWebSocket() {
     // Question answering
     answerQuestion,
 
+    // Tool permissions
+    respondPermission,
+
     // Queue actions
     deleteQueuedMessage,
     clearQueuedMessages,
+    editQueuedMessage,
+    moveQueuedMessage,
+    setQueuePaused,
+
+    // Rewind actions
+    rewindSession,
+    redoRewind,
 
     // Direct send
     send,
@@ -8,6 +8,13 @@ const routes = [
     component: () => import('../views/AuthView.vue'),
     meta: { public: true },
   },
+  {
+    // Read-only view of one session through a share link (no login, no app shell)
+    path: '/share/:token',
+    name: 'share',
+    component: () => import('../views/SharedSessionView.vue'),
+    meta: { public: true, standalone: true },
+  },
   {
     path: '/',
     name: 'projects',
@@ -18,6 +25,11 @@ const routes = [
     name: 'sessions',
     component: () => import('../views/SessionsView.vue'),
   },
+  {
+    path: '/project/:project/settings',
+    name: 'project-settings',
+    component: () => import('../views/ProjectSettingsView.vue'),
+  },
   {
     path: '/project/:project/session/:session',
     name: 'chat',
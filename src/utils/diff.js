@@ -0,0 +1,57 @@
+import * as Diff from 'diff';
+
+/**
+ * Line-by-line diff of two texts, numbered on both sides
+ * (used by DiffViewer and the HTML session export)
+ * @param {string} oldContent
+ * @param {string} newContent
+ * @returns {Array<{type: 'added'|'removed'|'unchanged', oldLineNum: number|null, newLineNum: number|null, content: string}>}
+ */
+export function computeDiffLines(oldContent, newContent) {
+  const changes = Diff.diffLines(oldContent, newContent);
+  const lines = [];
+  let oldLineNum = 1;
+  let newLineNum = 1;
+
+  for (const change of changes) {
+    const content = change.value;
+    // Split once and filter out trailing empty string from final newline
+    const splitLines = content.split('\n');
+    // If content ends with \n, the last element will be empty string - remove it
+    if (splitLines.length > 1 && splitLines[splitLines.length - 1] === '') {
+      splitLines.pop();
+    }
+
+    if (change.added) {
+      for (const line of splitLines) {
+        lines.push({
+          type: 'added',
+          oldLineNum: null,
+          newLineNum: newLineNum++,
+          content: line,
+        });
+      }
+    } else if (change.removed) {
+      for (const line of splitLines) {
+        lines.push({
+          type: 'removed',
+          oldLineNum: oldLineNum++,
+          newLineNum: null,
+          content: line,
+        });
+      }
+    } else {
+      // Unchanged lines
+      for (const line of splitLines) {
+        lines.push({
+          type: 'unchanged',
+          oldLineNum: oldLineNum++,
+          newLineNum: newLineNum++,
+          content: line,
+        });
+      }
+    }
+  }
+
+  return lines;
+}
@@ -125,6 +125,15 @@ const TOOL_CONFIG = {
       type: 'text',
     }),
   },
+  // Subagent tool (named Task in older CLI versions)
+  Agent: {
+    icon: '🤖',
+    getDisplay: (input) => ({
+      primary: input.description || 'Run agent task',
+      secondary: input.prompt ? truncate(input.prompt, 100) : null,
+      type: 'text',
+    }),
+  },
 
   // Web operations
   WebFetch: {
@@ -243,3 +252,14 @@ export function formatToolCompact(tool, input = {}) {
     type: display.type,
   };
 }
+
+/**
+ * Short outcome label for a hook run ('hook' chat message)
+ * @param {object} hook - { outcome: 'success'|'error'|'cancelled', exitCode }
+ * @returns {string} e.g. "ok", "failed (exit 2)", "cancelled"
+ */
+export function formatHookOutcome(hook) {
+  if (hook.outcome === 'success') return 'ok';
+  if (hook.outcome === 'cancelled') return 'cancelled';
+  return hook.exitCode != null ? `failed (exit ${hook.exitCode})` : 'failed';
+}
@@ -0,0 +1,29 @@
+// Mirrors server/lib/prompt-templates.js
+const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Placeholder names used in a template body, in order of first use
+ * @param {string} body - Template text with {{variable}} placeholders
+ * @returns {string[]}
+ */
+export function extractVariables(body) {
+  const names = [];
+  for (const match of body.matchAll(VARIABLE_RE)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Replace {{variable}} placeholders; variables without a value are left as-is
+ * @param {string} body - Template text
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function renderTemplate(body, values) {
+  return body.replace(VARIABLE_RE, (placeholder, name) =>
+    typeof values[name] === 'string' && values[name] !== ''
+      ? values[name]
+      : placeholder,
+  );
+}
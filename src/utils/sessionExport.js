@@ -0,0 +1,484 @@
+import hljsCss from 'highlight.js/styles/github-dark.css?inline';
+import { computeDiffLines } from './diff.js';
+import { formatToolDisplay } from './format.js';
+import { renderMarkdown } from './markdown.js';
+
+// Tool output past this is cut in Markdown/HTML (JSON keeps everything)
+const MAX_TOOL_RESULT_CHARS = 20000;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+};
+
+/**
+ * Render a session transcript (a session_export message) for download
+ * @param {Object} session - { projectSlug, projectName, sessionId, title, messages }
+ * @param {'markdown'|'html'|'json'} format
+ * @param {Object} options - { includeToolResults: boolean, includeThinking: boolean }
+ * @returns {string}
+ */
+export function exportSession(session, format, options = {}) {
+  const messages = normalizeMessages(session.messages, options);
+  if (format === 'html') return toHtml(session, messages);
+  if (format === 'json') return toJson(session, messages);
+  return toMarkdown(session, messages);
+}
+
+/**
+ * Download filename for an export, e.g. "fix-oauth-redirect-abc12345.md"
+ * @param {Object} session - { sessionId, title }
+ * @param {'markdown'|'html'|'json'} format
+ * @returns {string}
+ */
+export function exportFilename(session, format) {
+  const slug = (session.title || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  const shortId = session.sessionId.slice(0, 8);
+  return `${slug || 'session'}-${shortId}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Flatten server messages into one shape for every format, dropping
+// what the options exclude
+function normalizeMessages(messages, options) {
+  const { includeToolResults = true, includeThinking = true } = options;
+  const result = [];
+
+  for (const msg of messages) {
+    const base = {
+      uuid: msg.uuid || null,
+      timestamp: msg.timestamp || null,
+    };
+    switch (msg.type) {
+      case 'user':
+        result.push({
+          ...base,
+          type: 'user',
+          text: msg.content || '',
+          attachments: (msg.attachments || []).map((a) => ({
+            name: a.name,
+            mediaType: a.mediaType,
+          })),
+        });
+        break;
+      case 'text':
+        result.push({
+          ...base,
+          type: 'assistant',
+          model: msg.model || null,
+          text: msg.content,
+        });
+        break;
+      case 'thinking':
+        if (!includeThinking) break;
+        result.push({
+          ...base,
+          type: 'thinking',
+          model: msg.model || null,
+          text: msg.content || '',
+          redacted: !!msg.redacted,
+        });
+        break;
+      case 'tool_use':
+        result.push({
+          ...base,
+          type: 'tool_use',
+          model: msg.model || null,
+          id: msg.id,
+          tool: msg.tool,
+          input: msg.input || {},
+        });
+        break;
+      case 'tool_result':
+        if (!includeToolResults) break;
+        result.push({
+          ...base,
+          type: 'tool_result',
+          toolUseId: msg.toolUseId,
+          isError: !!msg.isError,
+          text: toolResultText(msg.content),
+        });
+        break;
+      case 'summary':
+        result.push({ ...base, type: 'summary', text: msg.content });
+        break;
+    }
+  }
+
+  return result;
+}
+
+// Tool result content is a string or an array of content blocks
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content ? JSON.stringify(content) : '';
+  return content
+    .map((block) => {
+      if (block.type === 'text') return block.text;
+      if (block.type === 'image') return '[image]';
+      return JSON.stringify(block);
+    })
+    .join('\n');
+}
+
+function truncateResult(text) {
+  if (text.length <= MAX_TOOL_RESULT_CHARS) return text;
+  const omitted = text.length - MAX_TOOL_RESULT_CHARS;
+  return `${text.slice(0, MAX_TOOL_RESULT_CHARS)}\n… (${omitted} more characters)`;
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+// Edit, MultiEdit and Write inputs as { filePath, oldContent, newContent } pairs
+function fileChanges(tool, input) {
+  if (tool === 'Edit' && typeof input.old_string === 'string') {
+    return [
+      {
+        filePath: input.file_path,
+        oldContent: input.old_string,
+        newContent: input.new_string || '',
+      },
+    ];
+  }
+  if (tool === 'MultiEdit' && Array.isArray(input.edits)) {
+    return input.edits.map((edit) => ({
+      filePath: input.file_path,
+      oldContent: edit.old_string || '',
+      newContent: edit.new_string || '',
+    }));
+  }
+  if (tool === 'Write' && typeof input.content === 'string') {
+    return [
+      { filePath: input.file_path, oldContent: '', newContent: input.content },
+    ];
+  }
+  return null;
+}
+
+function speaker(msg) {
+  if (msg.type === 'user') return 'user';
+  if (msg.type === 'summary') return 'summary';
+  return 'assistant';
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+
+// Fence longer than any backtick run in the text, so code can't close it early
+function fence(text, lang = '') {
+  const longest = Math.max(
+    2,
+    ...(text.match(/`+/g) || []).map((run) => run.length),
+  );
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${lang}\n${text}\n${marker}`;
+}
+
+function toMarkdown(session, messages) {
+  const lines = [
+    `# ${session.title || 'Untitled session'}`,
+    '',
+    `- **Project:** ${session.projectName || session.projectSlug}`,
+    `- **Session:** \`${session.sessionId}\``,
+    `- **Exported:** ${new Date().toLocaleString()}`,
+  ];
+  let lastSpeaker = null;
+
+  for (const msg of messages) {
+    const who = speaker(msg);
+    if (who !== lastSpeaker || who === 'user') {
+      lines.push('', '---', '');
+      if (who === 'user') {
+        lines.push(`## User · ${formatTimestamp(msg.timestamp)}`);
+      } else if (who === 'assistant') {
+        const model = msg.model ? ` (${msg.model})` : '';
+        lines.push(`## Assistant${model} · ${formatTimestamp(msg.timestamp)}`);
+      } else {
+        lines.push('## Conversation summary');
+      }
+      lastSpeaker = who;
+    }
+    lines.push('');
+
+    switch (msg.type) {
+      case 'user':
+        lines.push(msg.text);
+        if (msg.attachments.length > 0) {
+          lines.push(
+            '',
+            `_Attachments: ${msg.attachments.map((a) => a.name).join(', ')}_`,
+          );
+        }
+        break;
+      case 'assistant':
+      case 'summary':
+        lines.push(msg.text);
+        break;
+      case 'thinking':
+        lines.push(
+          '<details>',
+          '<summary>Thinking</summary>',
+          '',
+          msg.redacted ? '_Redacted_' : msg.text,
+          '',
+          '</details>',
+        );
+        break;
+      case 'tool_use':
+        lines.push(...markdownToolUse(msg));
+        break;
+      case 'tool_result':
+        lines.push(
+          '<details>',
+          `<summary>${msg.isError ? 'Error' : 'Result'}</summary>`,
+          '',
+          fence(truncateResult(msg.text)),
+          '',
+          '</details>',
+        );
+        break;
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function markdownToolUse(msg) {
+  const display = formatToolDisplay(msg.tool, msg.input);
+  const changes = fileChanges(msg.tool, msg.input);
+  if (changes) {
+    const lines = [`**${msg.tool}** \`${changes[0].filePath}\``];
+    for (const change of changes) {
+      const diff = computeDiffLines(change.oldContent, change.newContent)
+        .map((line) => {
+          const marker =
+            line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+          return `${marker}${line.content}`;
+        })
+        .join('\n');
+      lines.push('', fence(diff, 'diff'));
+    }
+    return lines;
+  }
+  if (display.type === 'command') {
+    return [`**${msg.tool}**`, '', fence(display.primary, 'bash')];
+  }
+  if (display.type === 'json') {
+    return [
+      `**${msg.tool}**`,
+      '',
+      fence(JSON.stringify(msg.input, null, 2), 'json'),
+    ];
+  }
+  return [`**${msg.tool}** \`${display.primary}\``];
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Same markup as DiffViewer.vue, styled by the inline stylesheet below
+function htmlDiff(change) {
+  const lines = computeDiffLines(change.oldContent, change.newContent);
+  const added = lines.filter((l) => l.type === 'added').length;
+  const removed = lines.filter((l) => l.type === 'removed').length;
+  const rows = lines
+    .map((line) => {
+      const indicator =
+        line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+      return `<div class="diff-line ${line.type}"><span class="line-num old">${line.oldLineNum || ''}</span><span class="line-num new">${line.newLineNum || ''}</span><span class="line-indicator">${indicator}</span><span class="line-content">${escapeHtml(line.content)}</span></div>`;
+    })
+    .join('');
+  return `<div class="diff-viewer">
+  <div class="diff-header"><span class="filename">${escapeHtml(change.filePath || '')}</span><span class="stats"><span class="added">+${added}</span><span class="removed">-${removed}</span></span></div>
+  <div class="diff-content">${rows}</div>
+</div>`;
+}
+
+function htmlToolUse(msg) {
+  const display = formatToolDisplay(msg.tool, msg.input);
+  const changes = fileChanges(msg.tool, msg.input);
+  const label = `<span class="tool-name">${escapeHtml(msg.tool)}</span>`;
+  if (changes) {
+    return `<div class="tool">${label}${changes.map(htmlDiff).join('')}</div>`;
+  }
+  if (display.type === 'json') {
+    return `<div class="tool">${label}<pre class="tool-output">${escapeHtml(JSON.stringify(msg.input, null, 2))}</pre></div>`;
+  }
+  const secondary = display.secondary
+    ? ` <small>${escapeHtml(display.secondary)}</small>`
+    : '';
+  return `<div class="tool">${label} <code>${escapeHtml(display.primary || '')}</code>${secondary}</div>`;
+}
+
+function htmlMessage(msg) {
+  switch (msg.type) {
+    case 'user': {
+      const attachments =
+        msg.attachments.length > 0
+          ? `<p class="attachments">Attachments: ${escapeHtml(msg.attachments.map((a) => a.name).join(', '))}</p>`
+          : '';
+      return `<div class="markdown">${renderMarkdown(msg.text)}</div>${attachments}`;
+    }
+    case 'assistant':
+    case 'summary':
+      return `<div class="markdown">${renderMarkdown(msg.text)}</div>`;
+    case 'thinking':
+      return `<details class="thinking"><summary>Thinking</summary>${
+        msg.redacted
+          ? '<p><em>Redacted</em></p>'
+          : `<div class="markdown">${renderMarkdown(msg.text)}</div>`
+      }</details>`;
+    case 'tool_use':
+      return htmlToolUse(msg);
+    case 'tool_result':
+      return `<details class="tool-result${msg.isError ? ' error' : ''}"><summary>${msg.isError ? 'Error' : 'Result'}</summary><pre class="tool-output">${escapeHtml(truncateResult(msg.text))}</pre></details>`;
+    default:
+      return '';
+  }
+}
+
+function toHtml(session, messages) {
+  const title = session.title || 'Untitled session';
+  const turns = [];
+  let current = null;
+
+  for (const msg of messages) {
+    const who = speaker(msg);
+    if (!current || who !== current.who || who === 'user') {
+      current = { who, first: msg, parts: [] };
+      turns.push(current);
+    }
+    current.parts.push(htmlMessage(msg));
+  }
+
+  const body = turns
+    .map(({ who, first, parts }) => {
+      const heading =
+        who === 'user'
+          ? 'User'
+          : who === 'summary'
+            ? 'Conversation summary'
+            : `Assistant${first.model ? ` (${escapeHtml(first.model)})` : ''}`;
+      return `<section class="turn ${who}">
+  <header><span class="role">${heading}</span><time>${escapeHtml(formatTimestamp(first.timestamp))}</time></header>
+  ${parts.join('\n  ')}
+</section>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${hljsCss}
+${EXPORT_CSS}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(session.projectName || session.projectSlug)} · <code>${escapeHtml(session.sessionId)}</code> · exported ${escapeHtml(new Date().toLocaleString())}</p>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+const EXPORT_CSS = `
+:root {
+  --bg-primary: #0d1117;
+  --bg-secondary: #161b22;
+  --bg-tertiary: #21262d;
+  --border-color: #30363d;
+  --text-primary: #e6edf3;
+  --text-secondary: #9da7b3;
+  --text-tertiary: #6e7681;
+  --accent: #58a6ff;
+  --font-mono: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+}
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  background: var(--bg-primary);
+  color: var(--text-primary);
+  font: 14px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+main { max-width: 880px; margin: 0 auto; padding: 32px 20px 64px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.meta { color: var(--text-secondary); font-size: 12px; margin: 0 0 24px; }
+code, pre { font-family: var(--font-mono); font-size: 13px; }
+a { color: var(--accent); }
+.turn { border-top: 1px solid var(--border-color); padding: 16px 0; }
+.turn header { display: flex; justify-content: space-between; margin-bottom: 8px; font-size: 12px; }
+.turn .role { font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: var(--text-secondary); }
+.turn.user .role { color: var(--accent); }
+.turn time { color: var(--text-tertiary); }
+.turn.user .markdown { background: var(--bg-secondary); border-radius: 8px; padding: 8px 12px; }
+.markdown p { margin: 0 0 8px; }
+.markdown :not(pre) > code { background: var(--bg-tertiary); padding: 1px 4px; border-radius: 4px; }
+.code-block-wrapper { border: 1px solid var(--border-color); border-radius: 8px; overflow: hidden; margin: 8px 0; }
+.code-block-header { padding: 4px 12px; background: var(--bg-tertiary); color: var(--text-tertiary); font-size: 12px; }
+.code-copy-btn { display: none; }
+pre.hljs { margin: 0; padding: 12px; overflow-x: auto; }
+.attachments { color: var(--text-secondary); font-size: 12px; }
+.tool { margin: 8px 0; color: var(--text-secondary); }
+.tool-name { font-weight: 600; color: var(--text-primary); margin-right: 4px; }
+.tool small { display: block; color: var(--text-tertiary); }
+details { margin: 8px 0; border: 1px solid var(--border-color); border-radius: 8px; padding: 4px 12px; }
+details summary { cursor: pointer; color: var(--text-secondary); font-size: 12px; }
+details.error summary { color: #ef4444; }
+.tool-output { white-space: pre-wrap; word-break: break-word; max-height: 480px; overflow: auto; background: var(--bg-secondary); padding: 8px; border-radius: 4px; }
+.diff-viewer { border: 1px solid var(--border-color); border-radius: 8px; overflow: hidden; font-family: var(--font-mono); font-size: 13px; margin: 8px 0; }
+.diff-header { display: flex; align-items: center; justify-content: space-between; padding: 8px 12px; background: var(--bg-tertiary); border-bottom: 1px solid var(--border-color); font-size: 12px; }
+.diff-header .filename { font-weight: 500; color: var(--text-primary); }
+.diff-header .stats { display: flex; gap: 12px; font-weight: 500; }
+.diff-header .added { color: #22c55e; }
+.diff-header .removed { color: #ef4444; }
+.diff-content { overflow-x: auto; background: var(--bg-secondary); }
+.diff-line { display: flex; align-items: flex-start; line-height: 1.5; min-height: 21px; white-space: nowrap; }
+.diff-line.added { background: rgba(34, 197, 94, 0.1); }
+.diff-line.removed { background: rgba(239, 68, 68, 0.1); }
+.line-num { display: inline-block; width: 40px; text-align: right; padding: 0 8px; color: var(--text-tertiary); user-select: none; flex-shrink: 0; border-right: 1px solid var(--border-color); }
+.line-indicator { display: inline-block; width: 20px; text-align: center; color: var(--text-tertiary); user-select: none; flex-shrink: 0; }
+.diff-line.added .line-indicator { color: #22c55e; font-weight: 600; }
+.diff-line.removed .line-indicator { color: #ef4444; font-weight: 600; }
+.line-content { flex: 1; padding: 0 8px; white-space: pre; }
+`;
+
+// ---------------------------------------------------------------------------
+// JSON
+
+function toJson(session, messages) {
+  return `${JSON.stringify(
+    {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      session: {
+        id: session.sessionId,
+        title: session.title || null,
+        project: { slug: session.projectSlug, name: session.projectName },
+      },
+      messages,
+    },
+    null,
+    2,
+  )}\n`;
+}
@@ -0,0 +1,51 @@
+/**
+ * Parse a chat input of the form "/name args"
+ * @param {string} input - Trimmed chat input
+ * @returns {{ name: string, args: string } | null}
+ */
+export function parseSlashCommand(input) {
+  const match = input.match(/^\/([\w.-]+)(?:\s+([\s\S]*))?$/);
+  if (!match) return null;
+  return { name: match[1], args: match[2]?.trim() || '' };
+}
+
+/**
+ * Expand a custom slash command body the way the CLI does: $ARGUMENTS is the
+ * whole argument string, $1…$9 are whitespace-separated positional arguments.
+ * Arguments given to a command without placeholders are appended.
+ * @param {object} command - { body } from commands:list
+ * @param {string} args
+ * @returns {string}
+ */
+export function expandSlashCommand(command, args) {
+  const positional = args.split(/\s+/).filter(Boolean);
+  let hasPlaceholder = false;
+  const text = command.body.replace(/\$(ARGUMENTS|[1-9])/g, (_, key) => {
+    hasPlaceholder = true;
+    if (key === 'ARGUMENTS') return args;
+    return positional[Number(key) - 1] ?? '';
+  });
+  if (!hasPlaceholder && args) return `${text}\n\nARGUMENTS: ${args}`;
+  return text;
+}
+
+/**
+ * Filter commands by a query typed after "/" — name prefix matches first,
+ * then name or description substring matches
+ * @param {Array} commands - commands:list entries
+ * @param {string} query
+ * @returns {Array}
+ */
+export function filterSlashCommands(commands, query) {
+  const q = query.toLowerCase();
+  if (!q) return [...commands];
+  const prefix = [];
+  const rest = [];
+  for (const command of commands) {
+    const name = command.name.toLowerCase();
+    if (name.startsWith(q)) prefix.push(command);
+    else if (name.includes(q) || command.description.toLowerCase().includes(q))
+      rest.push(command);
+  }
+  return [...prefix, ...rest];
+}